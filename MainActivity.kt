@@ -9,7 +9,10 @@ import android.media.AudioRecord
 import android.media.MediaPlayer
 import android.media.MediaRecorder
 import android.os.Bundle
+import android.util.Base64
 import android.util.Log
+import android.widget.EditText
+import androidx.appcompat.app.AlertDialog
 import androidx.appcompat.app.AppCompatActivity
 import androidx.core.app.ActivityCompat
 import androidx.core.content.ContextCompat
@@ -17,6 +20,7 @@ import kotlinx.coroutines.*
 import okhttp3.*
 import okhttp3.MediaType.Companion.toMediaType
 import okhttp3.RequestBody.Companion.toRequestBody
+import org.json.JSONObject
 import java.io.ByteArrayOutputStream
 import java.io.File
 import java.io.FileOutputStream
@@ -42,18 +46,31 @@ class MainActivity : AppCompatActivity() {
     // Cliente HTTP para comunicação com o servidor
     private val client = OkHttpClient()
     
-    // URL do seu serviço backend no Render.com
-    private val SERVER_URL = "https://seu-app.onrender.com/process-audio"
+    // Token do dispositivo, recebido ao parear com o código do Painel dos Pais
+    private val PREFS_NAME = "ursinho"
+    private val DEVICE_TOKEN_KEY = "deviceToken"
+    private val deviceToken: String?
+        get() = getSharedPreferences(PREFS_NAME, MODE_PRIVATE).getString(DEVICE_TOKEN_KEY, null)
+    
+    // URL do serviço backend; a salva nas preferências (chave "serverUrl") tem prioridade
+    private val DEFAULT_SERVER_URL = "https://seu-app.onrender.com/process-audio"
+    private val SERVER_URL_KEY = "serverUrl"
+    private val serverUrl: String
+        get() = getSharedPreferences(PREFS_NAME, MODE_PRIVATE).getString(SERVER_URL_KEY, null) ?: DEFAULT_SERVER_URL
+    private val pairUrl: String
+        get() = serverUrl.replace("/process-audio", "/devices/pair")
+    private val configUrl: String
+        get() = serverUrl.replace("/process-audio", "/config")
     
     // Controle de estado
     private var isRecording = false
     private var isSpeaking = false
     private var isProcessing = false
     
-    // Detecção de silêncio
+    // Detecção de silêncio (o limiar é a média absoluta das amostras, não o RMS normalizado do /config)
     private val SILENCE_THRESHOLD = 700
     private var silenceCounter = 0
-    private val SILENCE_DURATION = 20 // Aproximadamente 1 segundo com buffer de 50ms
+    private var silenceDuration = 20 // Em buffers; recalculado a partir do speechTimeoutMs do servidor
     
     // Player de mídia para reproduzir respostas
     private var mediaPlayer: MediaPlayer? = null
@@ -88,6 +105,9 @@ class MainActivity : AppCompatActivity() {
         } else {
             startListening()
         }
+        
+        // Sem token o servidor recusa o áudio: pede o código de pareamento primeiro
+        if (deviceToken == null) showPairingDialog()
     }
     
     override fun onRequestPermissionsResult(
@@ -106,6 +126,82 @@ class MainActivity : AppCompatActivity() {
         }
     }
 
+    // Troca o código de pareamento gerado pelos pais pelo token deste ursinho
+    private fun pairDevice(code: String): Boolean {
+        val body = JSONObject().put("code", code.trim().uppercase()).toString()
+            .toRequestBody("application/json".toMediaType())
+        val request = Request.Builder().url(pairUrl).post(body).build()
+        client.newCall(request).execute().use { response ->
+            if (!response.isSuccessful) {
+                Log.e(TAG, "Pareamento recusado: ${response.code}")
+                return false
+            }
+            val token = JSONObject(response.body!!.string()).getString("token")
+            getSharedPreferences(PREFS_NAME, MODE_PRIVATE).edit().putString(DEVICE_TOKEN_KEY, token).apply()
+            return true
+        }
+    }
+    
+    // Requisição para /process-audio com o token do dispositivo (sem ele o servidor responde 401)
+    private fun buildAudioRequest(body: RequestBody): Request {
+        val builder = Request.Builder().url(serverUrl).post(body)
+        deviceToken?.let { builder.header("Authorization", "Bearer $it") }
+        return builder.build()
+    }
+    
+    // 401: token revogado pelos pais ou ursinho nunca pareado
+    private fun handleUnauthorized(response: Response): Boolean {
+        if (response.code != 401) return false
+        Log.w(TAG, "Token do dispositivo recusado, é preciso parear de novo")
+        getSharedPreferences(PREFS_NAME, MODE_PRIVATE).edit().remove(DEVICE_TOKEN_KEY).apply()
+        return true
+    }
+
+    // Pede o código mostrado no Painel dos Pais; o pareamento roda fora da thread principal (execute() bloqueia)
+    private fun showPairingDialog(message: String? = null) {
+        val input = EditText(this)
+        AlertDialog.Builder(this)
+            .setTitle("Parear o ursinho")
+            .setMessage(message ?: "Digite o código de pareamento do Painel dos Pais")
+            .setView(input)
+            .setCancelable(false)
+            .setPositiveButton("Parear") { _, _ ->
+                val code = input.text.toString()
+                coroutineScope.launch {
+                    val paired = try {
+                        pairDevice(code)
+                    } catch (e: IOException) {
+                        Log.e(TAG, "Erro ao parear o dispositivo", e)
+                        false
+                    }
+                    if (!paired) {
+                        withContext(Dispatchers.Main) { showPairingDialog("Código inválido ou expirado, tente de novo") }
+                    }
+                }
+            }
+            .show()
+    }
+
+    // Padrões do servidor (GET /config): por enquanto só o silêncio que encerra a fala
+    private fun loadServerConfig() {
+        val request = Request.Builder().url(configUrl).build()
+        try {
+            client.newCall(request).execute().use { response ->
+                if (!response.isSuccessful) {
+                    Log.w(TAG, "Configurações do servidor indisponíveis: ${response.code}")
+                    return
+                }
+                val speechTimeoutMs = JSONObject(response.body!!.string()).optInt("speechTimeoutMs", 0)
+                val bufferMs = (bufferSize / 2) * 1000 / SAMPLE_RATE
+                if (speechTimeoutMs > 0 && bufferMs > 0) {
+                    silenceDuration = maxOf(1, speechTimeoutMs / bufferMs)
+                }
+            }
+        } catch (e: IOException) {
+            Log.w(TAG, "Erro ao buscar as configurações do servidor", e)
+        }
+    }
+
     private fun startListening() {
         if (isRecording) return
         
@@ -113,6 +209,8 @@ class MainActivity : AppCompatActivity() {
         
         coroutineScope.launch {
             try {
+                loadServerConfig()
+                
                 // Inicializar gravador de áudio
                 audioRecord = AudioRecord(
                     MediaRecorder.AudioSource.MIC,
@@ -144,7 +242,8 @@ class MainActivity : AppCompatActivity() {
                     // Ler áudio do microfone
                     val readSize = audioRecord?.read(audioBuffer, 0, audioBuffer.size) ?: 0
                     
-                    if (readSize > 0) {
+                    // Enquanto o ursinho fala, o que o microfone ouve é descartado
+                    if (readSize > 0 && !isSpeaking) {
                         // Calcular volume para detecção de fala
                         var sum = 0L
                         for (i in 0 until readSize) {
@@ -183,7 +282,7 @@ class MainActivity : AppCompatActivity() {
                             }
                             
                             // Se silêncio por tempo suficiente, processar o áudio
-                            if (silenceCounter > SILENCE_DURATION) {
+                            if (silenceCounter > silenceDuration) {
                                 Log.d(TAG, "Silêncio detectado, processando áudio...")
                                 
                                 // Finalizar gravação
@@ -198,3 +297,72 @@ class MainActivity : AppCompatActivity() {
                                 silenceCounter = 0
                             }
                         }
+                    }
+                }
+            } catch (e: Exception) {
+                Log.e(TAG, "Erro na captura de áudio", e)
+            } finally {
+                audioRecord?.stop()
+                audioRecord?.release()
+                audioRecord = null
+                isRecording = false
+            }
+        }
+    }
+
+    // Envia a fala ao /process-audio e toca a resposta, pedida em WAV para o MediaPlayer
+    private fun processAudio(audioData: ByteArray) {
+        if (deviceToken == null) {
+            Log.w(TAG, "Ursinho ainda não pareado, fala descartada")
+            return
+        }
+        val body = JSONObject()
+            .put("audio", Base64.encodeToString(audioData, Base64.NO_WRAP))
+            .put("sampleRate", SAMPLE_RATE)
+            .put("responseFormat", "wav")
+            .toString()
+            .toRequestBody("application/json".toMediaType())
+        try {
+            client.newCall(buildAudioRequest(body)).execute().use { response ->
+                if (handleUnauthorized(response)) {
+                    runOnUiThread { showPairingDialog("O ursinho precisa ser pareado de novo") }
+                    return
+                }
+                if (!response.isSuccessful) {
+                    Log.e(TAG, "Erro do servidor: ${response.code} (request id: ${response.header("X-Request-Id")})")
+                    return
+                }
+                val audio = JSONObject(response.body!!.string()).getString("audio")
+                playResponse(Base64.decode(audio, Base64.DEFAULT))
+            }
+        } catch (e: IOException) {
+            Log.e(TAG, "Erro de comunicação com o servidor", e)
+        }
+    }
+
+    // Toca o WAV da resposta; o microfone volta a valer quando ele termina
+    private fun playResponse(wav: ByteArray) {
+        val file = File(cacheDir, "resposta.wav")
+        FileOutputStream(file).use { it.write(wav) }
+        isSpeaking = true
+        runOnUiThread {
+            mediaPlayer?.release()
+            mediaPlayer = MediaPlayer().apply {
+                setAudioAttributes(
+                    AudioAttributes.Builder()
+                        .setUsage(AudioAttributes.USAGE_MEDIA)
+                        .setContentType(AudioAttributes.CONTENT_TYPE_SPEECH)
+                        .build()
+                )
+                setDataSource(file.path)
+                setOnCompletionListener {
+                    isSpeaking = false
+                    it.release()
+                    mediaPlayer = null
+                }
+                prepare()
+                start()
+            }
+        }
+    }
+}
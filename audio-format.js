@@ -0,0 +1,64 @@
+// audio-format.js
+
+/**
+ * Response formats a client can ask /process-audio for.
+ *   - realtimeFormat: 'output_audio_format' requested from the Realtime API.
+ *   - bytesPerSample / sampleRate: layout of the audio as returned upstream.
+ *   - mimeType: what the client should use to play the returned bytes.
+ *   - container: 'wav' when the raw upstream audio gets a WAV header.
+ */
+const OUTPUT_FORMATS = {
+  pcm16: { realtimeFormat: 'pcm16', bytesPerSample: 2, sampleRate: 24000, mimeType: 'audio/L16;rate=24000;channels=1' },
+  wav: { realtimeFormat: 'pcm16', bytesPerSample: 2, sampleRate: 24000, mimeType: 'audio/wav', container: 'wav' },
+  g711_ulaw: { realtimeFormat: 'g711_ulaw', bytesPerSample: 1, sampleRate: 8000, mimeType: 'audio/basic' },
+  g711_alaw: { realtimeFormat: 'g711_alaw', bytesPerSample: 1, sampleRate: 8000, mimeType: 'audio/x-alaw-basic' }
+};
+
+// Older clients (e.g. the Android app) expect raw PCM16
+const DEFAULT_OUTPUT_FORMAT = 'pcm16';
+
+/**
+ * Wraps mono PCM16 little-endian samples in a 44-byte RIFF/WAVE header.
+ */
+function wrapPcm16AsWav(pcmBuffer, sampleRate) {
+  const header = Buffer.alloc(44);
+  const byteRate = sampleRate * 2;
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcmBuffer.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcmBuffer.length, 40);
+
+  return Buffer.concat([header, pcmBuffer]);
+}
+
+/**
+ * Turns the base64 audio collected from the Realtime API into the body of a
+ * /process-audio response for `formatName`.
+ * Returns { audio (base64), format, mimeType, sampleRate }.
+ */
+function encodeResponseAudio(base64Audio, formatName) {
+  const format = OUTPUT_FORMATS[formatName];
+  const audio = format.container === 'wav'
+    ? wrapPcm16AsWav(Buffer.from(base64Audio, 'base64'), format.sampleRate).toString('base64')
+    : base64Audio;
+
+  return { audio, format: formatName, mimeType: format.mimeType, sampleRate: format.sampleRate };
+}
+
+// Duration in seconds of raw upstream audio (before any container is added)
+function audioDurationSeconds(byteLength, formatName) {
+  const format = OUTPUT_FORMATS[formatName];
+  return byteLength / format.bytesPerSample / format.sampleRate;
+}
+
+module.exports = { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, wrapPcm16AsWav, encodeResponseAudio, audioDurationSeconds };
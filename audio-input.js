@@ -0,0 +1,312 @@
+// audio-input.js
+const OpusScript = require('opusscript');
+
+// Formato que a OpenAI Realtime API espera ('input_audio_format: pcm16')
+const REALTIME_INPUT_SAMPLE_RATE = 24000;
+
+// Sample rates accepted for raw PCM16 uploads
+const SUPPORTED_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// 'opus' means Ogg Opus (e.g. MediaRecorder in Firefox)
+const INPUT_FORMATS = ['pcm16', 'wav', 'opus'];
+
+const OPUS_SAMPLE_RATE = 48000;
+const SILENCE_WINDOW_MS = 20;
+
+/**
+ * Error for uploads that cannot be used; `status` is the HTTP status to answer with.
+ */
+class AudioInputError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AudioInputError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function toInt16Array(buffer) {
+  const samples = new Int16Array(buffer.length / 2);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+function downmixToMono(interleaved, channels) {
+  if (channels === 1) return interleaved;
+  const mono = new Int16Array(Math.floor(interleaved.length / channels));
+  for (let i = 0; i < mono.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += interleaved[i * channels + c];
+    mono[i] = Math.round(sum / channels);
+  }
+  return mono;
+}
+
+/**
+ * Reads a PCM 16-bit WAV file. Other encodings are rejected.
+ */
+function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new AudioInputError(400, 'INVALID_AUDIO', 'Arquivo WAV inválido');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      if (chunkSize < 16 || body + 16 > buffer.length) {
+        throw new AudioInputError(400, 'INVALID_AUDIO', 'Cabeçalho fmt do WAV inválido');
+      }
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+      if (format.channels === 0) {
+        throw new AudioInputError(400, 'INVALID_AUDIO', 'Arquivo WAV sem canais de áudio');
+      }
+    } else if (chunkId === 'data') {
+      if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new AudioInputError(415, 'UNSUPPORTED_INPUT_FORMAT', 'Só aceitamos WAV PCM de 16 bits');
+      }
+      const data = buffer.subarray(body, Math.min(body + chunkSize, buffer.length));
+      const usableLength = data.length - (data.length % (2 * format.channels));
+      return {
+        samples: downmixToMono(toInt16Array(data.subarray(0, usableLength)), format.channels),
+        sampleRate: format.sampleRate
+      };
+    }
+    offset = body + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+  }
+  throw new AudioInputError(400, 'INVALID_AUDIO', 'Arquivo WAV sem dados de áudio');
+}
+
+// Splits an Ogg bitstream into its packets
+function readOggPackets(buffer) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (offset + 27 <= buffer.length) {
+    if (buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+      throw new AudioInputError(400, 'INVALID_AUDIO', 'Arquivo Ogg inválido');
+    }
+    const segmentCount = buffer[offset + 26];
+    const lacing = buffer.subarray(offset + 27, offset + 27 + segmentCount);
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (const segmentLength of lacing) {
+      current.push(buffer.subarray(dataOffset, dataOffset + segmentLength));
+      dataOffset += segmentLength;
+      if (segmentLength < 255) { // A segment shorter than 255 bytes ends the packet
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    }
+    offset = dataOffset;
+  }
+  return packets;
+}
+
+/**
+ * Decodes an Ogg Opus file to mono PCM16 at 48kHz.
+ * Stops with AUDIO_TOO_LONG as soon as the audio passes `maxDurationSeconds`: a few
+ * bytes of Opus can decode to a lot of PCM, so the whole file is never decoded first.
+ */
+function decodeOggOpus(buffer, { maxDurationSeconds = Infinity } = {}) {
+  const [head, , ...audioPackets] = readOggPackets(buffer); // Skips the OpusTags packet
+  if (!head || head.toString('ascii', 0, 8) !== 'OpusHead') {
+    throw new AudioInputError(415, 'UNSUPPORTED_INPUT_FORMAT', 'O arquivo Ogg não contém áudio Opus');
+  }
+  if (head.length < 19) { // Size of the OpusHead header
+    throw new AudioInputError(400, 'INVALID_AUDIO', 'Cabeçalho OpusHead inválido');
+  }
+  const channels = head[9];
+  const preSkip = head.readUInt16LE(10);
+  if (channels !== 1 && channels !== 2) {
+    throw new AudioInputError(415, 'UNSUPPORTED_INPUT_FORMAT', 'Só aceitamos áudio Opus mono ou estéreo');
+  }
+
+  let decoder = null;
+  try {
+    decoder = new OpusScript(OPUS_SAMPLE_RATE, channels, OpusScript.Application.AUDIO);
+    const maxBytes = (maxDurationSeconds * OPUS_SAMPLE_RATE + preSkip) * 2 * channels;
+    const decoded = [];
+    let decodedBytes = 0;
+    for (const packet of audioPackets) {
+      const pcm = decoder.decode(packet);
+      decodedBytes += pcm.length;
+      if (decodedBytes > maxBytes) {
+        throw new AudioInputError(413, 'AUDIO_TOO_LONG', `O áudio é longo demais (máximo de ${maxDurationSeconds}s)`);
+      }
+      decoded.push(pcm);
+    }
+    const interleaved = toInt16Array(Buffer.concat(decoded));
+    return {
+      samples: downmixToMono(interleaved, channels).subarray(preSkip),
+      sampleRate: OPUS_SAMPLE_RATE
+    };
+  } catch (error) {
+    if (error instanceof AudioInputError) throw error;
+    throw new AudioInputError(400, 'INVALID_AUDIO', `Não foi possível decodificar o áudio Opus: ${error.message}`);
+  } finally {
+    if (decoder) decoder.delete();
+  }
+}
+
+/**
+ * Linear-interpolation resampler for mono PCM16.
+ */
+function resamplePcm16(samples, fromRate, toRate) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Int16Array(Math.max(1, Math.round(samples.length / ratio)));
+  for (let i = 0; i < output.length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    output[i] = Math.round(samples[index] * (1 - fraction) + samples[next] * fraction);
+  }
+  return output;
+}
+
+// Loudest RMS (0.0 to 1.0) over short windows, so pauses around the speech don't count
+function peakWindowRms(samples, sampleRate) {
+  const windowSize = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW_MS / 1000));
+  let peak = 0;
+  for (let start = 0; start < samples.length; start += windowSize) {
+    const end = Math.min(start + windowSize, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      const value = samples[i] / 0x8000;
+      sum += value * value;
+    }
+    peak = Math.max(peak, Math.sqrt(sum / (end - start)));
+  }
+  return peak;
+}
+
+function int16ArrayToBuffer(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Validates an upload and converts it to what the Realtime API expects:
+ * mono PCM16 at REALTIME_INPUT_SAMPLE_RATE.
+ * `sampleRate` is only used for raw 'pcm16' input; WAV and Opus carry their own.
+ * Returns { buffer, durationSeconds, originalSampleRate }; throws AudioInputError.
+ */
+function normalizeInputAudio(buffer, { inputFormat = 'pcm16', sampleRate = 16000, minDurationSeconds, maxDurationSeconds, silenceThreshold }) {
+  if (!INPUT_FORMATS.includes(inputFormat)) {
+    throw new AudioInputError(415, 'UNSUPPORTED_INPUT_FORMAT', `Formato de entrada não suportado. Use um de: ${INPUT_FORMATS.join(', ')}`);
+  }
+  if (buffer.length === 0) {
+    throw new AudioInputError(400, 'EMPTY_AUDIO', 'O áudio enviado está vazio');
+  }
+
+  let decoded;
+  try {
+    if (inputFormat === 'wav') {
+      decoded = decodeWav(buffer);
+    } else if (inputFormat === 'opus') {
+      decoded = decodeOggOpus(buffer, { maxDurationSeconds });
+    } else {
+      if (buffer.length % 2 !== 0) {
+        throw new AudioInputError(400, 'INVALID_AUDIO', 'Áudio PCM16 deve ter um número par de bytes');
+      }
+      // Measured from the byte length, so an upload that is too long is never copied
+      const rate = Number(sampleRate);
+      if (SUPPORTED_SAMPLE_RATES.includes(rate) && buffer.length / 2 / rate > maxDurationSeconds) {
+        throw new AudioInputError(413, 'AUDIO_TOO_LONG', `O áudio é longo demais (máximo de ${maxDurationSeconds}s)`);
+      }
+      decoded = { samples: toInt16Array(buffer), sampleRate: rate };
+    }
+  } catch (error) {
+    // A malformed file the checks above missed is still the upload's fault, not a server error
+    if (error instanceof AudioInputError) throw error;
+    throw new AudioInputError(400, 'INVALID_AUDIO', `Não foi possível ler o áudio: ${error.message}`);
+  }
+
+  if (!SUPPORTED_SAMPLE_RATES.includes(decoded.sampleRate)) {
+    throw new AudioInputError(400, 'UNSUPPORTED_SAMPLE_RATE', `Taxa de amostragem não suportada. Use uma de: ${SUPPORTED_SAMPLE_RATES.join(', ')}`);
+  }
+
+  const durationSeconds = decoded.samples.length / decoded.sampleRate;
+  if (durationSeconds < minDurationSeconds) {
+    throw new AudioInputError(422, 'AUDIO_TOO_SHORT', `O áudio é curto demais (mínimo de ${minDurationSeconds}s)`);
+  }
+  if (durationSeconds > maxDurationSeconds) {
+    throw new AudioInputError(413, 'AUDIO_TOO_LONG', `O áudio é longo demais (máximo de ${maxDurationSeconds}s)`);
+  }
+  if (peakWindowRms(decoded.samples, decoded.sampleRate) < silenceThreshold) {
+    throw new AudioInputError(422, 'SILENT_AUDIO', 'O áudio enviado está em silêncio');
+  }
+
+  const resampled = resamplePcm16(decoded.samples, decoded.sampleRate, REALTIME_INPUT_SAMPLE_RATE);
+  return {
+    buffer: int16ArrayToBuffer(resampled),
+    durationSeconds,
+    originalSampleRate: decoded.sampleRate
+  };
+}
+
+/**
+ * Resamples a raw PCM16 stream sent in chunks (used by the streaming route).
+ * Chunks are not resampled on their own: the position between input samples and
+ * the last sample of the previous chunk carry over, so chunk edges neither drift
+ * nor click, and a sample split across two chunks is put back together.
+ * push(chunk) returns the resampled audio that chunk completes.
+ */
+function createPcm16StreamResampler(fromRate, toRate = REALTIME_INPUT_SAMPLE_RATE) {
+  const step = fromRate / toRate;
+  let position = 0; // Of the next output sample, in input samples from `previous` (or from the first chunk)
+  let previous = null; // Last sample of the previous chunk
+  let oddByte = null; // First half of a sample split across chunks
+
+  return {
+    push(chunk) {
+      const bytes = oddByte ? Buffer.concat([oddByte, chunk]) : chunk;
+      oddByte = bytes.length % 2 ? Buffer.from(bytes.subarray(bytes.length - 1)) : null;
+      const samples = toInt16Array(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+      if (fromRate === toRate || samples.length === 0) return int16ArrayToBuffer(samples);
+
+      let input = samples;
+      if (previous !== null) {
+        input = new Int16Array(samples.length + 1);
+        input[0] = previous;
+        input.set(samples, 1);
+      }
+      const output = [];
+      for (; position < input.length - 1; position += step) {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        output.push(Math.round(input[index] * (1 - fraction) + input[index + 1] * fraction));
+      }
+      position -= input.length - 1;
+      previous = input[input.length - 1];
+      return int16ArrayToBuffer(output);
+    }
+  };
+}
+
+module.exports = {
+  REALTIME_INPUT_SAMPLE_RATE,
+  SUPPORTED_SAMPLE_RATES,
+  INPUT_FORMATS,
+  AudioInputError,
+  normalizeInputAudio,
+  createPcm16StreamResampler
+};
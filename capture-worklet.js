@@ -0,0 +1,28 @@
+// capture-worklet.js
+// Runs on the audio rendering thread: groups microphone samples into fixed-size
+// frames and posts each one to the main thread, where voice activity is detected.
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.frameSize = (options.processorOptions && options.processorOptions.frameSize) || 512;
+        this.frame = new Float32Array(this.frameSize);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const channelData = inputs[0] && inputs[0][0];
+        if (channelData) {
+            for (let i = 0; i < channelData.length; i++) {
+                this.frame[this.offset++] = channelData[i];
+                if (this.offset === this.frameSize) {
+                    this.port.postMessage(this.frame, [this.frame.buffer]); // Transfer, don't copy
+                    this.frame = new Float32Array(this.frameSize);
+                    this.offset = 0;
+                }
+            }
+        }
+        return true; // Keep processing while the node is connected
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,255 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const statusElement = document.getElementById('status');
+    const searchInput = document.getElementById('searchInput');
+    const deviceInput = document.getElementById('deviceInput');
+    const searchButton = document.getElementById('searchButton');
+    const conversationList = document.getElementById('conversationList');
+    const conversationDetail = document.getElementById('conversationDetail');
+    const deviceList = document.getElementById('deviceList');
+    const deviceNameInput = document.getElementById('deviceNameInput');
+    const pairButton = document.getElementById('pairButton');
+    const pairingCodeElement = document.getElementById('pairingCode');
+    const usageTotals = document.getElementById('usageTotals');
+    const usageList = document.getElementById('usageList');
+
+    // --- Configuration ---
+    const API_BASE_URL = 'https://teddybear-1.onrender.com';
+
+    // --- State ---
+    let selectedSessionId = null;
+
+    function updateStatus(message) {
+        statusElement.textContent = message;
+    }
+
+    // The server's PARENT_TOKEN, asked once and kept in this browser
+    function getParentToken() {
+        let token = localStorage.getItem('ursinhoParentToken');
+        if (!token) {
+            token = (prompt("Digite o token dos pais (PARENT_TOKEN do servidor):") || '').trim();
+            if (token) localStorage.setItem('ursinhoParentToken', token);
+        }
+        return token;
+    }
+
+    // fetch() with the parents' token; a 401 forgets it so it is asked again next time
+    async function apiFetch(path, options = {}) {
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            ...options,
+            headers: { ...options.headers, 'Authorization': `Bearer ${getParentToken()}` }
+        });
+        if (response.status === 401) {
+            localStorage.removeItem('ursinhoParentToken');
+            throw new Error("Token dos pais inválido. Recarregue a página para digitá-lo de novo.");
+        }
+        return response;
+    }
+
+    function formatDate(isoDate) {
+        return new Date(isoDate).toLocaleString('pt-BR');
+    }
+
+    // Builds an element with text content only, so transcripts are never parsed as HTML
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    // Appends `text` to `parent`, wrapping occurrences of `query` in <mark>
+    function appendHighlighted(parent, text, query) {
+        if (!query) {
+            parent.appendChild(document.createTextNode(text));
+            return;
+        }
+        const lowerText = text.toLowerCase();
+        const lowerQuery = query.toLowerCase();
+        let position = 0;
+        let index;
+        while ((index = lowerText.indexOf(lowerQuery, position)) !== -1) {
+            parent.appendChild(document.createTextNode(text.slice(position, index)));
+            parent.appendChild(createElement('mark', null, text.slice(index, index + query.length)));
+            position = index + query.length;
+        }
+        parent.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    async function loadConversations() {
+        updateStatus("Carregando conversas...");
+        const params = new URLSearchParams();
+        if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+        if (deviceInput.value.trim()) params.set('deviceId', deviceInput.value.trim());
+
+        try {
+            const response = await apiFetch(`/conversations?${params}`);
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const { conversations } = await response.json();
+            renderConversationList(conversations);
+            updateStatus(conversations.length === 0 ? "Nenhuma conversa encontrada." : `${conversations.length} conversa(s).`);
+        } catch (error) {
+            console.error("Error loading conversations:", error);
+            updateStatus(`Erro ao carregar conversas: ${error.message}`);
+        }
+    }
+
+    function renderConversationList(conversations) {
+        conversationList.innerHTML = '';
+        conversations.forEach(conversation => {
+            const item = createElement('li');
+            if (conversation.sessionId === selectedSessionId) item.classList.add('selected');
+            item.appendChild(createElement('div', null, conversation.preview || '(sem texto)'));
+            item.appendChild(createElement('div', 'meta',
+                `${formatDate(conversation.updatedAt)} · ${conversation.exchangeCount} troca(s) · dispositivo ${conversation.deviceId}`));
+            item.addEventListener('click', () => loadConversation(conversation.sessionId));
+            conversationList.appendChild(item);
+        });
+    }
+
+    async function loadConversation(sessionId) {
+        selectedSessionId = sessionId;
+        Array.from(conversationList.children).forEach(item => item.classList.remove('selected'));
+        try {
+            const response = await apiFetch(`/conversations/${encodeURIComponent(sessionId)}`);
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            renderConversation(await response.json());
+        } catch (error) {
+            console.error("Error loading conversation:", error);
+            conversationDetail.textContent = `Erro ao carregar conversa: ${error.message}`;
+        }
+    }
+
+    function renderConversation(conversation) {
+        const query = searchInput.value.trim();
+        conversationDetail.innerHTML = '';
+        conversationDetail.appendChild(createElement('p', 'meta',
+            `Início: ${formatDate(conversation.startedAt)} · dispositivo ${conversation.deviceId}`
+            + (conversation.profileId ? ` · perfil ${conversation.profileId}` : '')));
+
+        conversation.exchanges.forEach(exchange => {
+            const block = createElement('div', 'exchange');
+            const child = createElement('div', 'child', 'Criança: ');
+            appendHighlighted(child, exchange.child || '(transcrição indisponível)', query);
+            const bear = createElement('div', 'bear', 'Ursinho: ');
+            appendHighlighted(bear, exchange.bear || '', query);
+            block.appendChild(createElement('div', 'meta', formatDate(exchange.at) + (exchange.mode ? ` · modo ${exchange.mode}` : '')));
+            block.appendChild(child);
+            block.appendChild(bear);
+            if (exchange.blockedTopic) {
+                block.appendChild(createElement('div', 'blocked', `Resposta original bloqueada (assunto: ${exchange.blockedTopic})`));
+            }
+            conversationDetail.appendChild(block);
+        });
+
+        const deleteButton = createElement('button', null, 'Apagar conversa');
+        deleteButton.addEventListener('click', () => deleteConversation(conversation.sessionId));
+        conversationDetail.appendChild(deleteButton);
+    }
+
+    async function deleteConversation(sessionId) {
+        if (!confirm("Apagar esta conversa? Essa ação não pode ser desfeita.")) return;
+        try {
+            const response = await apiFetch(`/conversations/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            selectedSessionId = null;
+            conversationDetail.textContent = "Conversa apagada.";
+            loadConversations();
+        } catch (error) {
+            console.error("Error deleting conversation:", error);
+            updateStatus(`Erro ao apagar conversa: ${error.message}`);
+        }
+    }
+
+    // --- Ursinhos pareados ---
+    async function loadDevices() {
+        try {
+            const response = await apiFetch('/devices');
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const { devices } = await response.json();
+            deviceList.innerHTML = '';
+            if (devices.length === 0) {
+                deviceList.appendChild(createElement('li', 'meta', 'Nenhum ursinho pareado.'));
+            }
+            devices.forEach(device => {
+                const item = createElement('li');
+                item.appendChild(createElement('span', null, device.name));
+                item.appendChild(createElement('span', 'meta',
+                    `${device.id} · pareado em ${formatDate(device.pairedAt)}`
+                    + (device.lastSeenAt ? ` · visto em ${formatDate(device.lastSeenAt)}` : '')));
+                const revokeButton = createElement('button', null, 'Revogar');
+                revokeButton.addEventListener('click', () => revokeDevice(device));
+                item.appendChild(revokeButton);
+                deviceList.appendChild(item);
+            });
+        } catch (error) {
+            console.error("Error loading devices:", error);
+            updateStatus(`Erro ao carregar ursinhos: ${error.message}`);
+        }
+    }
+
+    async function createPairingCode() {
+        try {
+            const name = deviceNameInput.value.trim();
+            const response = await apiFetch('/devices/pairing-codes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(name ? { name } : {})
+            });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const { code, expiresAt } = await response.json();
+            pairingCodeElement.textContent = `${code} (vale até ${new Date(expiresAt).toLocaleTimeString('pt-BR')})`;
+            deviceNameInput.value = '';
+        } catch (error) {
+            console.error("Error creating pairing code:", error);
+            updateStatus(`Erro ao gerar código: ${error.message}`);
+        }
+    }
+
+    async function revokeDevice(device) {
+        if (!confirm(`Revogar o acesso de "${device.name}"? Ele precisará ser pareado de novo.`)) return;
+        try {
+            const response = await apiFetch(`/devices/${encodeURIComponent(device.id)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            loadDevices();
+        } catch (error) {
+            console.error("Error revoking device:", error);
+            updateStatus(`Erro ao revogar ursinho: ${error.message}`);
+        }
+    }
+
+    // --- Consumo do mês ---
+    function describeUsage(usage) {
+        const minutes = (usage.inputAudioSeconds + usage.outputAudioSeconds) / 60;
+        return `${usage.responses} resposta(s) · ${minutes.toFixed(1)} min de áudio · ${usage.totalTokens} tokens · US$ ${usage.costUsd.toFixed(2)}`;
+    }
+
+    async function loadUsage() {
+        try {
+            const response = await apiFetch('/usage');
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const report = await response.json();
+            const { monthlyTokens, monthlyCostUsd } = report.budgets.global;
+            usageTotals.textContent = `${report.month}: ${describeUsage(report.totals)}`
+                + (monthlyCostUsd !== null ? ` · orçamento US$ ${monthlyCostUsd}` : '')
+                + (monthlyTokens !== null ? ` · orçamento ${monthlyTokens} tokens` : '');
+            usageList.innerHTML = '';
+            report.devices.forEach(device => {
+                usageList.appendChild(createElement('li', 'meta', `dispositivo ${device.deviceId}: ${describeUsage(device)}`));
+            });
+        } catch (error) {
+            console.error("Error loading usage:", error);
+            usageTotals.textContent = `Erro ao carregar consumo: ${error.message}`;
+        }
+    }
+
+    // --- Event Listeners ---
+    pairButton.addEventListener('click', createPairingCode);
+    searchButton.addEventListener('click', loadConversations);
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') loadConversations();
+    });
+
+    loadDevices();
+    loadUsage();
+    loadConversations();
+});
@@ -0,0 +1,134 @@
+// devices.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { createJsonFileWriter } = require('./json-file');
+
+// Códigos de pareamento: curtos, sem letras/números fáceis de confundir (0/O, 1/I/L)
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_DEVICE_NAME_LENGTH = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generatePairingCode() {
+  let code = '';
+  for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Returns an error message, or null when `name` can be used as a device name
+function validateDeviceName(name) {
+  if (name === undefined) return null;
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_DEVICE_NAME_LENGTH) {
+    return `O nome do dispositivo deve ter de 1 a ${MAX_DEVICE_NAME_LENGTH} caracteres`;
+  }
+  return null;
+}
+
+/**
+ * Paired bears, persisted as a JSON file on disk.
+ * A parent asks for a short pairing code (kept in memory for PAIRING_CODE_TTL_MS);
+ * the bear exchanges it for a device token that it sends with every request.
+ * Only a hash of each token is stored, and revoking a device makes its token useless.
+ */
+function createDeviceStore(filePath) {
+  let devices = {}; // deviceId -> { id, name, tokenHash, pairedAt, lastSeenAt }
+  const pairingCodes = new Map(); // code -> { name, expiresAt }
+
+  try {
+    if (fs.existsSync(filePath)) {
+      devices = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Could not read devices', { filePath, error: error.message });
+  }
+
+  const file = createJsonFileWriter(filePath);
+
+  function persist() {
+    return file.save(devices);
+  }
+
+  function dropExpiredCodes(now = Date.now()) {
+    for (const [code, pairing] of pairingCodes) {
+      if (pairing.expiresAt <= now) pairingCodes.delete(code);
+    }
+  }
+
+  // Device as shown to the parents: never the token hash
+  function describe({ id, name, pairedAt, lastSeenAt }) {
+    return { id, name, pairedAt, lastSeenAt };
+  }
+
+  return {
+    /**
+     * Creates a single-use pairing code. `name` (optional) names the device
+     * that will use it. Returns { code, expiresAt }.
+     */
+    createPairingCode({ name } = {}) {
+      dropExpiredCodes();
+      let code;
+      do {
+        code = generatePairingCode();
+      } while (pairingCodes.has(code));
+      const expiresAt = Date.now() + PAIRING_CODE_TTL_MS;
+      pairingCodes.set(code, { name: name ? name.trim() : null, expiresAt });
+      return { code, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    /**
+     * Exchanges a pairing code for a new device. Resolves with
+     * { device, token }, or null when the code is unknown or expired.
+     * The token is only ever returned here.
+     */
+    async pair(code, { name } = {}) {
+      dropExpiredCodes();
+      const normalizedCode = String(code || '').trim().toUpperCase();
+      const pairing = pairingCodes.get(normalizedCode);
+      if (!pairing) return null;
+      pairingCodes.delete(normalizedCode);
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date().toISOString();
+      const device = {
+        id: crypto.randomUUID(),
+        name: pairing.name || (name ? name.trim() : 'Ursinho'),
+        tokenHash: hashToken(token),
+        pairedAt: now,
+        lastSeenAt: null
+      };
+      devices[device.id] = device;
+      await persist();
+      return { device: describe(device), token };
+    },
+
+    // Returns the device holding `token`, or null when it is unknown or revoked
+    authenticate(token) {
+      if (!token) return null;
+      const tokenHash = hashToken(token);
+      const device = Object.values(devices).find(d => d.tokenHash === tokenHash);
+      if (!device) return null;
+      device.lastSeenAt = new Date().toISOString(); // Saved with the next change, not on every request
+      return describe(device);
+    },
+
+    list() {
+      return Object.values(devices).map(describe);
+    },
+
+    async revoke(deviceId) {
+      if (!devices[deviceId]) return false;
+      delete devices[deviceId];
+      await persist();
+      return true;
+    }
+  };
+}
+
+module.exports = { PAIRING_CODE_TTL_MS, validateDeviceName, createDeviceStore };
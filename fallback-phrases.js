@@ -0,0 +1,62 @@
+// fallback-phrases.js
+
+/**
+ * What the bear says when it can't answer, by kind of failure and language:
+ *   - network: the client can't reach the server (no Wi-Fi, server down).
+ *   - server: the server or the AI provider failed.
+ *   - quota: too many requests, or the monthly budget ran out.
+ * Clients record them ahead of time in the bear's voice (GET /fallback-phrases),
+ * as they are needed exactly when the server can't be asked; recordings of them can also
+ * be deployed with the web app (see record-fallback-phrases.js). translations.js has the same
+ * texts, for the browser's voice when nothing was recorded.
+ */
+const FALLBACK_PHRASES = {
+  network: {
+    'pt-BR': 'Estou com um pouquinho de sono. Vamos conversar de novo daqui a pouco!',
+    en: "I'm a bit sleepy, let's talk again soon!",
+    es: 'Tengo un poquito de sueño. ¡Hablamos de nuevo en un ratito!'
+  },
+  server: {
+    'pt-BR': 'Hmm, minha cabecinha ficou confusa. Pode falar de novo daqui a pouquinho?',
+    en: 'Hmm, my head got a little fuzzy. Can you say that again in a little while?',
+    es: 'Mmm, mi cabecita se confundió. ¿Me lo dices otra vez en un ratito?'
+  },
+  quota: {
+    'pt-BR': 'Ufa, já conversamos bastante! Vamos descansar um pouquinho e depois conversamos mais.',
+    en: "Phew, we've talked a lot! Let's rest a little and talk more later.",
+    es: '¡Uf, ya hablamos mucho! Vamos a descansar un poquito y luego hablamos más.'
+  }
+};
+
+/**
+ * Keeps the recordings of the fallback phrases, made once per language and voice.
+ * `record({ texts, language, voice, ...context })` makes the bear say each of
+ * `texts` and resolves with their audio, in order; `context` is what get() was
+ * given (e.g. the device the usage counts for).
+ * get(language, voice, context) resolves with [{ kind, text, audio }]; a recording
+ * that failed is forgotten, so the next request tries again.
+ */
+function createFallbackRecordings({ record }) {
+  const recordings = new Map(); // `${language}:${voice}` -> Promise of the phrases
+
+  async function recordAll(language, voice, context) {
+    const kinds = Object.keys(FALLBACK_PHRASES);
+    const texts = kinds.map(kind => FALLBACK_PHRASES[kind][language]);
+    const audios = await record({ texts, language, voice, ...context });
+    return kinds.map((kind, i) => ({ kind, text: texts[i], audio: audios[i] }));
+  }
+
+  return {
+    get(language, voice, context = {}) {
+      const key = `${language}:${voice}`;
+      if (!recordings.has(key)) {
+        const phrases = recordAll(language, voice, context);
+        recordings.set(key, phrases);
+        phrases.catch(() => recordings.delete(key));
+      }
+      return recordings.get(key);
+    }
+  };
+}
+
+module.exports = { FALLBACK_PHRASES, createFallbackRecordings };
@@ -0,0 +1,30 @@
+// json-file.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Saves a JSON document to `filePath` one write at a time. Each save waits for
+ * the previous one and goes to a temporary file that is then renamed over
+ * `filePath`, so the file on disk is always a whole document, never a mix of
+ * two writes or one cut short by a crash.
+ * save(data) takes a snapshot of `data` right away and resolves once it is on disk.
+ */
+function createJsonFileWriter(filePath) {
+  const tempPath = `${filePath}.tmp`;
+  let lastWrite = Promise.resolve();
+
+  return {
+    save(data) {
+      const json = JSON.stringify(data, null, 2);
+      const write = lastWrite.then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, json);
+        await fs.promises.rename(tempPath, filePath);
+      });
+      lastWrite = write.catch(() => {}); // A failed write doesn't stop the next ones
+      return write;
+    }
+  };
+}
+
+module.exports = { createJsonFileWriter };
@@ -0,0 +1,161 @@
+// languages.js
+
+/**
+ * Languages the bear speaks. Each one adds its `instructions` to the bear's
+ * persona and mode, has the `scriptedReply` instruction that makes the bear say
+ * a sentence verbatim (see buildScriptedReplyEvent in sessions.js), and translates
+ * the messages the server sends to the child, by error code (see localizeError). The Portuguese messages are written next
+ * to the code that sends them, so 'pt-BR' has no `messages`.
+ */
+const LANGUAGES = {
+  'pt-BR': {
+    name: 'Português',
+    instructions: 'Fale sempre em português do Brasil.',
+    scriptedReply: 'Diga exatamente, com voz calma e carinhosa, apenas esta frase:',
+    messages: {}
+  },
+  en: {
+    name: 'English',
+    instructions: 'Fale sempre em inglês (English), com palavras simples, mesmo que estas instruções estejam em português.',
+    scriptedReply: 'Say exactly, in a calm and loving voice, only this sentence:',
+    messages: {
+      RATE_LIMITED: 'Too many requests, please try again in a little while',
+      DEVICE_AUTH_REQUIRED: 'This bear is not paired',
+      INVALID_PAIRING_CODE: 'Invalid or expired pairing code',
+      AUDIO_MISSING: 'No audio was sent',
+      UNSUPPORTED_RESPONSE_FORMAT: 'Unsupported audio format',
+      UNKNOWN_MODE: 'Unknown mode',
+      UNKNOWN_LANGUAGE: 'Unknown language',
+      UNKNOWN_VOICE: 'Unknown voice',
+      PROFILE_NOT_FOUND: 'Profile not found',
+      SESSION_NOT_FOUND: 'Session not found',
+      QUIET_HOURS: "It's time to rest now! Let's talk again later.",
+      DAILY_LIMIT_REACHED: "We've talked a lot today! Let's play something else and talk again tomorrow.",
+      MONTHLY_BUDGET_EXCEEDED: 'The bear needs to rest for a few days. Ask a grown-up to take a look!',
+      INVALID_AUDIO: 'The audio could not be read',
+      UNSUPPORTED_INPUT_FORMAT: 'Unsupported input audio format',
+      EMPTY_AUDIO: 'The audio is empty',
+      UNSUPPORTED_SAMPLE_RATE: 'Unsupported sample rate',
+      AUDIO_TOO_SHORT: 'The audio is too short',
+      AUDIO_TOO_LONG: 'The audio is too long',
+      SILENT_AUDIO: 'The audio is silent',
+      RESPONSE_ABORTED: 'Reply interrupted',
+      UPSTREAM_API_ERROR: "The bear couldn't answer right now",
+      UPSTREAM_CLOSED: "The bear couldn't answer right now",
+      UPSTREAM_ERROR: "The bear couldn't answer right now",
+      UPSTREAM_TIMEOUT: "The bear couldn't answer right now",
+      INTERNAL_ERROR: 'Internal error while processing the audio',
+      BEDTIME: "Time's up! Now it's time to get ready for bed. Good night!"
+    }
+  },
+  es: {
+    name: 'Español',
+    instructions: 'Fale sempre em espanhol (español), com palavras simples, mesmo que estas instruções estejam em português.',
+    scriptedReply: 'Di exactamente, con voz tranquila y cariñosa, solo esta frase:',
+    messages: {
+      RATE_LIMITED: 'Demasiadas solicitudes, inténtalo de nuevo en un ratito',
+      DEVICE_AUTH_REQUIRED: 'Este osito no está emparejado',
+      INVALID_PAIRING_CODE: 'Código de emparejamiento inválido o caducado',
+      AUDIO_MISSING: 'No se envió audio',
+      UNSUPPORTED_RESPONSE_FORMAT: 'Formato de audio no compatible',
+      UNKNOWN_MODE: 'Modo desconocido',
+      UNKNOWN_LANGUAGE: 'Idioma desconocido',
+      UNKNOWN_VOICE: 'Voz desconocida',
+      PROFILE_NOT_FOUND: 'Perfil no encontrado',
+      SESSION_NOT_FOUND: 'Sesión no encontrada',
+      QUIET_HOURS: '¡Ahora es hora de descansar! Hablamos de nuevo más tarde.',
+      DAILY_LIMIT_REACHED: '¡Ya hablamos mucho hoy! Vamos a jugar a otra cosa y hablamos mañana.',
+      MONTHLY_BUDGET_EXCEEDED: 'El osito necesita descansar unos días. ¡Pídele a un adulto que le eche un vistazo!',
+      INVALID_AUDIO: 'No se pudo leer el audio',
+      UNSUPPORTED_INPUT_FORMAT: 'Formato de audio de entrada no compatible',
+      EMPTY_AUDIO: 'El audio está vacío',
+      UNSUPPORTED_SAMPLE_RATE: 'Frecuencia de muestreo no compatible',
+      AUDIO_TOO_SHORT: 'El audio es demasiado corto',
+      AUDIO_TOO_LONG: 'El audio es demasiado largo',
+      SILENT_AUDIO: 'El audio está en silencio',
+      RESPONSE_ABORTED: 'Respuesta interrumpida',
+      UPSTREAM_API_ERROR: 'El osito no pudo responder ahora',
+      UPSTREAM_CLOSED: 'El osito no pudo responder ahora',
+      UPSTREAM_ERROR: 'El osito no pudo responder ahora',
+      UPSTREAM_TIMEOUT: 'El osito no pudo responder ahora',
+      INTERNAL_ERROR: 'Error interno al procesar el audio',
+      BEDTIME: '¡Se acabó el tiempo! Ahora es hora de prepararse para dormir. ¡Buenas noches!'
+    }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+// The key of LANGUAGES for a language tag ('en-US' -> 'en', 'pt' -> 'pt-BR'), or null
+function matchLanguage(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  const wanted = tag.trim().toLowerCase();
+  const keys = Object.keys(LANGUAGES);
+  return keys.find(key => key.toLowerCase() === wanted)
+    || keys.find(key => key.split('-')[0].toLowerCase() === wanted.split('-')[0])
+    || null;
+}
+
+// Returns an error message, or null when `language` is one of LANGUAGES
+function validateLanguage(language) {
+  if (!matchLanguage(language)) {
+    return `Idioma desconhecido. Use um de: ${Object.keys(LANGUAGES).join(', ')}`;
+  }
+  return null;
+}
+
+// Language tags of an Accept-Language header, most preferred first
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { tag, quality: quality ? Number(quality[1]) : 1 };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+}
+
+// The first of `candidates` (tags, null or undefined) that is one of LANGUAGES, or DEFAULT_LANGUAGE
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = matchLanguage(candidate);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translates the `error` of an error body ({ error, code, ... }) sent to the
+ * child into `language`. Bodies whose code has no translation are returned as is.
+ */
+function localizeError(language, body) {
+  return body && body.code ? { ...body, error: translateMessage(language, body.code, body.error) } : body;
+}
+
+/**
+ * What the bear is told about `language`: to always speak it or, in a `bilingual`
+ * mode (see modes.js) that mixes two languages on purpose, only which one is the child's.
+ */
+function buildLanguageInstructions(language, { bilingual = false } = {}) {
+  return bilingual ? `O idioma da criança é ${LANGUAGES[language].name}.` : LANGUAGES[language].instructions;
+}
+
+// `message` (Portuguese) in `language`, when the catalog has a translation for `code`
+function translateMessage(language, code, message) {
+  return LANGUAGES[language].messages[code] || message;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  matchLanguage,
+  validateLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localizeError,
+  buildLanguageInstructions,
+  translateMessage
+};
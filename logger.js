@@ -0,0 +1,68 @@
+// logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Níveis em ordem de gravidade; LOG_LEVEL esconde os mais baixos
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Request id of the HTTP request being handled, seen by every log line written while handling it
+const requestContext = new AsyncLocalStorage();
+
+function defaultWrite(level, line) {
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Errors are logged as { message, code, stack } instead of the '{}' JSON.stringify gives
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    serialized[key] = value instanceof Error ? { message: value.message, code: value.code, stack: value.stack } : value;
+  }
+  return serialized;
+}
+
+/**
+ * Structured logger: each call writes one JSON line,
+ * { time, level, msg, requestId, ...fields }, errors to stderr and the rest to stdout.
+ * `requestId` comes from runWithRequestId(); `fields` are added to every line
+ * and child(fields) returns a logger adding more.
+ * Lines below `level` ('debug', 'info', 'warn' or 'error'; defaults to LOG_LEVEL,
+ * read on every call as .env is loaded after the modules, or 'info') are dropped.
+ */
+function createLogger({ level = null, fields = {}, write = defaultWrite } = {}) {
+  function log(lineLevel, msg, extra = {}) {
+    if (LEVELS[lineLevel] < (LEVELS[level || process.env.LOG_LEVEL] || LEVELS.info)) return;
+    const context = requestContext.getStore();
+    write(lineLevel, JSON.stringify({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      requestId: context ? context.requestId : undefined,
+      ...fields,
+      ...serializeFields(extra)
+    }));
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: childFields => createLogger({ level, fields: { ...fields, ...serializeFields(childFields) }, write })
+  };
+}
+
+// Runs `fn` with `requestId` added to the log lines it writes, including from its callbacks
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+// Request id of the request being handled, or undefined outside of one
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : undefined;
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, runWithRequestId, currentRequestId };
@@ -0,0 +1,94 @@
+// metrics.js
+
+// Limites (em segundos) dos histogramas de latência
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Only the declared labels, in their declared order, so the same series always gets the same key
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : String(labels[name])]));
+}
+
+/**
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text exposition format (for a /metrics route).
+ * Each metric takes { name, help, labelNames }; values are recorded per
+ * combination of label values.
+ */
+function createMetricsRegistry() {
+  const metrics = []; // { name, help, type, render() }, in registration order
+
+  return {
+    // A value that only goes up: inc(labels, amount = 1)
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map(); // formatted labels -> value
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        render: () => [...series].map(([labels, value]) => `${name}${labels} ${value}`)
+      });
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = formatLabels(pickLabels(labelNames, labels));
+          series.set(key, (series.get(key) || 0) + amount);
+        }
+      };
+    },
+
+    // A value read when the metrics are rendered: collect() returns a number
+    gauge({ name, help, collect }) {
+      metrics.push({ name, help, type: 'gauge', render: () => [`${name} ${collect()}`] });
+    },
+
+    // Distribution of observed values (e.g. latencies in seconds): observe(value, labels)
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map(); // formatted labels -> { labels, counts (per bucket, cumulative on render), sum, count }
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => {
+          let cumulative = 0;
+          return [
+            ...buckets.map((bound, index) => {
+              cumulative += counts[index];
+              return `${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`;
+            }),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+          ];
+        })
+      });
+      return {
+        observe(value, labels = {}) {
+          const picked = pickLabels(labelNames, labels);
+          const key = formatLabels(picked);
+          if (!series.has(key)) series.set(key, { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 });
+          const entry = series.get(key);
+          const index = buckets.findIndex(bound => value <= bound);
+          if (index !== -1) entry.counts[index]++;
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    render() {
+      return metrics.map(({ name, help, type, render }) =>
+        [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()].join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetricsRegistry };
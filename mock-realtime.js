@@ -0,0 +1,282 @@
+// mock-realtime.js
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+
+// Resposta e transcrição enlatadas do servidor de teste
+const DEFAULT_REPLY_TEXT = 'Oi! Eu sou o ursinho de teste.';
+const DEFAULT_INPUT_TRANSCRIPT = 'Oi, ursinho!';
+
+const REPLY_SECONDS = 0.5;
+const REPLY_TONE_HZ = 440;
+const DELTA_COUNT = 4; // The reply audio is split in this many 'response.audio.delta' events
+
+// Silence in each G.711 flavour, so those output formats get audio of the right size
+const G711_SILENCE = { g711_ulaw: 0xff, g711_alaw: 0xd5 };
+
+// Contagem de tokens aproximada para o bloco `usage` de 'response.done'
+const AUDIO_BYTES_PER_TOKEN = 2400; // 50ms of 24kHz PCM16
+const INSTRUCTION_TOKENS = 100;
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '').slice(0, 20)}`;
+}
+
+// Canned reply audio in the session's output format
+function buildReplyAudio(outputAudioFormat) {
+  if (G711_SILENCE[outputAudioFormat] !== undefined) {
+    return Buffer.alloc(Math.round(8000 * REPLY_SECONDS), G711_SILENCE[outputAudioFormat]);
+  }
+  const sampleCount = Math.round(24000 * REPLY_SECONDS);
+  const audio = Buffer.alloc(sampleCount * 2);
+  for (let i = 0; i < sampleCount; i++) {
+    audio.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * REPLY_TONE_HZ * i / 24000)), i * 2);
+  }
+  return audio;
+}
+
+// `usage` of a response that read `inputAudioBytes` of the child's audio and answered with `outputAudio` and `outputText`
+function buildUsage(inputAudioBytes, outputAudio, outputText) {
+  const input = { text_tokens: INSTRUCTION_TOKENS, audio_tokens: Math.ceil(inputAudioBytes / AUDIO_BYTES_PER_TOKEN), cached_tokens: 0 };
+  const output = { text_tokens: outputText.split(/\s+/).filter(Boolean).length, audio_tokens: Math.ceil(outputAudio.length / AUDIO_BYTES_PER_TOKEN) };
+  const inputTokens = input.text_tokens + input.audio_tokens;
+  const outputTokens = output.text_tokens + output.audio_tokens;
+  return {
+    total_tokens: inputTokens + outputTokens,
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    input_token_details: input,
+    output_token_details: output
+  };
+}
+
+function splitBuffer(buffer, parts) {
+  const size = Math.ceil(buffer.length / parts / 2) * 2; // Keep PCM16 samples whole
+  const chunks = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    chunks.push(buffer.subarray(offset, offset + size));
+  }
+  return chunks;
+}
+
+/**
+ * Local stand-in for the OpenAI Realtime API, for development and tests
+ * without a key or network. Speaks the subset of the event protocol this
+ * server uses and answers every response with `replyText` and a short tone.
+ * Scripted replies ('response.create' with instructions quoting a sentence)
+ * say the quoted sentence instead.
+ *
+ * Options:
+ *   - port: 0 (default) picks a free port; see url() once listening.
+ *   - replyText, inputTranscript: canned texts.
+ *   - deltaIntervalMs: delay between deltas, so tests can cancel a reply mid-way.
+ *   - toolCall: { name, arguments (JSON string) } called before answering each
+ *     utterance, if the session advertises that tool; the reply then ends with
+ *     the function output.
+ *   - dropResponses: the first N 'response.create' (across connections) close the
+ *     connection without an error event, like a dropped upstream session.
+ *   - stallResponses: the first N 'response.create' are never answered.
+ * Resolves with { url(), connectionCount(), sessionUpdates(), close() } once listening;
+ * sessionUpdates() lists the `session` of every 'session.update' received, in order.
+ */
+function createMockRealtimeServer({ port = 0, replyText = DEFAULT_REPLY_TEXT, inputTranscript = DEFAULT_INPUT_TRANSCRIPT, deltaIntervalMs = 0, toolCall = null, dropResponses = 0, stallResponses = 0 } = {}) {
+  const wss = new WebSocket.Server({ host: '127.0.0.1', port });
+  let connectionCount = 0;
+  const sessionUpdates = [];
+  let responsesToDrop = dropResponses;
+  let responsesToStall = stallResponses;
+
+  wss.on('connection', (ws) => {
+    connectionCount++;
+    const session = { id: newId('sess'), input_audio_format: 'pcm16', output_audio_format: 'pcm16', input_audio_transcription: null };
+    let inputBuffer = [];
+    let activeResponse = null; // { id, timer, finish(status) }
+    let lastItem = null; // Last conversation item, to know whether a tool was just answered
+    let conversationAudioBytes = 0; // The child's audio in the conversation, read again by every response
+
+    function send(event) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ event_id: newId('event'), ...event }));
+      }
+    }
+
+    // `isCommit`: the item comes from the input audio buffer rather than 'conversation.item.create'
+    function addUserAudioItem(audioBase64, { isCommit = false } = {}) {
+      const item = { id: newId('item'), type: 'message', role: 'user', content: [{ type: 'input_audio', audio: audioBase64 }] };
+      conversationAudioBytes += Buffer.from(audioBase64, 'base64').length;
+      if (isCommit) send({ type: 'input_audio_buffer.committed', previous_item_id: null, item_id: item.id });
+      send({ type: 'conversation.item.created', item });
+      lastItem = item;
+      if (session.input_audio_transcription) {
+        setImmediate(() => send({ type: 'conversation.item.input_audio_transcription.completed', item_id: item.id, content_index: 0, transcript: inputTranscript }));
+      }
+    }
+
+    function createResponse(options = {}) {
+      if (activeResponse) {
+        send({ type: 'error', error: { type: 'invalid_request_error', message: 'Conversation already has an active response' } });
+        return;
+      }
+      const scriptedText = options.instructions && (options.instructions.match(/"(.*)"\s*$/) || [])[1];
+      const inConversation = options.conversation !== 'none';
+      const isToolAdvertised = toolCall && (session.tools || []).some(tool => tool.name === toolCall.name);
+      if (inConversation && isToolAdvertised && lastItem && lastItem.role === 'user') {
+        callFunction();
+        return;
+      }
+      const toolOutput = inConversation && lastItem && lastItem.type === 'function_call_output' ? lastItem.output : null;
+      const text = scriptedText || (toolOutput ? `${replyText} ${toolOutput}` : replyText);
+      const response = { id: newId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+      const item = { id: newId('item'), type: 'message', role: 'assistant', status: 'in_progress' };
+      const replyAudio = buildReplyAudio(session.output_audio_format);
+      const audioChunks = splitBuffer(replyAudio, DELTA_COUNT);
+      const textChunks = text.split(/(?<= )/);
+      const usage = buildUsage(inConversation ? conversationAudioBytes : 0, replyAudio, text);
+
+      send({ type: 'response.created', response });
+      send({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+      if (inConversation) {
+        send({ type: 'conversation.item.created', item });
+        lastItem = item;
+      }
+
+      let step = 0;
+      activeResponse = {
+        id: response.id,
+        timer: null,
+        finish(status) {
+          clearTimeout(this.timer);
+          activeResponse = null;
+          send({ type: 'response.done', response: { ...response, status, output: [{ ...item, status: 'completed' }], usage } });
+        }
+      };
+      const current = activeResponse;
+
+      (function sendNextDelta() {
+        if (activeResponse !== current) return;
+        if (step < audioChunks.length) {
+          send({ type: 'response.audio.delta', response_id: response.id, item_id: item.id, output_index: 0, content_index: 0, delta: audioChunks[step].toString('base64') });
+          if (textChunks[step]) {
+            send({ type: 'response.audio_transcript.delta', response_id: response.id, item_id: item.id, output_index: 0, content_index: 0, delta: textChunks[step] });
+          }
+          step++;
+          current.timer = setTimeout(sendNextDelta, deltaIntervalMs);
+          return;
+        }
+        const rest = textChunks.slice(step).join('');
+        if (rest) send({ type: 'response.audio_transcript.delta', response_id: response.id, item_id: item.id, output_index: 0, content_index: 0, delta: rest });
+        current.finish('completed');
+      })();
+    }
+
+    // A response that only calls `toolCall`, as the model does before using a tool's result
+    function callFunction() {
+      const response = { id: newId('resp'), object: 'realtime.response', status: 'in_progress', output: [] };
+      const item = { id: newId('item'), type: 'function_call', status: 'completed', name: toolCall.name, call_id: newId('call'), arguments: toolCall.arguments || '{}' };
+      send({ type: 'response.created', response });
+      send({ type: 'response.output_item.added', response_id: response.id, output_index: 0, item });
+      send({ type: 'conversation.item.created', item });
+      send({ type: 'response.function_call_arguments.done', response_id: response.id, item_id: item.id, output_index: 0, call_id: item.call_id, arguments: item.arguments });
+      send({ type: 'response.done', response: { ...response, status: 'completed', output: [item], usage: buildUsage(conversationAudioBytes, Buffer.alloc(0), item.arguments) } });
+      lastItem = item;
+    }
+
+    ws.on('message', (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.toString());
+      } catch (parseError) {
+        send({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+        return;
+      }
+
+      switch (event.type) {
+        case 'session.update':
+          sessionUpdates.push(event.session);
+          Object.assign(session, event.session);
+          send({ type: 'session.updated', session });
+          break;
+        case 'conversation.item.create': {
+          const content = (event.item && event.item.content) || [];
+          const audio = content.find(part => part.type === 'input_audio');
+          if (audio) {
+            addUserAudioItem(audio.audio);
+          } else {
+            lastItem = { id: newId('item'), ...event.item };
+            send({ type: 'conversation.item.created', item: lastItem });
+          }
+          break;
+        }
+        case 'conversation.item.delete':
+          send({ type: 'conversation.item.deleted', item_id: event.item_id });
+          break;
+        case 'conversation.item.truncate':
+          send({ type: 'conversation.item.truncated', item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+          break;
+        case 'input_audio_buffer.append':
+          inputBuffer.push(event.audio);
+          break;
+        case 'input_audio_buffer.clear':
+          inputBuffer = [];
+          send({ type: 'input_audio_buffer.cleared' });
+          break;
+        case 'input_audio_buffer.commit': {
+          if (inputBuffer.length === 0) {
+            send({ type: 'error', error: { type: 'invalid_request_error', message: 'Input audio buffer is empty' } });
+            break;
+          }
+          const audio = Buffer.concat(inputBuffer.map(chunk => Buffer.from(chunk, 'base64'))).toString('base64');
+          inputBuffer = [];
+          addUserAudioItem(audio, { isCommit: true });
+          break;
+        }
+        case 'response.create':
+          if (responsesToDrop > 0) {
+            responsesToDrop--;
+            ws.terminate();
+          } else if (responsesToStall > 0) {
+            responsesToStall--;
+          } else {
+            createResponse(event.response);
+          }
+          break;
+        case 'response.cancel':
+          if (activeResponse) activeResponse.finish('cancelled');
+          break;
+        default:
+          send({ type: 'error', error: { type: 'invalid_request_error', message: `Unknown event type: ${event.type}` } });
+      }
+    });
+
+    ws.on('close', () => {
+      if (activeResponse) clearTimeout(activeResponse.timer);
+      activeResponse = null;
+    });
+
+    send({ type: 'session.created', session });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      const { port: actualPort } = wss.address();
+      logger.info('Mock Realtime server listening', { url: `ws://127.0.0.1:${actualPort}` });
+      resolve({
+        url: () => `ws://127.0.0.1:${actualPort}`,
+        connectionCount: () => connectionCount,
+        sessionUpdates: () => [...sessionUpdates],
+        close: () => new Promise(done => {
+          wss.clients.forEach(client => client.terminate());
+          wss.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+// `node mock-realtime.js` runs it standalone, e.g. for OPENAI_REALTIME_URL=ws://127.0.0.1:4010
+if (require.main === module) {
+  createMockRealtimeServer({ port: parseInt(process.env.MOCK_REALTIME_PORT, 10) || 4010 });
+}
+
+module.exports = { createMockRealtimeServer };
@@ -0,0 +1,75 @@
+// modes.js
+
+/**
+ * Interaction modes: what the bear is doing with the child. Each mode adds its
+ * `instructions` to the bear's persona and caps the length of every reply with
+ * `maxResponseOutputTokens` (audio counts too: about 50 tokens per second of speech,
+ * 'inf' for no cap). A `bilingual` mode speaks two languages on purpose, so the bear
+ * is not told to always speak the session language. How the client listens in each mode is up to the client
+ * (see MODE_BEHAVIORS in script.js).
+ */
+const MODES = {
+  conversation: {
+    name: 'Conversa',
+    instructions: 'Responda de forma concisa, com no máximo 1-2 frases curtas.',
+    maxResponseOutputTokens: 800
+  },
+  story: {
+    name: 'Historinha para dormir',
+    instructions: 'Agora é hora da historinha de dormir. Conte uma história longa e tranquila, com começo, meio e fim, ' +
+      'sobre o que a criança pedir (ou escolha uma com a ferramenta find_story e aumente-a). ' +
+      'Fale devagar, com voz baixinha e calma, fazendo pausas entre as frases. Nada de sustos nem de agitação. ' +
+      'Termine sempre com um final suave e sonolento, desejando boa noite. ' +
+      'Se a criança interromper, responda com carinho e pergunte se ela quer continuar a história.',
+    maxResponseOutputTokens: 'inf'
+  },
+  quiz: {
+    name: 'Quiz',
+    instructions: 'Vocês estão brincando de quiz. Faça uma pergunta de cada vez, simples e adequada para a idade da criança, e espere a resposta. ' +
+      'Depois de cada resposta, chame a ferramenta record_quiz_answer dizendo se ela acertou, comemore os acertos, ' +
+      'explique a resposta certa com carinho quando ela errar, diga o placar e faça a próxima pergunta. ' +
+      'Se a criança quiser parar, diga o placar final e dê os parabéns.',
+    maxResponseOutputTokens: 1200
+  },
+  calm: {
+    name: 'Hora de acalmar',
+    instructions: 'A criança precisa se acalmar. Com voz muito suave e devagar, conduza um exercício de respiração: ' +
+      'puxe o ar pelo nariz contando até quatro, segure um pouquinho e solte o ar pela boca contando até quatro, repetindo três vezes. ' +
+      'Use frases curtas e acolhedoras, sem perguntas difíceis e sem pressa. ' +
+      'No fim, pergunte com carinho como ela está se sentindo e ofereça repetir o exercício.',
+    maxResponseOutputTokens: 4096
+  },
+  english: {
+    name: 'Aprender palavras em inglês',
+    instructions: 'Vocês estão aprendendo palavras em inglês. Responda em duas línguas: primeiro no idioma da criança, ' +
+      'em 1-2 frases curtas, e depois ensine uma ou duas palavras da conversa em inglês, dizendo a palavra em inglês devagar, ' +
+      'o que ela quer dizer e pedindo para a criança repetir. Comemore quando ela tentar, mesmo que a pronúncia não saia perfeita. ' +
+      'Se a criança já estiver falando em inglês, ensine as palavras em português.',
+    maxResponseOutputTokens: 1200,
+    bilingual: true
+  }
+};
+
+const DEFAULT_MODE = 'conversation';
+
+// Returns an error message, or null when `mode` is one of MODES
+function validateMode(mode) {
+  if (!Object.prototype.hasOwnProperty.call(MODES, mode)) {
+    return `Modo desconhecido. Use um de: ${Object.keys(MODES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Session fields ('session.update') for `mode`: the bear's `instructions`
+ * followed by the mode's, and its reply length cap.
+ */
+function buildModeSession(mode, instructions) {
+  const { instructions: modeInstructions, maxResponseOutputTokens } = MODES[mode];
+  return {
+    instructions: `${instructions} ${modeInstructions}`,
+    max_response_output_tokens: maxResponseOutputTokens
+  };
+}
+
+module.exports = { MODES, DEFAULT_MODE, validateMode, buildModeSession };
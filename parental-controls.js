@@ -0,0 +1,162 @@
+// parental-controls.js
+const fs = require('fs');
+const { DEFAULT_BLOCKED_TOPICS, DEFAULT_SAFE_REPLIES } = require('./safety');
+const { logger } = require('./logger');
+const { createJsonFileWriter } = require('./json-file');
+
+// Erros que os clientes podem falar para a criança com carinho
+const LIMIT_ERRORS = {
+  QUIET_HOURS: 'Agora é hora de descansar! Vamos conversar de novo mais tarde.',
+  DAILY_LIMIT_REACHED: 'Já conversamos bastante hoje! Vamos brincar de outra coisa e conversar amanhã.'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates device limits: { dailyMinutes: number|null, quietHours: { start: 'HH:MM', end: 'HH:MM' }|null }.
+ * Returns an error message, or null when the limits are valid.
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object') {
+    return 'Limites inválidos';
+  }
+  if (limits.dailyMinutes !== undefined && limits.dailyMinutes !== null
+    && (typeof limits.dailyMinutes !== 'number' || limits.dailyMinutes < 0)) {
+    return 'dailyMinutes deve ser um número de minutos maior ou igual a zero';
+  }
+  if (limits.quietHours !== undefined && limits.quietHours !== null) {
+    const { start, end } = limits.quietHours;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      return 'quietHours deve ter start e end no formato HH:MM';
+    }
+  }
+  return null;
+}
+
+/**
+ * Parent-defined rules (blocked topics, safe reply) and per-device usage limits
+ * (daily minute quota, quiet hours), persisted as a JSON file on disk together
+ * with today's usage of each device.
+ * While `blockedTopics` or `safeReply` is null the bear uses the defaults of the
+ * language it speaks (see safety.js); a list or reply set by the parents is used in every language.
+ * Times of day are evaluated in `timeZone` (defaults to the server's).
+ */
+function createParentalControls(filePath, { timeZone } = {}) {
+  let state = {
+    blockedTopics: null,
+    safeReply: null,
+    defaultLimits: { dailyMinutes: null, quietHours: null },
+    devices: {}, // deviceId -> limits
+    usage: {} // deviceId -> { date: 'YYYY-MM-DD', seconds }
+  };
+
+  try {
+    if (fs.existsSync(filePath)) {
+      state = { ...state, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  } catch (error) {
+    logger.error('Could not read parental controls', { filePath, error: error.message });
+  }
+
+  const dateFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const timeFormat = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  const file = createJsonFileWriter(filePath);
+
+  function persist() {
+    return file.save(state);
+  }
+
+  function limitsFor(deviceId) {
+    return { ...state.defaultLimits, ...(state.devices[deviceId] || {}) };
+  }
+
+  function secondsUsedToday(deviceId, now) {
+    const usage = state.usage[deviceId];
+    return usage && usage.date === dateFormat.format(now) ? usage.seconds : 0;
+  }
+
+  // Quiet hours may wrap around midnight (e.g. 20:00 -> 07:00)
+  function isQuietTime(quietHours, now) {
+    if (!quietHours) return false;
+    const current = timeFormat.format(now);
+    const { start, end } = quietHours;
+    return start <= end ? (current >= start && current < end) : (current >= start || current < end);
+  }
+
+  return {
+    getSettings() {
+      return {
+        blockedTopics: state.blockedTopics,
+        safeReply: state.safeReply,
+        defaultLimits: state.defaultLimits,
+        devices: state.devices
+      };
+    },
+
+    // The blocked topics and safe reply the bear follows when it speaks `language`
+    getSafetyRules(language) {
+      return {
+        blockedTopics: state.blockedTopics || DEFAULT_BLOCKED_TOPICS[language],
+        safeReply: state.safeReply || DEFAULT_SAFE_REPLIES[language]
+      };
+    },
+
+    async updateSettings({ blockedTopics, safeReply, defaultLimits }) {
+      if (blockedTopics !== undefined) state.blockedTopics = blockedTopics;
+      if (safeReply !== undefined) state.safeReply = safeReply;
+      if (defaultLimits !== undefined) state.defaultLimits = { ...state.defaultLimits, ...defaultLimits };
+      await persist();
+      return this.getSettings();
+    },
+
+    // Fields left undefined keep their current value (or the default limits)
+    async setDeviceLimits(deviceId, limits) {
+      const definedLimits = Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined));
+      state.devices[deviceId] = { ...(state.devices[deviceId] || {}), ...definedLimits };
+      await persist();
+      return limitsFor(deviceId);
+    },
+
+    getDeviceUsage(deviceId, now = new Date()) {
+      const limits = limitsFor(deviceId);
+      const minutesUsed = secondsUsedToday(deviceId, now) / 60;
+      return {
+        deviceId,
+        date: dateFormat.format(now),
+        minutesUsed: Math.round(minutesUsed * 10) / 10,
+        limits
+      };
+    },
+
+    /**
+     * Returns null when the device may talk now, or { code, error } when a
+     * quiet-hours window or the daily quota blocks it.
+     */
+    checkAccess(deviceId, now = new Date()) {
+      const limits = limitsFor(deviceId);
+      if (isQuietTime(limits.quietHours, now)) {
+        return { code: 'QUIET_HOURS', error: LIMIT_ERRORS.QUIET_HOURS };
+      }
+      if (typeof limits.dailyMinutes === 'number' && secondsUsedToday(deviceId, now) >= limits.dailyMinutes * 60) {
+        return { code: 'DAILY_LIMIT_REACHED', error: LIMIT_ERRORS.DAILY_LIMIT_REACHED };
+      }
+      return null;
+    },
+
+    // Adds talk time (child audio + bear audio) to today's usage of the device
+    recordUsage(deviceId, seconds, now = new Date()) {
+      const date = dateFormat.format(now);
+      const usage = state.usage[deviceId];
+      state.usage[deviceId] = {
+        date,
+        seconds: (usage && usage.date === date ? usage.seconds : 0) + seconds
+      };
+      persist().catch(error => {
+        logger.error('Could not save daily usage', { error: error.message });
+      });
+    }
+  };
+}
+
+module.exports = { validateLimits, createParentalControls };
@@ -0,0 +1,143 @@
+// profiles.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { createJsonFileWriter } = require('./json-file');
+const { validateLanguage } = require('./languages');
+
+// Vozes aceitas pela OpenAI Realtime API
+const SUPPORTED_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+const PROFILE_FIELDS = ['name', 'age', 'language', 'interests', 'voice', 'persona'];
+
+// Returns an error message, or null when `voice` is one of SUPPORTED_VOICES
+function validateVoice(voice) {
+  if (!SUPPORTED_VOICES.includes(voice)) {
+    return `Voz inválida. Use uma de: ${SUPPORTED_VOICES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validates the fields of a child profile.
+ * With `partial` set (updates), missing fields are allowed.
+ * Returns an error message, or null when the data is valid.
+ */
+function validateProfile(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object') {
+    return 'Perfil inválido';
+  }
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      return 'O nome da criança é obrigatório';
+    }
+  }
+  if (data.age !== undefined && (!Number.isInteger(data.age) || data.age < 1 || data.age > 17)) {
+    return 'A idade deve ser um número inteiro entre 1 e 17';
+  }
+  if (data.language !== undefined) {
+    const languageError = validateLanguage(data.language);
+    if (languageError) return languageError;
+  }
+  if (data.interests !== undefined && (!Array.isArray(data.interests) || data.interests.some(i => typeof i !== 'string'))) {
+    return 'Os interesses devem ser uma lista de textos';
+  }
+  if (data.voice !== undefined) {
+    const voiceError = validateVoice(data.voice);
+    if (voiceError) return voiceError;
+  }
+  if (data.persona !== undefined && typeof data.persona !== 'string') {
+    return 'A persona deve ser um texto';
+  }
+  return null;
+}
+
+/**
+ * Builds the bear's session instructions for a child profile.
+ * The profile persona, when set, replaces `baseInstructions`. The language is
+ * not part of it: the session adds the one it resolved (see languages.js).
+ */
+function buildInstructions(profile, baseInstructions) {
+  if (!profile) return baseInstructions;
+
+  const parts = [profile.persona && profile.persona.trim() ? profile.persona.trim() : baseInstructions];
+  parts.push(`Você está conversando com ${profile.name}. Cumprimente a criança pelo nome no começo da conversa e use o nome dela de vez em quando.`);
+  if (profile.age) {
+    parts.push(`${profile.name} tem ${profile.age} anos: adapte o vocabulário e as explicações para essa idade.`);
+  }
+  if (profile.interests && profile.interests.length > 0) {
+    parts.push(`Assuntos de que ${profile.name} gosta: ${profile.interests.join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Child profiles persisted as a JSON file on disk.
+ * The whole file is loaded at startup and rewritten on every change.
+ */
+function createProfileStore(filePath) {
+  let profiles = {};
+
+  try {
+    if (fs.existsSync(filePath)) {
+      profiles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Could not read profiles', { filePath, error: error.message });
+  }
+
+  const file = createJsonFileWriter(filePath);
+
+  function persist() {
+    return file.save(profiles);
+  }
+
+  function pickFields(data) {
+    const result = {};
+    for (const field of PROFILE_FIELDS) {
+      if (data[field] !== undefined) result[field] = data[field];
+    }
+    return result;
+  }
+
+  return {
+    list() {
+      return Object.values(profiles);
+    },
+
+    get(id) {
+      return profiles[id] || null;
+    },
+
+    async create(data) {
+      const now = new Date().toISOString();
+      const profile = {
+        id: crypto.randomUUID(),
+        language: 'pt-BR',
+        interests: [],
+        ...pickFields(data),
+        createdAt: now,
+        updatedAt: now
+      };
+      profiles[profile.id] = profile;
+      await persist();
+      return profile;
+    },
+
+    async update(id, data) {
+      if (!profiles[id]) return null;
+      profiles[id] = { ...profiles[id], ...pickFields(data), updatedAt: new Date().toISOString() };
+      await persist();
+      return profiles[id];
+    },
+
+    async remove(id) {
+      if (!profiles[id]) return false;
+      delete profiles[id];
+      await persist();
+      return true;
+    }
+  };
+}
+
+module.exports = { SUPPORTED_VOICES, validateVoice, validateProfile, buildInstructions, createProfileStore };
@@ -0,0 +1,79 @@
+// providers.js
+const WebSocket = require('ws');
+const { createMockRealtimeServer } = require('./mock-realtime');
+const { logger } = require('./logger');
+
+/**
+ * AI backends the bear can talk through. Every provider speaks the OpenAI
+ * Realtime event protocol over a WebSocket, so sessions and the streaming
+ * route don't need to know which one is in use:
+ *   - name: used in logs.
+ *   - start(): resolves once connect() can be used.
+ *   - connect(): opens a new upstream WebSocket.
+ *   - stop(): releases what start() acquired.
+ */
+
+const PROVIDERS = ['openai', 'mock'];
+
+/**
+ * The OpenAI Realtime API. `url` can point to another server speaking the same
+ * protocol (e.g. a standalone mock-realtime.js).
+ */
+function createOpenAIRealtimeProvider({ apiKey, model, url = 'wss://api.openai.com/v1/realtime' }) {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY environment variable is not set (use AI_PROVIDER=mock to run without it)');
+  }
+  const endpoint = `${url}?model=${encodeURIComponent(model)}`;
+
+  return {
+    name: 'openai',
+    start: async () => {},
+    connect() {
+      logger.info('Connecting to the Realtime API', { endpoint });
+      return new WebSocket(endpoint, {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'OpenAI-Beta': 'realtime=v1' // Specific header for this beta API
+        }
+      });
+    },
+    stop: async () => {}
+  };
+}
+
+/**
+ * Offline provider: starts a local mock Realtime server (see mock-realtime.js)
+ * that answers with canned audio and text. `options` are passed to it.
+ */
+function createMockProvider(options = {}) {
+  let mockServer = null;
+
+  return {
+    name: 'mock',
+    async start() {
+      if (!mockServer) mockServer = await createMockRealtimeServer(options);
+    },
+    connect() {
+      if (!mockServer) {
+        throw new Error('Mock provider used before start()');
+      }
+      return new WebSocket(mockServer.url());
+    },
+    async stop() {
+      if (mockServer) await mockServer.close();
+      mockServer = null;
+    }
+  };
+}
+
+/**
+ * Creates the provider called `name` (one of PROVIDERS).
+ * `config` holds the options of every provider: { openai: {...}, mock: {...} }.
+ */
+function createProvider(name, config = {}) {
+  if (name === 'openai') return createOpenAIRealtimeProvider(config.openai || {});
+  if (name === 'mock') return createMockProvider(config.mock);
+  throw new Error(`Unknown AI provider "${name}". Use one of: ${PROVIDERS.join(', ')}`);
+}
+
+module.exports = { PROVIDERS, createOpenAIRealtimeProvider, createMockProvider, createProvider };
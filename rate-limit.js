@@ -0,0 +1,35 @@
+// rate-limit.js
+
+/**
+ * Sliding-window rate limiter kept in memory: at most `max` hits per
+ * `windowMs` for each key (e.g. a device id). `max` of 0 disables it.
+ */
+function createRateLimiter({ max, windowMs = 60 * 1000 }) {
+  const hits = new Map(); // key -> times of the hits inside the window, oldest first
+
+  function recentHits(key, now) {
+    const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+    if (recent.length > 0) {
+      hits.set(key, recent);
+    } else {
+      hits.delete(key); // Keys that went quiet don't pile up
+    }
+    return recent;
+  }
+
+  return {
+    // Milliseconds to wait before `key` may hit again (0 when it may hit now)
+    retryAfterMs(key, now = Date.now()) {
+      if (!max) return 0;
+      const recent = recentHits(key, now);
+      return recent.length < max ? 0 : recent[recent.length - max] + windowMs - now;
+    },
+
+    hit(key, now = Date.now()) {
+      if (!max) return;
+      hits.set(key, [...recentHits(key, now), now]);
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
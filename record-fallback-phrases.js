@@ -0,0 +1,52 @@
+// record-fallback-phrases.js
+// Grava as frases de reserva na voz do ursinho para irem junto com o app (npm run record-fallback-phrases).
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { LANGUAGES } = require('./languages');
+const { logger } = require('./logger');
+
+dotenv.config();
+
+/**
+ * Asks a running server (SERVER_URL) for the fallback phrases of every language,
+ * as a paired device (DEVICE_TOKEN) would, and writes each answer of
+ * GET /fallback-phrases as is to FALLBACK_AUDIO_DIR/<language>.json (fallback-audio/
+ * next to index.html by default). They are not in the repository: record them before
+ * deploying the web app and deploy them with it. The service worker precaches them,
+ * so the bear has its own voice to say it can't answer even before it ever reached the server. VOICE picks the voice (the server's OPENAI_VOICE by default).
+ * Run it against a server with a real OPENAI_API_KEY: the mock provider only answers tones.
+ */
+async function recordFallbackPhrases({ serverUrl, deviceToken, voice, outputDir }) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+  for (const language of Object.keys(LANGUAGES)) {
+    const url = new URL('/fallback-phrases', serverUrl);
+    url.searchParams.set('language', language);
+    if (voice) url.searchParams.set('voice', voice);
+
+    const response = await fetch(url, { headers: { 'Authorization': `Bearer ${deviceToken}` } });
+    if (!response.ok) {
+      throw new Error(`GET ${url.pathname}${url.search} answered ${response.status}: ${await response.text()}`);
+    }
+    const recordings = await response.json();
+    const filePath = path.join(outputDir, `${language}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify(recordings));
+    logger.info('Fallback phrases recorded', { language, voice: recordings.voice, filePath });
+  }
+}
+
+const { SERVER_URL, DEVICE_TOKEN, VOICE } = process.env;
+if (!SERVER_URL || !DEVICE_TOKEN) {
+  logger.error('Set SERVER_URL and DEVICE_TOKEN (the token of a paired device) to record the fallback phrases');
+  process.exitCode = 1;
+} else {
+  recordFallbackPhrases({
+    serverUrl: SERVER_URL,
+    deviceToken: DEVICE_TOKEN,
+    voice: VOICE,
+    outputDir: process.env.FALLBACK_AUDIO_DIR || path.join(__dirname, 'fallback-audio')
+  }).catch(error => {
+    logger.error('Could not record the fallback phrases', { error: error.message });
+    process.exitCode = 1;
+  });
+}
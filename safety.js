@@ -0,0 +1,83 @@
+// safety.js
+
+// Assuntos bloqueados por padrão, por idioma (veja languages.js); os pais podem trocar a lista em /parental-controls
+const DEFAULT_BLOCKED_TOPICS = {
+  'pt-BR': [
+    { topic: 'violência', keywords: ['matar', 'morte', 'sangue', 'arma', 'armas', 'revólver', 'faca', 'briga', 'bater'] },
+    { topic: 'drogas e álcool', keywords: ['droga', 'drogas', 'cerveja', 'cigarro', 'bebida alcoólica', 'vinho'] },
+    { topic: 'conteúdo adulto', keywords: ['sexo', 'namorar', 'pelado', 'pelada'] },
+    { topic: 'medo', keywords: ['monstro assustador', 'fantasma', 'demônio'] },
+    { topic: 'dados pessoais', keywords: ['endereço', 'senha', 'telefone', 'cartão de crédito'] }
+  ],
+  en: [
+    { topic: 'violência', keywords: ['kill', 'death', 'blood', 'gun', 'guns', 'weapon', 'knife', 'fight', 'punch'] },
+    { topic: 'drogas e álcool', keywords: ['drug', 'drugs', 'beer', 'cigarette', 'alcohol', 'wine'] },
+    { topic: 'conteúdo adulto', keywords: ['sex', 'dating', 'naked'] },
+    { topic: 'medo', keywords: ['scary monster', 'ghost', 'demon'] },
+    { topic: 'dados pessoais', keywords: ['address', 'password', 'phone number', 'credit card'] }
+  ],
+  es: [
+    { topic: 'violência', keywords: ['matar', 'muerte', 'sangre', 'arma', 'armas', 'pistola', 'cuchillo', 'pelea', 'pegar'] },
+    { topic: 'drogas e álcool', keywords: ['droga', 'drogas', 'cerveza', 'cigarro', 'cigarrillo', 'alcohol', 'vino'] },
+    { topic: 'conteúdo adulto', keywords: ['sexo', 'novio', 'novia', 'desnudo', 'desnuda'] },
+    { topic: 'medo', keywords: ['monstruo aterrador', 'fantasma', 'demonio'] },
+    { topic: 'dados pessoais', keywords: ['dirección', 'contraseña', 'teléfono', 'tarjeta de crédito'] }
+  ]
+};
+
+// Resposta usada no lugar de uma fala bloqueada, por idioma
+const DEFAULT_SAFE_REPLIES = {
+  'pt-BR': 'Hmm, que tal a gente falar de outra coisa? Me conta qual é o seu bichinho favorito!',
+  en: "Hmm, how about we talk about something else? Tell me, what's your favorite animal?",
+  es: 'Mmm, ¿qué tal si hablamos de otra cosa? ¡Cuéntame cuál es tu animalito favorito!'
+};
+
+// Lowercase and strip accents so "Violência" matches "violencia"
+function normalizeText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks a transcript against the blocked topics.
+ * Keywords only match whole words (or whole phrases).
+ * Returns { topic, keyword } for the first rule that trips, or null.
+ */
+function findBlockedTopic(transcript, blockedTopics) {
+  if (!transcript) return null;
+  const normalizedTranscript = normalizeText(transcript);
+
+  for (const rule of blockedTopics) {
+    for (const keyword of rule.keywords || []) {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(normalizeText(keyword))}($|[^\\p{L}\\p{N}])`, 'u');
+      if (pattern.test(normalizedTranscript)) {
+        return { topic: rule.topic, keyword };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a list of blocked topics: [{ topic: string, keywords: string[] }].
+ * Returns an error message, or null when the list is valid.
+ */
+function validateBlockedTopics(blockedTopics) {
+  if (!Array.isArray(blockedTopics)) {
+    return 'blockedTopics deve ser uma lista';
+  }
+  for (const rule of blockedTopics) {
+    if (!rule || typeof rule.topic !== 'string' || !rule.topic.trim()) {
+      return 'Cada assunto bloqueado precisa de um nome (topic)';
+    }
+    if (!Array.isArray(rule.keywords) || rule.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      return `As palavras-chave de "${rule.topic}" devem ser uma lista de textos`;
+    }
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_BLOCKED_TOPICS, DEFAULT_SAFE_REPLIES, findBlockedTopic, validateBlockedTopics };
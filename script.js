@@ -2,30 +2,689 @@ document.addEventListener('DOMContentLoaded', () => {
     const statusElement = document.getElementById('status');
     const startButton = document.getElementById('startButton');
     const stopButton = document.getElementById('stopButton');
+    const resetButton = document.getElementById('resetButton');
+    const modeSelect = document.getElementById('modeSelect');
+    const languageSelect = document.getElementById('languageSelect');
+    const interruptButton = document.getElementById('interruptButton');
+    const activationSelect = document.getElementById('activationSelect');
+    const talkButton = document.getElementById('talkButton');
+    const enrollWakeButton = document.getElementById('enrollWakeButton');
+    const listeningIndicator = document.getElementById('listeningIndicator');
+    const pairingForm = document.getElementById('pairingForm');
+    const pairingCodeInput = document.getElementById('pairingCodeInput');
+    const pairButton = document.getElementById('pairButton');
+    const settingsPanel = document.getElementById('settingsPanel');
+    const serverUrlInput = document.getElementById('serverUrlInput');
+    const sensitivityInput = document.getElementById('sensitivityInput');
+    const micLevelBar = document.getElementById('micLevelBar');
+    const micThresholdMarker = document.getElementById('micThresholdMarker');
+    const speechTimeoutInput = document.getElementById('speechTimeoutInput');
+    const voiceSelect = document.getElementById('voiceSelect');
+    const volumeInput = document.getElementById('volumeInput');
+    const saveSettingsButton = document.getElementById('saveSettingsButton');
+    const restoreSettingsButton = document.getElementById('restoreSettingsButton');
 
     // --- Configuration ---
-    const SERVER_URL = 'https://teddybear-1.onrender.com/process-audio';
+    // Settings of the panel: these, then the server's defaults (GET /config), then what was saved here
+    const DEFAULT_SETTINGS = {
+        serverUrl: 'https://teddybear-1.onrender.com/process-audio',
+        speechThreshold: 0.008, // Never treat anything quieter than this as speech, however silent the room
+        speechTimeoutMs: 1500, // Hangover: time of silence before the utterance is sent
+        volume: 1, // Of the bear's replies, 0.0 to 1.0
+        voice: '' // One of the server's voices; '' leaves it to the child profile or the server
+    };
     const SAMPLE_RATE = 16000;
-    const SILENCE_THRESHOLD = 0.01; // Normalized - adjust this! (0.0 to 1.0)
-    const SPEECH_TIMEOUT_MS = 1500; // Time of silence before sending
-    const AUDIO_BUFFER_SIZE = 4096; // For ScriptProcessorNode
+    const PROFILE_ID = new URLSearchParams(window.location.search).get('profileId'); // Child profile, e.g. index.html?profileId=...
+    const DEVICE_ID = getOrCreateDeviceId(); // Identifies this bear for the parents' usage limits
+    const RESPONSE_FORMAT = 'pcm16'; // Raw 24kHz PCM16, played through the Web Audio API ('wav' also works)
+    const OUTPUT_SAMPLE_RATE = 24000; // Default rate of PCM16 responses
+    const VOICED_ERROR_CODES = ['QUIET_HOURS', 'DAILY_LIMIT_REACHED', 'MONTHLY_BUDGET_EXCEEDED']; // Server errors meant to be said to the child
+    const FRAME_SIZE = 512; // Samples per frame posted by the capture worklet (32ms at 16kHz)
+    const FRAME_MS = FRAME_SIZE / SAMPLE_RATE * 1000;
+    // Voice activity detection (levels are normalized RMS, 0.0 to 1.0; the minimum and the hangover are settings)
+    const SPEECH_TO_NOISE_RATIO = 3; // Speech starts when a frame is this many times louder than the noise floor
+    const ONSET_FRAMES = 3; // Consecutive loud frames needed to start an utterance (ignores clicks)
+    const NOISE_FLOOR_RISE_RATE = 0.01; // How fast the noise floor follows a louder room
+    const NOISE_FLOOR_FALL_RATE = 0.1; // How fast it follows a quieter room
+    const PRE_ROLL_MS = 400; // Audio kept from just before speech was detected
+    const MIN_UTTERANCE_MS = 300; // Shorter utterances (coughs, bumps) are discarded
+    const MAX_UTTERANCE_MS = 15000; // Longer utterances are sent as soon as they reach this length
+    // Barge-in: the mic stays on while the bear talks, with stricter rules so its own voice doesn't count
+    const BARGE_IN_SPEECH_TO_NOISE_RATIO = 6;
+    const BARGE_IN_ONSET_FRAMES = 6; // About 200ms of sustained speech
+    const ECHO_REJECTION_RATIO = 1.5; // The mic must be this many times louder than what the bear is playing
+    const ECHO_DECAY = 0.8; // Per frame; keeps the playback level up while its echo is still in the room
+    // How the bear listens in each interaction mode (the server's modes.js sets what it says).
+    // Without barge-in, noises during a long story or a breathing exercise don't cut the bear off;
+    // the "Interromper" button does instead.
+    const MODE_BEHAVIORS = {
+        conversation: { bargeIn: true },
+        story: { bargeIn: false },
+        quiz: { bargeIn: true },
+        calm: { bargeIn: false },
+        english: { bargeIn: true }
+    };
+    // Activation: how the child gets the bear's attention. 'always': any speech is sent; 'push': only
+    // while the talk button (or the spacebar) is held; 'wake': only after the wake phrase, which is
+    // detected in the browser (wake-word.js), so nothing said before it leaves the device.
+    const ACTIVATION_MODES = ['always', 'push', 'wake'];
+    const WAKE_WINDOW_MS = 8000; // After the wake phrase (or a reply), time the bear keeps listening for the child
+    const MAX_WAKE_PHRASE_MS = 3000; // Longer utterances are never the wake phrase
+    const CHIME_NOTE_SECONDS = 0.12;
+    const CHIME_VOLUME = 0.2;
+    // The level meter of the settings panel spans these levels on a logarithmic scale, like the sensitivity slider
+    const METER_MIN_RMS = 0.001;
+    const METER_MAX_RMS = 0.1;
+    // Offline resilience: a dropped stream is reconnected after RECONNECT_BASE_MS, then twice as long
+    // after every failure up to RECONNECT_MAX_MS (utterances go by POST meanwhile)
+    const RECONNECT_BASE_MS = 1000;
+    const RECONNECT_MAX_MS = 30000;
+    const FALLBACK_CACHE = 'ursinho-fallback-phrases'; // Recordings of GET /fallback-phrases, for when the server can't be reached
+    const FALLBACK_MESSAGES = { network: 'fallbackNetwork', server: 'fallbackServer', quota: 'fallbackQuota' }; // Translation of each phrase
 
     // --- State ---
     let audioContext;
     let mediaStream;
-    let scriptProcessor; // Or AudioWorkletNode
+    let captureNode; // AudioWorkletNode running capture-worklet.js
+    let voiceDetector;
+    let bargeInDetector; // Stricter detector used while the bear is talking
+    let playbackGain; // Sets the volume of every reply, before playbackAnalyser
+    let playbackAnalyser; // Every reply is played through it, to tell the bear's echo from the child
+    let playbackLevel = 0;
     let recordingBuffer = []; // Array of Float32Array chunks
-    let lastSpeechTime = 0;
+    let preRollBuffer = []; // Most recent frames while waiting for speech
     let isListening = false;
     let isSpeaking = false;
     let wakeLock = null;
+    let sessionId = getOrCreateSessionId(); // Lets the server remember earlier turns
+    let streamSocket = null; // WebSocket for full-duplex streaming (falls back to POST if unavailable)
+    let isStreamReady = false;
+    let playbackTime = 0; // When the next streamed chunk should start playing
+    let scheduledSources = new Set(); // Streamed chunks scheduled but not yet finished
+    let isResponseDone = false;
+    let streamSampleRate = OUTPUT_SAMPLE_RATE; // Announced by the server in the 'ready' event
+    let streamRequestId = null; // Names the streaming connection in the server logs
+    let isStreamingUtterance = false; // Whether the current utterance is being relayed over the stream
+    let responseStartTime = null; // audioContext time when the reply being played started
+    let currentAudio = null; // <audio> element playing a non-PCM reply
+    let pendingRequest = null; // AbortController of the /process-audio call in flight
+    let deviceToken = localStorage.getItem('ursinhoDeviceToken'); // Given by the server when this bear was paired
+    let rateLimitedUntil = 0; // Date.now() before which utterances are dropped, after a 429 from the server
+    let mode = MODE_BEHAVIORS[localStorage.getItem('ursinhoMode')] ? localStorage.getItem('ursinhoMode') : 'conversation';
+    let language = getPreferredLanguage(); // Of the interface and of the bear (the server translates its messages too)
+    let activationMode = ACTIVATION_MODES.includes(localStorage.getItem('ursinhoActivation')) ? localStorage.getItem('ursinhoActivation') : 'always';
+    let wakeWordDetector = createWakeWordDetector({ sampleRate: SAMPLE_RATE, templates: loadWakeTemplates() });
+    let isAwake = false; // The wake phrase was heard: utterances are sent until awakeUntil
+    let awakeUntil = 0;
+    let isEnrollingWakePhrase = false; // Utterances are recordings of the wake phrase, not sent
+    let isPushingToTalk = false;
+    let isCueOn = false; // Whether the indicator (and the last chime) told the child the bear is listening
+    let serverSettings = {}; // Defaults sent by the server (GET /config)
+    let localSettings = loadLocalSettings(); // Only what differs from the defaults, so new server defaults still apply
+    let settings = { ...DEFAULT_SETTINGS, ...localSettings };
+    let reconnectTimer = null;
+    let reconnectAttempts = 0; // Stream connections that failed in a row
+    let isConnectionLost = false; // The child was told the bear can't reach the server, and hears when it's back
+    let fallbackPhrases = {}; // kind -> { audio (base64 PCM16), sampleRate } in the current language and voice
+
+    // --- Conversation Session ---
+    function generateId() {
+        return (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    function getOrCreateDeviceId() {
+        let id = localStorage.getItem('ursinhoDeviceId');
+        if (!id) {
+            id = generateId();
+            localStorage.setItem('ursinhoDeviceId', id);
+        }
+        return id;
+    }
+
+    function getOrCreateSessionId() {
+        let id = sessionStorage.getItem('ursinhoSessionId');
+        if (!id) {
+            id = generateId();
+            sessionStorage.setItem('ursinhoSessionId', id);
+        }
+        return id;
+    }
+
+    // --- Settings ---
+    // Another route of the server whose /process-audio URL is in the settings
+    function serverRoute(route) {
+        return settings.serverUrl.replace(/\/process-audio$/, route);
+    }
+
+    // The /process-audio URL of the server at `value` (e.g. 'https://host/' or 'https://host/process-audio'),
+    // or null when it isn't an http(s) URL
+    function normalizeServerUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        url.search = '';
+        url.hash = '';
+        url.pathname = `${url.pathname.replace(/\/+$/, '').replace(/\/process-audio$/, '')}/process-audio`;
+        return url.href;
+    }
+
+    // Server URLs saved before they were normalized are normalized too, or forgotten
+    function loadLocalSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('ursinhoSettings')) || {};
+            if ('serverUrl' in saved) {
+                const serverUrl = normalizeServerUrl(saved.serverUrl);
+                if (serverUrl) saved.serverUrl = serverUrl;
+                else delete saved.serverUrl;
+            }
+            return saved;
+        } catch (error) {
+            console.warn("Could not load the settings:", error);
+            return {};
+        }
+    }
+
+    // Fetches the server's defaults; local settings still win. Without them the built-in defaults are used.
+    async function loadServerSettings() {
+        try {
+            const response = await fetch(serverRoute('/config'));
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            const { voices = [], voice, ...defaults } = await response.json();
+            serverSettings = defaults;
+            showVoices(voices, voice);
+        } catch (error) {
+            console.warn("Could not load the server's settings:", error);
+            serverSettings = {};
+        }
+        settings = { ...DEFAULT_SETTINGS, ...serverSettings, ...localSettings };
+        showSettings();
+    }
+
+    // The server's voices, after the option that leaves the voice to the server (named after its default)
+    function showVoices(voices, serverVoice) {
+        const defaultOption = voiceSelect.options[0];
+        defaultOption.dataset.voice = serverVoice || '';
+        voiceSelect.replaceChildren(defaultOption, ...voices.map(voice => new Option(voice, voice)));
+        updateDefaultVoiceLabel();
+    }
+
+    function updateDefaultVoiceLabel() {
+        const serverVoice = voiceSelect.options[0].dataset.voice;
+        voiceSelect.options[0].textContent = serverVoice ? t('voiceServerDefaultNamed', { voice: serverVoice }) : t('voiceServerDefault');
+    }
+
+    // Sensitivity runs the other way from the speech threshold: 100 takes the quietest voices
+    function levelToPercent(rms) {
+        const position = Math.log10(Math.max(rms, METER_MIN_RMS) / METER_MIN_RMS) / Math.log10(METER_MAX_RMS / METER_MIN_RMS);
+        return Math.min(100, Math.max(0, position * 100));
+    }
+
+    // Rounded, so an untouched slider gives back the default it shows (and nothing is saved)
+    function sensitivityToThreshold(sensitivity) {
+        return Number((METER_MIN_RMS * Math.pow(METER_MAX_RMS / METER_MIN_RMS, 1 - sensitivity / 100)).toPrecision(3));
+    }
+
+    function showSettings() {
+        serverUrlInput.value = settings.serverUrl;
+        sensitivityInput.value = 100 - levelToPercent(settings.speechThreshold);
+        speechTimeoutInput.value = settings.speechTimeoutMs;
+        if (settings.voice && ![...voiceSelect.options].some(option => option.value === settings.voice)) {
+            voiceSelect.add(new Option(settings.voice, settings.voice)); // Saved before the server's voices were loaded
+        }
+        voiceSelect.value = settings.voice;
+        volumeInput.value = settings.volume;
+        updateMicLevelMeter(0);
+    }
+
+    // The live level of the microphone against the speech threshold, while the panel is open
+    function updateMicLevelMeter(rms) {
+        const threshold = sensitivityToThreshold(Number(sensitivityInput.value));
+        micLevelBar.style.width = `${levelToPercent(rms)}%`;
+        micLevelBar.classList.toggle('loud', rms >= threshold);
+        micThresholdMarker.style.left = `${levelToPercent(threshold)}%`;
+    }
+
+    // Keeps what differs from the server's defaults; a new server or voice starts over with a new conversation
+    function saveSettings() {
+        const previous = settings;
+        const defaults = { ...DEFAULT_SETTINGS, ...serverSettings };
+        const serverUrl = normalizeServerUrl(serverUrlInput.value.trim() || DEFAULT_SETTINGS.serverUrl);
+        if (!serverUrl) {
+            updateStatus(t('invalidServerUrl'));
+            return;
+        }
+        const chosen = {
+            serverUrl,
+            speechThreshold: sensitivityToThreshold(Number(sensitivityInput.value)),
+            speechTimeoutMs: Math.max(300, Number(speechTimeoutInput.value) || defaults.speechTimeoutMs),
+            volume: Number(volumeInput.value),
+            voice: voiceSelect.value
+        };
+        localSettings = Object.fromEntries(Object.entries(chosen).filter(([key, value]) => value !== defaults[key]));
+        localStorage.setItem('ursinhoSettings', JSON.stringify(localSettings));
+        applySettings(previous);
+    }
+
+    function restoreDefaultSettings() {
+        const previous = settings;
+        localSettings = {};
+        localStorage.removeItem('ursinhoSettings');
+        applySettings(previous);
+    }
+
+    function applySettings(previous) {
+        settings = { ...DEFAULT_SETTINGS, ...serverSettings, ...localSettings };
+        if (playbackGain) playbackGain.gain.value = settings.volume;
+        showSettings();
+        if (settings.serverUrl !== previous.serverUrl) {
+            loadServerSettings();
+            loadFallbackPhrases();
+            resetConversation();
+        } else if (settings.voice !== previous.voice) {
+            loadFallbackPhrases();
+            resetConversation(); // The server only changes the voice of a new conversation
+        }
+        updateStatus(t('settingsSaved'));
+    }
+
+    // --- Device Pairing ---
+    function authHeaders() {
+        return deviceToken ? { 'Authorization': `Bearer ${deviceToken}` } : {};
+    }
+
+    function showPairingForm(isPairingNeeded) {
+        pairingForm.style.display = isPairingNeeded ? 'flex' : 'none';
+        startButton.style.display = isPairingNeeded ? 'none' : 'inline-block';
+        resetButton.style.display = isPairingNeeded ? 'none' : 'inline-block';
+    }
+
+    // Exchanges the code the parents generated for this bear's token
+    async function pairDevice() {
+        const code = pairingCodeInput.value.trim().toUpperCase();
+        if (!code) return;
+        updateStatus(t('pairing'));
+        try {
+            const response = await fetch(serverRoute('/devices/pair'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code })
+            });
+            const data = await response.json().catch(() => ({ error: t('unknownServerError') }));
+            if (!response.ok) throw new Error(data.error);
+            deviceToken = data.token;
+            localStorage.setItem('ursinhoDeviceToken', data.token);
+            localStorage.setItem('ursinhoDeviceId', data.deviceId);
+            pairingCodeInput.value = '';
+            showPairingForm(false);
+            updateStatus(t('paired'));
+            loadFallbackPhrases();
+        } catch (error) {
+            console.error("Error pairing device:", error);
+            updateStatus(t('pairingFailed', { message: error.message }));
+        }
+    }
+
+    // The server no longer accepts this bear (never paired, or revoked by the parents)
+    function handleUnauthorized() {
+        console.warn("Device token rejected by the server");
+        deviceToken = null;
+        localStorage.removeItem('ursinhoDeviceToken');
+        stopListening();
+        showPairingForm(true);
+        updateStatus(t('pairingRequired'), { spoken: true });
+    }
+
+    async function resetConversation() {
+        try {
+            await fetch(`${serverRoute('/sessions')}/${encodeURIComponent(sessionId)}/reset`, { method: 'POST', headers: authHeaders() });
+        } catch (error) {
+            console.error("Error resetting conversation:", error);
+        }
+        sessionStorage.removeItem('ursinhoSessionId');
+        sessionId = getOrCreateSessionId();
+        if (isListening) { // The stream keeps its own memory, so start a fresh one
+            disconnectStream();
+            connectStream();
+        }
+        updateStatus(t(isListening ? 'newConversationListening' : 'newConversation'));
+    }
+
+    // --- Language ---
+    // The saved choice, else the first of the browser's languages we have (e.g. 'en-US' -> 'en'), else 'pt-BR'
+    function getPreferredLanguage() {
+        const saved = localStorage.getItem('ursinhoLanguage');
+        if (TRANSLATIONS[saved]) return saved;
+        const languages = Object.keys(TRANSLATIONS);
+        for (const tag of navigator.languages || [navigator.language]) {
+            const match = languages.find(key => key.toLowerCase() === String(tag).toLowerCase())
+                || languages.find(key => key.split('-')[0] === String(tag).split('-')[0].toLowerCase());
+            if (match) return match;
+        }
+        return 'pt-BR';
+    }
+
+    // Text of `key` in the current language, with {name} placeholders filled in from `params`
+    function t(key, params = {}) {
+        const text = TRANSLATIONS[language][key] || TRANSLATIONS['pt-BR'][key] || key;
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+    }
+
+    // Translates the page: elements with data-i18n (text) and data-i18n-placeholder
+    function applyTranslations() {
+        document.documentElement.lang = language; // Also the voice of speakKindly()
+        document.title = t('title');
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        updateDefaultVoiceLabel();
+    }
+
+    // The bear's instructions depend on the language, so it starts a new conversation like a new mode
+    function changeLanguage() {
+        language = languageSelect.value;
+        localStorage.setItem('ursinhoLanguage', language);
+        applyTranslations();
+        loadFallbackPhrases();
+        resetConversation();
+    }
+
+    // --- Interaction Modes ---
+    // A new mode starts a new conversation, so the bear doesn't carry on a story in the middle of a quiz
+    function changeMode() {
+        mode = modeSelect.value;
+        localStorage.setItem('ursinhoMode', mode);
+        updateInterruptButton();
+        resetConversation();
+    }
+
+    function updateInterruptButton() {
+        interruptButton.style.display = isListening && !MODE_BEHAVIORS[mode].bargeIn ? 'inline-block' : 'none';
+    }
+
+    // --- Activation ---
+    function loadWakeTemplates() {
+        try {
+            return JSON.parse(localStorage.getItem('ursinhoWakeTemplates')) || [];
+        } catch (error) {
+            console.warn("Could not load the wake phrase:", error);
+            return [];
+        }
+    }
+
+    function changeActivationMode() {
+        activationMode = activationSelect.value;
+        localStorage.setItem('ursinhoActivation', activationMode);
+        discardUtterance();
+        isPushingToTalk = false;
+        isEnrollingWakePhrase = false;
+        isAwake = false;
+        updateActivationControls();
+        cueListening(isListening && activationMode === 'always');
+        if (isListening) updateStatus(idleStatus());
+    }
+
+    // The talk button and the wake phrase button only show in the modes that use them
+    function updateActivationControls() {
+        talkButton.style.display = isListening && activationMode === 'push' ? 'block' : 'none';
+        enrollWakeButton.style.display = activationMode === 'wake' ? 'inline-block' : 'none';
+    }
+
+    // Status while nobody is talking: tells the child how to get the bear's attention
+    function idleStatus() {
+        if (activationMode === 'push') return t('holdToTalk');
+        if (activationMode === 'wake' && !isAwake) return t(wakeWordDetector.isReady() ? 'sayWakePhrase' : 'recordWakePhraseFirst');
+        return t('listening');
+    }
+
+    // Whether what the microphone hears now may be sent to the server
+    function isAttentive() {
+        if (isEnrollingWakePhrase) return false;
+        return activationMode === 'always' || (activationMode === 'push' && isPushingToTalk) || (activationMode === 'wake' && isAwake);
+    }
+
+    // Tells the child when the bear starts and stops listening: the indicator lights up and a chime plays
+    function cueListening(isOn) {
+        if (isOn === isCueOn) return;
+        isCueOn = isOn;
+        listeningIndicator.classList.toggle('on', isOn);
+        playChime(isOn);
+    }
+
+    // Two short notes, rising when the bear starts listening and falling when it stops
+    function playChime(isRising) {
+        if (!audioContext || audioContext.state === 'closed') return;
+        const frequencies = isRising ? [660, 880] : [880, 660];
+        frequencies.forEach((frequency, index) => {
+            const startTime = audioContext.currentTime + index * CHIME_NOTE_SECONDS;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, startTime);
+            gain.gain.exponentialRampToValueAtTime(CHIME_VOLUME, startTime + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, startTime + CHIME_NOTE_SECONDS);
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + CHIME_NOTE_SECONDS);
+        });
+    }
+
+    // Push-to-talk: everything heard while the button (or the spacebar) is held is one utterance
+    function startPushToTalk() {
+        if (!isListening || activationMode !== 'push' || isPushingToTalk) return;
+        if (isSpeaking) interruptBear(); // Pressing always means the child wants to talk now
+        isPushingToTalk = true;
+        cueListening(true);
+        startUtterance();
+    }
+
+    function stopPushToTalk() {
+        if (!isPushingToTalk) return;
+        isPushingToTalk = false;
+        cueListening(false);
+        finishUtterance(recordingBuffer.length * FRAME_MS);
+    }
+
+    function handlePushToTalkFrame(frame) {
+        if (!isPushingToTalk) {
+            keepPreRoll(frame);
+            return;
+        }
+        recordingBuffer.push(frame);
+        if (isStreamingUtterance && isStreaming()) streamChunk(frame);
+        if (recordingBuffer.length * FRAME_MS >= MAX_UTTERANCE_MS) stopPushToTalk();
+    }
+
+    function wakeUp() {
+        console.log("Wake phrase detected");
+        isAwake = true;
+        awakeUntil = Date.now() + WAKE_WINDOW_MS;
+        cueListening(true);
+        updateStatus(t('listening'));
+    }
+
+    // The bear stays awake while someone is talking and for WAKE_WINDOW_MS after, for follow-up questions
+    function updateWakeWindow() {
+        if (!isAwake) return;
+        if (isSpeaking || recordingBuffer.length > 0) {
+            awakeUntil = Date.now() + WAKE_WINDOW_MS;
+        } else if (Date.now() >= awakeUntil) {
+            isAwake = false;
+            cueListening(false);
+            updateStatus(idleStatus());
+        }
+    }
+
+    // Utterances heard while the bear is asleep never leave the browser: they are only checked for the wake phrase
+    function checkForWakePhrase(audio, speechMs) {
+        if (speechMs < MIN_UTTERANCE_MS || speechMs > MAX_WAKE_PHRASE_MS) return;
+        if (isEnrollingWakePhrase) {
+            enrollWakePhrase(audio);
+        } else if (wakeWordDetector.matches(audio)) {
+            wakeUp();
+        }
+    }
+
+    // Records the wake phrase: the next utterances are enrolled by the detector instead of sent
+    async function startWakePhraseEnrollment() {
+        if (!isListening) await startListening();
+        if (!isListening) return;
+        discardUtterance();
+        wakeWordDetector.clear();
+        isAwake = false;
+        cueListening(false);
+        isEnrollingWakePhrase = true;
+        updateStatus(t('enrollingWakePhrase', { count: 1, total: wakeWordDetector.templateCount }));
+    }
+
+    function enrollWakePhrase(audio) {
+        if (!wakeWordDetector.enroll(audio)) {
+            updateStatus(t('wakePhraseRetry', { count: wakeWordDetector.enrolledCount() + 1, total: wakeWordDetector.templateCount }));
+            return;
+        }
+        if (!wakeWordDetector.isReady()) {
+            updateStatus(t('enrollingWakePhrase', { count: wakeWordDetector.enrolledCount() + 1, total: wakeWordDetector.templateCount }));
+            return;
+        }
+        isEnrollingWakePhrase = false;
+        localStorage.setItem('ursinhoWakeTemplates', JSON.stringify(wakeWordDetector.templates()));
+        updateStatus(t('wakePhraseRecorded'));
+    }
+
+    // Typing a space in a field (e.g. the pairing code) is not push-to-talk
+    function isTypingTarget(target) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+    }
+
+    // --- Offline Resilience ---
+    // Installable app: the service worker keeps the page working without Wi-Fi
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('service-worker.js')
+            .catch(error => console.warn("Could not register the service worker:", error));
+    }
+
+    function fallbackPhrasesUrl() {
+        return `${serverRoute('/fallback-phrases')}?language=${language}` + (settings.voice ? `&voice=${settings.voice}` : '');
+    }
+
+    // The bear's recordings of the fallback phrases: kept in the cache, fetched once per server, language and voice.
+    // Until the server recorded them, the ones deployed with the app (fallback-audio/), if any, are used.
+    async function loadFallbackPhrases() {
+        const url = fallbackPhrasesUrl();
+        const loaded = {};
+        let recordings = null;
+        if ('caches' in window) {
+            try {
+                const cache = await caches.open(FALLBACK_CACHE);
+                let response = await cache.match(url);
+                if (!response && deviceToken) {
+                    response = await fetch(url, { headers: authHeaders() });
+                    if (!response.ok) throw new Error(`Server error: ${response.status}`);
+                    await cache.put(url, response.clone());
+                }
+                if (response) recordings = await response.json();
+            } catch (error) {
+                console.warn("Could not load the fallback phrases:", error);
+            }
+        }
+        if (!recordings) recordings = await loadBundledFallbackPhrases();
+        if (recordings) {
+            recordings.phrases.forEach(({ kind, audio }) => {
+                loaded[kind] = { audio, sampleRate: recordings.sampleRate };
+            });
+        }
+        if (url === fallbackPhrasesUrl()) fallbackPhrases = loaded; // Unless the language or voice changed meanwhile
+    }
+
+    // Served by the service worker from the app shell, so it works without the server
+    async function loadBundledFallbackPhrases() {
+        try {
+            const response = await fetch(`fallback-audio/${language}.json`);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null; // Not deployed, or offline before the service worker was installed
+        }
+    }
+
+    // Tells the child why the bear can't answer, in its recorded voice or else the browser's
+    function sayFallback(kind) {
+        const message = t(FALLBACK_MESSAGES[kind]);
+        const recording = fallbackPhrases[kind];
+        if (kind === 'network') isConnectionLost = true;
+        if (!recording || !audioContext) {
+            isResponseDone = false;
+            speakKindly(message);
+            return;
+        }
+        isSpeaking = true;
+        isResponseDone = true; // Ends like a streamed reply, once the recording has played
+        playPcm16Chunk(recording.audio, recording.sampleRate);
+        updateStatus(message);
+    }
+
+    // The stream is back after the child heard the server couldn't be reached
+    function announceReconnected() {
+        if (!isConnectionLost) return;
+        isConnectionLost = false;
+        updateStatus(t('backOnline'), { spoken: true });
+    }
+
+    // Reconnects a stream that dropped, waiting longer after every failure
+    function scheduleReconnect() {
+        if (!isListening || reconnectTimer) return;
+        const delayMs = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts) * (0.5 + Math.random() / 2);
+        reconnectAttempts++;
+        console.log(`Reconnecting the stream in ${Math.round(delayMs)}ms`);
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (isListening && !streamSocket) connectStream();
+        }, delayMs);
+    }
+
+    // Right away, e.g. when the Wi-Fi is back or the page is shown again
+    function reconnectNow() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectAttempts = 0;
+        if (isListening && !streamSocket) connectStream();
+    }
 
     // --- UI Update ---
-    function updateStatus(message) {
+    // Messages that matter to the child (who may not read yet) are also `spoken`
+    function updateStatus(message, { spoken = false } = {}) {
+        if (spoken) {
+            speakKindly(message);
+            return;
+        }
         console.log("Status:", message);
         statusElement.textContent = message;
     }
 
+    // Says a server message out loud (e.g. parental limits), since young children can't read the status
+    function speakKindly(message) {
+        updateStatus(message);
+        if (!('speechSynthesis' in window)) {
+            isSpeaking = false;
+            return;
+        }
+        isSpeaking = true;
+        const utterance = new SpeechSynthesisUtterance(message);
+        utterance.lang = language;
+        utterance.volume = settings.volume;
+        utterance.onend = utterance.onerror = () => {
+            isSpeaking = false;
+        };
+        speechSynthesis.speak(utterance);
+    }
+
     // --- Screen Wake Lock ---
     async function requestWakeLock() {
         if ('wakeLock' in navigator) {
@@ -33,15 +692,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 wakeLock = await navigator.wakeLock.request('screen');
                 wakeLock.addEventListener('release', () => {
                     console.log('Screen Wake Lock was released');
-                    updateStatus("Bloqueio de tela liberado. A tela pode desligar.");
+                    updateStatus(t('wakeLockReleased'));
                 });
                 console.log('Screen Wake Lock is active');
             } catch (err) {
                 console.error(`${err.name}, ${err.message}`);
-                updateStatus("Não foi possível ativar o bloqueio de tela.");
+                updateStatus(t('wakeLockFailed'));
             }
         } else {
-            updateStatus("API de bloqueio de tela não suportada.");
+            updateStatus(t('wakeLockUnsupported'));
         }
     }
 
@@ -52,10 +711,167 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- Streaming ---
+    function connectStream() {
+        try {
+            const streamUrl = serverRoute('/stream-audio').replace(/^http/, 'ws')
+                + `?deviceId=${encodeURIComponent(DEVICE_ID)}&sampleRate=${SAMPLE_RATE}`
+                + `&sessionId=${encodeURIComponent(sessionId)}&mode=${mode}&language=${language}`
+                + (PROFILE_ID ? `&profileId=${encodeURIComponent(PROFILE_ID)}` : '')
+                + (settings.voice ? `&voice=${settings.voice}` : '');
+            // Browsers can't set headers on a WebSocket, so the token goes in the URL
+            streamSocket = new WebSocket(streamUrl + (deviceToken ? `&token=${encodeURIComponent(deviceToken)}` : ''));
+        } catch (error) {
+            console.warn("Streaming indisponível, usando POST:", error);
+            streamSocket = null;
+            return;
+        }
+
+        streamSocket.onmessage = (messageEvent) => {
+            let event;
+            try {
+                event = JSON.parse(messageEvent.data);
+            } catch (parseError) {
+                console.error("Error parsing stream message:", parseError);
+                return;
+            }
+
+            if (event.type === 'ready') {
+                isStreamReady = true;
+                reconnectAttempts = 0;
+                streamSampleRate = event.sampleRate || OUTPUT_SAMPLE_RATE;
+                streamRequestId = event.requestId || null;
+                console.log("Streaming session ready, request id:", streamRequestId);
+                announceReconnected();
+            } else if (event.type === 'audio.delta') {
+                isSpeaking = true; // Also when the bear speaks on its own (e.g. the bedtime timer ended)
+                playPcm16Chunk(event.audio, streamSampleRate);
+            } else if (event.type === 'response.blocked') {
+                stopStreamedPlayback(); // The safe reply follows as new deltas
+            } else if (event.type === 'response.done') {
+                isResponseDone = true;
+                finishStreamedResponse();
+            } else if (event.type === 'error' && event.code === 'RATE_LIMITED') {
+                stopStreamedPlayback();
+                waitForRateLimit(event.retryAfterSeconds);
+            } else if (event.type === 'error' && VOICED_ERROR_CODES.includes(event.code)) {
+                console.warn("Blocked by parental controls:", event.code);
+                stopStreamedPlayback();
+                isResponseDone = false;
+                speakKindly(event.error);
+            } else if (event.type === 'error') { // UPSTREAM_* and any other failure: the child hears the bear couldn't answer
+                console.error("Stream error:", event.code, event.error, "(request id:", streamRequestId, ")");
+                stopStreamedPlayback();
+                sayFallback('server');
+            }
+        };
+
+        streamSocket.onclose = (closeEvent) => {
+            console.log("Streaming connection closed");
+            if (closeEvent.code === 1008 && closeEvent.reason === 'Device revoked') {
+                handleUnauthorized();
+                return;
+            }
+            isStreamReady = false;
+            streamSocket = null;
+            if (isSpeaking && scheduledSources.size === 0) {
+                isSpeaking = false;
+                if (isListening) updateStatus(idleStatus());
+            }
+            // Rejections (1008, e.g. parental limits) would only be rejected again; POST is used instead
+            if (closeEvent.code !== 1008) scheduleReconnect();
+        };
+
+        streamSocket.onerror = (error) => {
+            console.error("Streaming connection error:", error);
+        };
+    }
+
+    function disconnectStream() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectAttempts = 0;
+        if (streamSocket) {
+            streamSocket.onclose = null;
+            streamSocket.close();
+            streamSocket = null;
+        }
+        isStreamReady = false;
+    }
+
+    function isStreaming() {
+        return streamSocket !== null && isStreamReady && streamSocket.readyState === WebSocket.OPEN;
+    }
+
+    function streamChunk(float32Chunk) {
+        streamSocket.send(float32To16BitPCM(float32Chunk).buffer);
+    }
+
+    function commitStreamedUtterance() {
+        updateStatus(t('processing'));
+        isSpeaking = true;
+        isResponseDone = false;
+        streamSocket.send(JSON.stringify({ type: 'commit' }));
+    }
+
+    // Decodes base64 PCM16 audio and schedules it right after what is already queued
+    function playPcm16Chunk(base64Audio, sampleRate) {
+        if (!audioContext) return;
+
+        const binary = atob(base64Audio);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        const pcm16 = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+        if (pcm16.length === 0) return;
+
+        const audioBuffer = audioContext.createBuffer(1, pcm16.length, sampleRate);
+        const channelData = audioBuffer.getChannelData(0);
+        for (let i = 0; i < pcm16.length; i++) {
+            channelData[i] = pcm16[i] / 0x8000;
+        }
+
+        const source = audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(playbackGain);
+
+        if (scheduledSources.size === 0) updateStatus(t('speaking'));
+        playbackTime = Math.max(playbackTime, audioContext.currentTime);
+        if (responseStartTime === null) responseStartTime = playbackTime;
+        source.start(playbackTime);
+        playbackTime += audioBuffer.duration;
+        scheduledSources.add(source);
+
+        source.onended = () => {
+            scheduledSources.delete(source);
+            finishStreamedResponse();
+        };
+    }
+
+    // Silences every chunk already scheduled for playback
+    function stopStreamedPlayback() {
+        scheduledSources.forEach(source => {
+            source.onended = null;
+            source.stop();
+        });
+        scheduledSources.clear();
+        playbackTime = 0;
+        responseStartTime = null;
+    }
+
+    function finishStreamedResponse() {
+        if (!isResponseDone || scheduledSources.size > 0) return;
+        isResponseDone = false;
+        responseStartTime = null;
+        isSpeaking = false;
+        if (isListening) updateStatus(idleStatus());
+    }
+
     // --- Audio Processing ---
     async function startListening() {
         if (isListening) return;
-        updateStatus("Iniciando microfone...");
+        updateStatus(t('startingMicrophone'));
 
         try {
             // 1. Get Audio Context
@@ -75,63 +891,248 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // 3. Create Audio Nodes
             const source = audioContext.createMediaStreamSource(mediaStream);
+            await audioContext.audioWorklet.addModule('capture-worklet.js');
+            captureNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+                processorOptions: { frameSize: FRAME_SIZE }
+            });
+            captureNode.port.onmessage = (messageEvent) => handleCapturedFrame(messageEvent.data);
 
-            // Using ScriptProcessorNode (deprecated but simpler for this example)
-            // For production, consider AudioWorkletNode for better performance
-            scriptProcessor = audioContext.createScriptProcessor(AUDIO_BUFFER_SIZE, 1, 1); // bufferSize, inputChannels, outputChannels
-
-            scriptProcessor.onaudioprocess = (audioProcessingEvent) => {
-                if (isSpeaking || !isListening) return; // Don't process if bear is speaking or stopped
+            voiceDetector = createVoiceActivityDetector();
+            bargeInDetector = createVoiceActivityDetector({
+                speechToNoiseRatio: BARGE_IN_SPEECH_TO_NOISE_RATIO,
+                onsetFrames: BARGE_IN_ONSET_FRAMES
+            });
+            preRollBuffer = [];
 
-                const inputBuffer = audioProcessingEvent.inputBuffer;
-                const inputData = inputBuffer.getChannelData(0); // Get data from channel 0
+            playbackGain = audioContext.createGain();
+            playbackGain.gain.value = settings.volume;
+            playbackAnalyser = audioContext.createAnalyser();
+            playbackAnalyser.fftSize = FRAME_SIZE;
+            playbackGain.connect(playbackAnalyser); // Measures what is really played, so a quieter bear is easier to talk over
+            playbackAnalyser.connect(audioContext.destination);
 
-                // Simple RMS for amplitude (can be improved)
-                let sum = 0;
-                for (let i = 0; i < inputData.length; i++) {
-                    sum += inputData[i] * inputData[i];
-                }
-                const rms = Math.sqrt(sum / inputData.length);
+            source.connect(captureNode);
+            captureNode.connect(audioContext.destination); // Keeps the node pulled by the graph (it outputs silence)
 
-                const currentTime = Date.now();
-
-                if (rms > SILENCE_THRESHOLD) {
-                    if (recordingBuffer.length === 0) { // Start of new speech segment
-                        updateStatus("Capturando fala...");
-                    }
-                    recordingBuffer.push(new Float32Array(inputData)); // Store a copy
-                    lastSpeechTime = currentTime;
-                } else {
-                    if (recordingBuffer.length > 0 && (currentTime - lastSpeechTime > SPEECH_TIMEOUT_MS)) {
-                        // End of speech detected
-                        const completeAudio = concatenateFloat32Arrays(recordingBuffer);
-                        recordingBuffer = []; // Clear buffer
-
-                        if (completeAudio.length > 0) {
-                            sendAudioToServer(completeAudio);
-                        } else {
-                             updateStatus("Ouvindo...");
-                        }
-                    }
-                }
-            };
-
-            source.connect(scriptProcessor);
-            scriptProcessor.connect(audioContext.destination); // Connect to output (though we don't play input)
+            connectStream();
 
             isListening = true;
             startButton.style.display = 'none';
             stopButton.style.display = 'inline-block';
-            updateStatus("Ouvindo...");
+            updateInterruptButton();
+            updateActivationControls();
+            cueListening(activationMode === 'always');
+            updateStatus(idleStatus());
             await requestWakeLock();
 
         } catch (error) {
             console.error("Error starting microphone:", error);
-            updateStatus(`Erro ao iniciar microfone: ${error.message}`);
             stopListening(); // Clean up
+            updateStatus(t('microphoneError', { message: error.message }), { spoken: true });
+        }
+    }
+
+    // --- Voice Activity Detection ---
+    function computeRms(frame) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sum += frame[i] * frame[i];
+        }
+        return Math.sqrt(sum / frame.length);
+    }
+
+    /**
+     * Adaptive detector: learns the room's noise floor while nobody is talking,
+     * starts an utterance after `onsetFrames` loud frames and only ends it after
+     * settings.speechTimeoutMs below a lower (hysteresis) threshold, never lower than
+     * settings.speechThreshold. Both are read on every frame, so saved settings apply at once.
+     * process(frame, echoRms) returns 'speech-start', 'speech-end' or null for each
+     * frame; `echoRms` is the level the bear is playing, which speech must clearly beat.
+     */
+    function createVoiceActivityDetector({ speechToNoiseRatio = SPEECH_TO_NOISE_RATIO, onsetFrames = ONSET_FRAMES } = {}) {
+        let noiseFloor = settings.speechThreshold / speechToNoiseRatio;
+        let isSpeech = false;
+        let loudFrames = 0;
+        let silentMs = 0;
+
+        return {
+            process(frame, echoRms = 0) {
+                const rms = computeRms(frame);
+                const startThreshold = Math.max(settings.speechThreshold, noiseFloor * speechToNoiseRatio, echoRms * ECHO_REJECTION_RATIO);
+
+                if (!isSpeech) {
+                    noiseFloor += (rms - noiseFloor) * (rms < noiseFloor ? NOISE_FLOOR_FALL_RATE : NOISE_FLOOR_RISE_RATE);
+                    loudFrames = rms > startThreshold ? loudFrames + 1 : 0;
+                    if (loudFrames >= onsetFrames) {
+                        isSpeech = true;
+                        silentMs = 0;
+                        return 'speech-start';
+                    }
+                    return null;
+                }
+
+                const continueThreshold = startThreshold * 0.6;
+                silentMs = rms > continueThreshold ? 0 : silentMs + FRAME_MS;
+                if (silentMs >= settings.speechTimeoutMs) {
+                    isSpeech = false;
+                    loudFrames = 0;
+                    return 'speech-end';
+                }
+                return null;
+            },
+
+            // Continues an utterance whose start was detected elsewhere (barge-in)
+            startSpeech() {
+                isSpeech = true;
+                silentMs = 0;
+            },
+
+            reset() {
+                isSpeech = false;
+                loudFrames = 0;
+                silentMs = 0;
+            }
+        };
+    }
+
+    // Level of what the bear is playing, held for a few frames to cover the echo's delay
+    function measurePlaybackLevel() {
+        const samples = new Float32Array(playbackAnalyser.fftSize);
+        playbackAnalyser.getFloatTimeDomainData(samples);
+        playbackLevel = Math.max(computeRms(samples), playbackLevel * ECHO_DECAY);
+        return playbackLevel;
+    }
+
+    function keepPreRoll(frame) {
+        preRollBuffer.push(frame);
+        if (preRollBuffer.length * FRAME_MS > PRE_ROLL_MS) preRollBuffer.shift();
+    }
+
+    // Start of new speech segment, including the audio just before it
+    function startUtterance() {
+        if (isAttentive()) updateStatus(t('capturing'));
+        isStreamingUtterance = isStreaming() && isAttentive(); // Nothing is sent before the bear is called
+        recordingBuffer = preRollBuffer;
+        preRollBuffer = [];
+        if (isStreamingUtterance) recordingBuffer.forEach(streamChunk);
+    }
+
+    function handleCapturedFrame(frame) {
+        if (!isListening) return;
+        if (settingsPanel.open) updateMicLevelMeter(computeRms(frame));
+        if (activationMode === 'push') {
+            handlePushToTalkFrame(frame);
+            return;
+        }
+        if (activationMode === 'wake') updateWakeWindow();
+        if (isSpeaking) {
+            if (MODE_BEHAVIORS[mode].bargeIn) detectBargeIn(frame);
+            return;
+        }
+
+        const vadEvent = voiceDetector.process(frame);
+
+        if (recordingBuffer.length === 0) {
+            keepPreRoll(frame);
+            if (vadEvent === 'speech-start') startUtterance();
+            return;
+        }
+
+        recordingBuffer.push(frame);
+        if (isStreamingUtterance && isStreaming()) streamChunk(frame); // Relay upstream as it is captured
+
+        const utteranceMs = recordingBuffer.length * FRAME_MS;
+        if (vadEvent === 'speech-end') {
+            finishUtterance(utteranceMs - settings.speechTimeoutMs);
+        } else if (utteranceMs >= MAX_UTTERANCE_MS) {
+            voiceDetector.reset();
+            finishUtterance(utteranceMs);
         }
     }
 
+    // While a reply is on its way or playing, listens for the child talking over the bear
+    function detectBargeIn(frame) {
+        // Notices said by speechSynthesis can't be measured for echo, so they are not interruptible
+        if ('speechSynthesis' in window && speechSynthesis.speaking) return;
+
+        keepPreRoll(frame);
+        if (bargeInDetector.process(frame, measurePlaybackLevel()) !== 'speech-start') return;
+
+        interruptBear();
+        // The onset frames are still in the pre-roll, so the beginning of what the child said is kept
+        voiceDetector.reset();
+        voiceDetector.startSpeech();
+        startUtterance();
+    }
+
+    // How much of the current reply the child has heard, or undefined if it hasn't started playing
+    function playedResponseMs() {
+        if (currentAudio) return Math.round(currentAudio.currentTime * 1000);
+        if (responseStartTime === null || !audioContext) return undefined;
+        return Math.max(0, Math.round((audioContext.currentTime - responseStartTime) * 1000));
+    }
+
+    // Barge-in: silences the bear and cancels (or truncates) its reply on the server
+    function interruptBear() {
+        console.log("Interrupting the bear");
+        const playedMs = playedResponseMs();
+
+        stopStreamedPlayback();
+        stopAudioResponse();
+        if (pendingRequest) {
+            pendingRequest.abort();
+            pendingRequest = null;
+        }
+
+        if (isStreaming()) {
+            streamSocket.send(JSON.stringify({ type: 'interrupt', playedMs }));
+        } else {
+            fetch(`${serverRoute('/sessions')}/${encodeURIComponent(sessionId)}/interrupt`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
+                body: JSON.stringify({ playedMs })
+            }).catch(error => console.error("Error interrupting reply:", error));
+        }
+
+        bargeInDetector.reset();
+        playbackLevel = 0;
+        isResponseDone = false;
+        isSpeaking = false;
+    }
+
+    // The server asked to slow down (429); utterances are dropped until Retry-After has passed
+    function waitForRateLimit(retryAfterSeconds) {
+        const waitMs = (Number(retryAfterSeconds) || 5) * 1000;
+        rateLimitedUntil = Date.now() + waitMs;
+        console.warn(`Rate limited by the server for ${waitMs}ms`);
+        sayFallback('quota');
+    }
+
+    // Sends the recorded utterance, or drops it if there was too little speech in it
+    function finishUtterance(speechMs) {
+        const completeAudio = concatenateFloat32Arrays(recordingBuffer);
+        recordingBuffer = []; // Clear buffer
+
+        if (isEnrollingWakePhrase || (activationMode === 'wake' && !isAwake)) {
+            checkForWakePhrase(completeAudio, speechMs);
+        } else if (speechMs < MIN_UTTERANCE_MS || Date.now() < rateLimitedUntil) {
+            console.log(speechMs < MIN_UTTERANCE_MS ? `Utterance too short (${Math.round(speechMs)}ms), discarded` : "Utterance discarded while rate limited");
+            if (isStreamingUtterance && isStreaming()) streamSocket.send(JSON.stringify({ type: 'clear' }));
+            if (Date.now() >= rateLimitedUntil) updateStatus(idleStatus());
+        } else if (isStreamingUtterance && isStreaming()) {
+            commitStreamedUtterance();
+        } else {
+            sendAudioToServer(completeAudio);
+        }
+    }
+
+    // Drops the utterance being captured, e.g. when the activation mode changes halfway
+    function discardUtterance() {
+        if (recordingBuffer.length > 0 && isStreamingUtterance && isStreaming()) streamSocket.send(JSON.stringify({ type: 'clear' }));
+        recordingBuffer = [];
+        if (voiceDetector) voiceDetector.reset();
+    }
+
     function concatenateFloat32Arrays(arrays) {
         let totalLength = 0;
         arrays.forEach(arr => totalLength += arr.length);
@@ -168,88 +1169,154 @@ document.addEventListener('DOMContentLoaded', () => {
     async function sendAudioToServer(float32AudioData) {
         if (isSpeaking) return; // Don't send if already processing/speaking
 
-        updateStatus("Processando...");
-        isSpeaking = true; // Prevent new recordings while processing
+        updateStatus(t('processing'));
+        isSpeaking = true; // Prevent new recordings while processing (barge-in can still cancel it)
+        const request = new AbortController();
+        pendingRequest = request;
 
         try {
             const pcm16AudioData = float32To16BitPCM(float32AudioData);
             const base64Audio = pcm16ArrayToBase64(pcm16AudioData);
 
-            const response = await fetch(SERVER_URL, {
+            const response = await fetch(settings.serverUrl, {
                 method: 'POST',
+                signal: request.signal,
                 headers: {
                     'Content-Type': 'application/json',
+                    ...authHeaders()
                 },
                 body: JSON.stringify({
                     audio: base64Audio,
-                    sampleRate: SAMPLE_RATE
+                    sampleRate: SAMPLE_RATE,
+                    inputFormat: 'pcm16',
+                    sessionId: sessionId,
+                    profileId: PROFILE_ID || undefined,
+                    mode: mode,
+                    language: language,
+                    voice: settings.voice || undefined,
+                    deviceId: DEVICE_ID,
+                    responseFormat: RESPONSE_FORMAT
                 }),
             });
 
+            if (response.status === 401) {
+                handleUnauthorized();
+                return;
+            }
+            isConnectionLost = false; // The reply itself tells the child the bear is back
+            if (response.status === 429) {
+                waitForRateLimit(response.headers.get('Retry-After'));
+                return;
+            }
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: "Erro desconhecido do servidor" }));
-                throw new Error(`Server error: ${response.status} - ${errorData.error || errorData.details}`);
+                const errorData = await response.json().catch(() => ({ error: t('unknownServerError') }));
+                if (VOICED_ERROR_CODES.includes(errorData.code)) { // Parental limits come with a message meant to be voiced
+                    speakKindly(errorData.error);
+                    return;
+                }
+                if (errorData.code === 'RESPONSE_ABORTED') return; // Cancelled by barge-in
+                if (response.status >= 500) {
+                    console.error(`Server error: ${response.status} - ${errorData.error} (request id: ${response.headers.get('X-Request-Id')})`);
+                    sayFallback('server');
+                    return;
+                }
+                // The request id finds this request in the server logs
+                throw new Error(`Server error: ${response.status} - ${errorData.error || errorData.details} (request id: ${response.headers.get('X-Request-Id')})`);
             }
 
             const responseData = await response.json();
             if (responseData.audio) {
-                playAudioResponse(responseData.audio);
+                playAudioResponse(responseData);
             } else {
-                throw new Error("Resposta do servidor não contém áudio.");
+                throw new Error(t('noAudioInReply'));
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') return; // Cancelled by barge-in, which already reset the state
             console.error("Error sending/receiving audio:", error);
-            updateStatus(`Erro de comunicação: ${error.message}`);
+            if (error instanceof TypeError) { // fetch() couldn't reach the server
+                sayFallback('network');
+                return;
+            }
+            updateStatus(t('communicationError', { message: error.message }));
             isSpeaking = false; // Allow listening again
-            if (isListening) updateStatus("Ouvindo...");
+            if (isListening) updateStatus(idleStatus());
+        } finally {
+            if (pendingRequest === request) pendingRequest = null;
         }
     }
 
-    async function playAudioResponse(base64Audio) {
-        updateStatus("Falando...");
+    // Plays a /process-audio response: { audio, format, mimeType, sampleRate }
+    async function playAudioResponse(responseData) {
+        if (!responseData.format || responseData.format === 'pcm16') {
+            // Raw PCM has no header an <audio> element could read, so it goes through the Web Audio API
+            playPcm16Chunk(responseData.audio, responseData.sampleRate || OUTPUT_SAMPLE_RATE);
+            isResponseDone = true;
+            finishStreamedResponse();
+            return;
+        }
+
+        updateStatus(t('speaking'));
         try {
-            const audioBlob = await (await fetch(`data:audio/webm;base64,${base64Audio}`)).blob(); // Assuming backend sends Opus/WebM compatible base64.
-                                                                                                // If backend sends raw PCM, this needs to change.
-                                                                                                // OpenAI's realtime API typically sends Opus which can be Base64.
+            const audioBlob = await (await fetch(`data:${responseData.mimeType};base64,${responseData.audio}`)).blob();
             const audioUrl = URL.createObjectURL(audioBlob);
             const audio = new Audio(audioUrl);
-            
-            // It's crucial that OpenAI returns audio in a format the browser <audio> can play
-            // directly from Base64, or you'll need to decode PCM and use Web Audio API for playback.
-            // If your backend sends raw PCM base64 encoded, the `playWithAudioTrack` logic from Android (adapted for Web Audio API) is needed.
-            // For now, let's assume the server's response is directly playable (e.g., Opus in a WebM container, then base64'd)
+            if (audioContext) audioContext.createMediaElementSource(audio).connect(playbackGain);
+            currentAudio = audio;
 
             audio.onended = () => {
+                currentAudio = null;
                 isSpeaking = false;
-                if (isListening) updateStatus("Ouvindo...");
+                if (isListening) updateStatus(idleStatus());
                 URL.revokeObjectURL(audioUrl);
             };
             audio.onerror = (e) => {
                 console.error("Error playing audio:", e);
-                updateStatus("Erro ao tocar resposta.");
+                currentAudio = null;
+                updateStatus(t('playbackFailed'));
                 isSpeaking = false;
-                if (isListening) updateStatus("Ouvindo...");
+                if (isListening) updateStatus(idleStatus());
                 URL.revokeObjectURL(audioUrl);
             };
             await audio.play();
         } catch (error) {
+            if (error.name === 'AbortError') return; // Paused by barge-in before it started
             console.error("Error playing audio response:", error);
-            updateStatus(`Erro na reprodução: ${error.message}`);
+            updateStatus(t('playbackError', { message: error.message }));
+            currentAudio = null;
             isSpeaking = false;
-            if (isListening) updateStatus("Ouvindo...");
+            if (isListening) updateStatus(idleStatus());
         }
     }
 
+    function stopAudioResponse() {
+        if (!currentAudio) return;
+        currentAudio.onended = currentAudio.onerror = null;
+        currentAudio.pause();
+        URL.revokeObjectURL(currentAudio.src);
+        currentAudio = null;
+    }
+
 
     function stopListening() {
         if (!isListening && !mediaStream) return;
 
+        cueListening(false); // Before the audio context closes, so the chime can still start
         isListening = false;
-        if (scriptProcessor) {
-            scriptProcessor.disconnect();
-            scriptProcessor.onaudioprocess = null; // Remove handler
-            scriptProcessor = null;
+        isPushingToTalk = false;
+        isEnrollingWakePhrase = false;
+        isAwake = false;
+        disconnectStream();
+        stopStreamedPlayback();
+        stopAudioResponse();
+        if (pendingRequest) {
+            pendingRequest.abort();
+            pendingRequest = null;
+        }
+        if (captureNode) {
+            captureNode.disconnect();
+            captureNode.port.onmessage = null; // Remove handler
+            captureNode = null;
         }
         if (mediaStream) {
             mediaStream.getTracks().forEach(track => track.stop());
@@ -260,15 +1327,74 @@ document.addEventListener('DOMContentLoaded', () => {
             audioContext = null;
         }
         recordingBuffer = [];
+        preRollBuffer = [];
+        isResponseDone = false;
+        isSpeaking = false;
         startButton.style.display = 'inline-block';
         stopButton.style.display = 'none';
-        updateStatus("Parado. Clique em Iniciar.");
+        updateInterruptButton();
+        updateActivationControls();
+        updateStatus(t('stopped'));
         releaseWakeLock();
     }
 
     // --- Event Listeners ---
     startButton.addEventListener('click', startListening);
     stopButton.addEventListener('click', stopListening);
+    resetButton.addEventListener('click', resetConversation);
+    applyTranslations();
+    updateStatus(t('clickStart'));
+    languageSelect.value = language;
+    languageSelect.addEventListener('change', changeLanguage);
+    modeSelect.value = mode;
+    modeSelect.addEventListener('change', changeMode);
+    activationSelect.value = activationMode;
+    activationSelect.addEventListener('change', changeActivationMode);
+    updateActivationControls();
+    enrollWakeButton.addEventListener('click', startWakePhraseEnrollment);
+    talkButton.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        talkButton.setPointerCapture(event.pointerId); // Keeps the release even if the finger slides off
+        startPushToTalk();
+    });
+    talkButton.addEventListener('pointerup', stopPushToTalk);
+    talkButton.addEventListener('pointercancel', stopPushToTalk);
+    document.addEventListener('keydown', (event) => {
+        if (event.code !== 'Space' || event.repeat || activationMode !== 'push' || isTypingTarget(event.target)) return;
+        event.preventDefault();
+        startPushToTalk();
+    });
+    document.addEventListener('keyup', (event) => {
+        if (event.code !== 'Space' || activationMode !== 'push' || isTypingTarget(event.target)) return;
+        event.preventDefault(); // Also keeps a focused button from being clicked
+        stopPushToTalk();
+    });
+    interruptButton.addEventListener('click', () => {
+        if (isSpeaking) interruptBear();
+    });
+    pairButton.addEventListener('click', pairDevice);
+    pairingCodeInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') pairDevice();
+    });
+    saveSettingsButton.addEventListener('click', saveSettings);
+    restoreSettingsButton.addEventListener('click', restoreDefaultSettings);
+    sensitivityInput.addEventListener('input', () => updateMicLevelMeter(0));
+    showSettings();
+    loadServerSettings();
+    loadFallbackPhrases();
+    registerServiceWorker();
+    window.addEventListener('offline', () => {
+        if (isListening && !isSpeaking) sayFallback('network');
+    });
+    window.addEventListener('online', () => {
+        loadFallbackPhrases();
+        reconnectNow();
+    });
+
+    if (!deviceToken) {
+        showPairingForm(true);
+        updateStatus(t('pairingIntro'));
+    }
 
     // Handle page visibility changes
     document.addEventListener('visibilitychange', () => {
@@ -287,6 +1413,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (isListening && wakeLock === null) { // If was listening and wake lock got released
                 requestWakeLock();
             }
+            reconnectNow(); // The stream may have dropped while the page was hidden
             if (audioContext && audioContext.state === 'suspended') {
                 audioContext.resume(); // Try to resume audio context if suspended
             }
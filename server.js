@@ -1,17 +1,68 @@
 // server.js
+const http = require('http');
 const express = require('express');
 const WebSocket = require('ws');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { Buffer } = require('buffer');
+const path = require('path');
+const crypto = require('crypto');
+const { MAX_TOOL_ROUNDS, buildScriptedReplyEvent, retryTransient, createConversation, createConversationPool, createSessionManager } = require('./sessions');
+const { SUPPORTED_VOICES, validateVoice, validateProfile, buildInstructions, createProfileStore } = require('./profiles');
+const { findBlockedTopic, validateBlockedTopics } = require('./safety');
+const { validateLimits, createParentalControls } = require('./parental-controls');
+const { createTranscriptStore } = require('./transcripts');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, encodeResponseAudio, audioDurationSeconds } = require('./audio-format');
+const { SUPPORTED_SAMPLE_RATES, AudioInputError, normalizeInputAudio, createPcm16StreamResampler } = require('./audio-input');
+const { createProvider } = require('./providers');
+const { createToolRegistry, createBedtimeTimers, createQuizScores, registerBuiltInTools } = require('./tools');
+const { MODES, DEFAULT_MODE, validateMode, buildModeSession } = require('./modes');
+const { createFallbackRecordings } = require('./fallback-phrases');
+const {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  validateLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localizeError,
+  buildLanguageInstructions,
+  translateMessage
+} = require('./languages');
+const { validateDeviceName, createDeviceStore } = require('./devices');
+const { createRateLimiter } = require('./rate-limit');
+const { DEFAULT_PRICES, validateBudget, createUsageStore } = require('./usage');
+const { logger, runWithRequestId } = require('./logger');
+const { createMetricsRegistry } = require('./metrics');
 
 // Configuração de ambiente
 dotenv.config();
 const app = express();
-app.use(cors()); // Enable CORS for all routes
+
+// Origens (sites) autorizadas a chamar a API pelo navegador, separadas por vírgula
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (CORS_ORIGINS.length === 0) {
+  logger.warn('CORS_ORIGINS is not set, any website can call this server from a browser');
+}
+
+// Proxies trusted for the client IP (X-Forwarded-For), as Express's 'trust proxy': 'true', a number of hops
+// (e.g. 1 on Render or Heroku) or addresses/subnets separated by commas. Unset, req.ip is the address connecting.
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value.split(',').map(address => address.trim()).filter(Boolean);
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : true, exposedHeaders: ['Retry-After', 'X-Request-Id'] }));
 app.use(bodyParser.json({ limit: '50mb' })); // Allow large JSON payloads (for base64 audio)
 
+// Integer settings where 0 means something (e.g. a limit turned off): only a missing or unreadable value is the default
+function parseCount(value, defaultValue) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? defaultValue : count;
+}
+
 // Porta que o servidor irá escutar
 const PORT = process.env.PORT || 3000;
 
@@ -20,187 +71,1515 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 // Using the specific real-time model from your original code
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-realtime-preview';
 const OPENAI_VOICE = process.env.OPENAI_VOICE || 'alloy'; // Voice for the response
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL; // Another server speaking the Realtime protocol, if set
+
+// Provedor de IA: 'openai' (padrão) ou 'mock' (servidor local com respostas prontas, só para desenvolvimento e testes)
+const AI_PROVIDER = process.env.AI_PROVIDER || 'openai';
+const MOCK_REALTIME_PORT = parseInt(process.env.MOCK_REALTIME_PORT, 10) || 0; // 0 picks a free port
+const MOCK_DELTA_INTERVAL_MS = parseInt(process.env.MOCK_DELTA_INTERVAL_MS, 10) || 0;
+const MOCK_TOOL_CALL = process.env.MOCK_TOOL_CALL; // Tool the mock calls before every reply, e.g. get_current_time
+const MOCK_TOOL_ARGUMENTS = process.env.MOCK_TOOL_ARGUMENTS || '{}';
+const MOCK_DROP_RESPONSES = parseInt(process.env.MOCK_DROP_RESPONSES, 10) || 0; // The first N responses close the connection instead
+const MOCK_STALL_RESPONSES = parseInt(process.env.MOCK_STALL_RESPONSES, 10) || 0; // The first N responses never start
+
+// Memória de conversa por sessão
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 10 * 60 * 1000; // Forget idle sessions after 10 minutes
+const SESSION_MAX_HISTORY_ITEMS = parseInt(process.env.SESSION_MAX_HISTORY_ITEMS, 10) || 20; // Conversation items kept upstream per session
+
+// Prazos de cada fase da conexão com o provedor, e novas tentativas quando ela falha antes de o ursinho falar
+const UPSTREAM_TIMEOUTS = {
+  connectTimeoutMs: parseInt(process.env.UPSTREAM_CONNECT_TIMEOUT_MS, 10) || 5000, // WebSocket handshake
+  readyTimeoutMs: parseInt(process.env.UPSTREAM_READY_TIMEOUT_MS, 10) || 5000, // Until 'session.created'
+  firstDeltaTimeoutMs: parseInt(process.env.UPSTREAM_FIRST_DELTA_TIMEOUT_MS, 10) || 10000, // Until the reply's first audio
+  turnTimeoutMs: parseInt(process.env.UPSTREAM_TOTAL_TIMEOUT_MS, 10) || 30000 // Until 'response.done'
+};
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES ?? '2', 10);
+const UPSTREAM_RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS, 10) || 250; // Doubles on every retry
+
+// Sessões pré-aquecidas (conectadas e configuradas com a voz e instruções padrão); 0 desliga
+const WARM_POOL_SIZE = parseInt(process.env.WARM_POOL_SIZE, 10) || 0;
+const WARM_POOL_MAX_IDLE_MS = parseInt(process.env.WARM_POOL_MAX_IDLE_MS, 10) || 5 * 60 * 1000;
+
+// Perfis das crianças
+const PROFILES_FILE = process.env.PROFILES_FILE || path.join(__dirname, 'data', 'profiles.json');
+
+// Controle dos pais: assuntos bloqueados, cota diária e horário de silêncio
+const PARENTAL_CONTROLS_FILE = process.env.PARENTAL_CONTROLS_FILE || path.join(__dirname, 'data', 'parental-controls.json');
+const PARENTAL_TIMEZONE = process.env.PARENTAL_TIMEZONE; // e.g. America/Sao_Paulo; defaults to the server's time zone
+const DEFAULT_DEVICE_ID = 'default'; // Used when a client does not identify its device
+
+// Transcrições das conversas, para os pais
+const TRANSCRIPTS_FILE = process.env.TRANSCRIPTS_FILE || path.join(__dirname, 'data', 'transcripts.json');
+const INPUT_TRANSCRIPTION_MODEL = process.env.INPUT_TRANSCRIPTION_MODEL || 'whisper-1';
+const TRANSCRIPTION_GRACE_MS = 5000; // How long a one-shot connection waits for the child's transcript
+
+// Pareamento dos ursinhos e acesso dos pais
+const DEVICES_FILE = process.env.DEVICES_FILE || path.join(__dirname, 'data', 'devices.json');
+const REQUIRE_DEVICE_AUTH = process.env.REQUIRE_DEVICE_AUTH !== 'false'; // 'false' lets unpaired clients in (local development only)
+const PARENT_TOKEN = process.env.PARENT_TOKEN; // Required: a long random secret, e.g. from `openssl rand -base64 24`
+
+// Limites de requisições por minuto: cada POST, conexão de streaming e fala enviada conta uma; 0 desliga
+const RATE_LIMIT_DEVICE_PER_MINUTE = parseCount(process.env.RATE_LIMIT_DEVICE_PER_MINUTE, 30);
+const RATE_LIMIT_GLOBAL_PER_MINUTE = parseCount(process.env.RATE_LIMIT_GLOBAL_PER_MINUTE, 300);
+const RATE_LIMIT_PAIRING_PER_MINUTE = parseCount(process.env.RATE_LIMIT_PAIRING_PER_MINUTE, 10); // Per IP: guessing pairing codes stays slow
+
+// Consumo (tokens, segundos de áudio, custo estimado) e orçamentos mensais
+const USAGE_FILE = process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json');
+const USAGE_PRICES = { // USD per million tokens
+  textInput: parseFloat(process.env.PRICE_TEXT_INPUT_PER_MTOK) || DEFAULT_PRICES.textInput,
+  audioInput: parseFloat(process.env.PRICE_AUDIO_INPUT_PER_MTOK) || DEFAULT_PRICES.audioInput,
+  textOutput: parseFloat(process.env.PRICE_TEXT_OUTPUT_PER_MTOK) || DEFAULT_PRICES.textOutput,
+  audioOutput: parseFloat(process.env.PRICE_AUDIO_OUTPUT_PER_MTOK) || DEFAULT_PRICES.audioOutput
+};
+
+// Observabilidade: GET /metrics (Prometheus), protegida por METRICS_TOKEN quando definido
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 10000; // Time given to requests in flight on SIGTERM
+
+// Validação do áudio recebido
+const MIN_INPUT_SECONDS = parseFloat(process.env.MIN_INPUT_SECONDS) || 0.1;
+const MAX_INPUT_SECONDS = parseFloat(process.env.MAX_INPUT_SECONDS) || 60;
+const SILENCE_RMS_THRESHOLD = parseFloat(process.env.SILENCE_RMS_THRESHOLD) || 0.005; // Normalized (0.0 to 1.0)
+
+// Padrões dos clientes (GET /config); as configurações salvas em cada ursinho têm prioridade
+const CLIENT_SPEECH_THRESHOLD = parseFloat(process.env.CLIENT_SPEECH_THRESHOLD) || 0.008; // Quietest level counted as speech (normalized RMS)
+const CLIENT_SPEECH_TIMEOUT_MS = parseInt(process.env.CLIENT_SPEECH_TIMEOUT_MS, 10) || 1500; // Silence that ends an utterance
+const CLIENT_VOLUME = Math.min(1, Math.max(0, parseFloat(process.env.CLIENT_VOLUME ?? '1') || 0)); // Of the bear's replies, 0.0 to 1.0
+
+// A missing OPENAI_API_KEY stops the server: it never falls back to the mock's canned replies on its own
+let provider;
+try {
+  provider = createProvider(AI_PROVIDER, {
+    openai: { apiKey: OPENAI_API_KEY, model: OPENAI_MODEL, url: OPENAI_REALTIME_URL },
+    mock: {
+      port: MOCK_REALTIME_PORT,
+      deltaIntervalMs: MOCK_DELTA_INTERVAL_MS,
+      toolCall: MOCK_TOOL_CALL ? { name: MOCK_TOOL_CALL, arguments: MOCK_TOOL_ARGUMENTS } : null,
+      dropResponses: MOCK_DROP_RESPONSES,
+      stallResponses: MOCK_STALL_RESPONSES
+    }
+  });
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+if (provider.name === 'mock') {
+  logger.warn('AI_PROVIDER=mock, the bear answers with canned replies (development and tests only)');
+}
+
+if (!PARENT_TOKEN) {
+  logger.error("PARENT_TOKEN is not set: choose a long random secret for the parents' routes, e.g. with `openssl rand -base64 24`");
+  process.exit(1);
+}
+if (!REQUIRE_DEVICE_AUTH) {
+  logger.warn('REQUIRE_DEVICE_AUTH=false, unpaired clients can use the audio routes');
+}
+if (!SUPPORTED_VOICES.includes(OPENAI_VOICE)) {
+  logger.warn('OPENAI_VOICE is not one of the voices clients can choose', { voice: OPENAI_VOICE, voices: SUPPORTED_VOICES });
+}
+
+logger.info('AI provider configured', { provider: provider.name, model: OPENAI_MODEL, voice: OPENAI_VOICE });
+
+// Métricas expostas em GET /metrics
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter({ name: 'ursinho_http_requests_total', help: 'HTTP requests answered, by route ("unmatched" when no route handled it) and status', labelNames: ['method', 'route', 'status'] });
+const clientErrors = metrics.counter({ name: 'ursinho_errors_total', help: 'Errors answered to clients, by code (HTTP_<status> when the answer has none)', labelNames: ['code'] });
+const upstreamFailures = metrics.counter({ name: 'ursinho_upstream_failures_total', help: 'Failed upstream attempts, retried or not, by code and phase', labelNames: ['code', 'phase'] });
+const streamConnections = metrics.counter({ name: 'ursinho_stream_connections_total', help: 'Streaming connections accepted' });
+const upstreamConnectSeconds = metrics.histogram({ name: 'ursinho_upstream_connect_seconds', help: 'Time from opening an upstream WebSocket to session.created' });
+const firstAudioSeconds = metrics.histogram({ name: 'ursinho_first_audio_delta_seconds', help: "Time from sending the child's audio upstream to the first audio of the reply", labelNames: ['transport'] });
+const responseSeconds = metrics.histogram({ name: 'ursinho_response_seconds', help: "Time from receiving the child's audio to the complete reply", labelNames: ['transport'] });
+metrics.gauge({ name: 'ursinho_open_streams', help: 'Streaming connections open now', collect: () => [...streamingDevices.values()].reduce((count, streams) => count + streams.size, 0) });
+metrics.gauge({ name: 'ursinho_active_sessions', help: 'Conversations kept for session ids', collect: () => sessionManager.size() });
+
+// Passed to every conversation opened for /process-audio
+const CONVERSATION_METRICS = {
+  onReady: seconds => upstreamConnectSeconds.observe(seconds),
+  onFirstAudio: seconds => firstAudioSeconds.observe(seconds, { transport: 'http' })
+};
+
+// Ids sent by clients or proxies in X-Request-Id are kept when they look like one
+function parseRequestId(value) {
+  return typeof value === 'string' && /^[\w.:-]{1,64}$/.test(value) ? value : null;
+}
+
+// Counts the failure in the metrics and passes it on
+function countUpstreamFailure(error) {
+  if (/^UPSTREAM_/.test(error.code || '')) upstreamFailures.inc({ code: error.code, phase: error.phase || '' });
+  throw error;
+}
+
+/**
+ * Every request gets an id (X-Request-Id, generated unless the client sent one):
+ * answered in the X-Request-Id header and added to the log lines written while
+ * handling it. Counts the request and its error class for the metrics.
+ */
+app.use((req, res, next) => {
+  const requestId = parseRequestId(req.headers['x-request-id']) || crypto.randomUUID();
+  const startedAt = Date.now();
+  let errorCode = null;
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // The error class is the `code` of JSON error bodies (e.g. RATE_LIMITED)
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && body.code) errorCode = body.code;
+    return sendJson(body);
+  };
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    if (res.statusCode >= 400) clientErrors.inc({ code: errorCode || `HTTP_${res.statusCode}` });
+    const isProbe = ['/healthz', '/readyz', '/metrics'].includes(req.path); // Polled all the time
+    logger[isProbe ? 'debug' : 'info']('Request finished', { requestId, method: req.method, route, status: res.statusCode, durationMs: Date.now() - startedAt });
+  });
+
+  runWithRequestId(requestId, next);
+});
+
+// Personalidade do ursinho, compartilhada pela rota POST e pelo streaming; o tamanho das respostas vem do modo (modes.js)
+const BEAR_INSTRUCTIONS = "Você é um ursinho de pelúcia mágico que fala com crianças. Use linguagem simples, amigável e apropriada para crianças. Seja gentil, curioso e educativo.";
+
+/**
+ * Opens a new upstream WebSocket with the configured AI provider.
+ */
+function connectToProvider() {
+  return provider.connect();
+}
+
+/**
+ * Builds the 'session.update' event that configures voice and instructions.
+ * When a child `profile` is given, its voice and persona are used.
+ * The interaction `mode` (see modes.js) adds its instructions and reply length cap,
+ * and the `language` (see languages.js) the language the bear speaks.
+ * Extra session fields (e.g. turn_detection) can be passed in `overrides`.
+ */
+function buildSessionUpdateEvent(profile = null, overrides = {}, mode = DEFAULT_MODE, language = DEFAULT_LANGUAGE) {
+  const modeSession = buildModeSession(mode, buildInstructions(profile, BEAR_INSTRUCTIONS));
+  return {
+    type: 'session.update',
+    session: {
+      voice: (profile && profile.voice) || OPENAI_VOICE,
+      instructions: `${modeSession.instructions} ${buildLanguageInstructions(language, MODES[mode])}`,
+      max_response_output_tokens: modeSession.max_response_output_tokens,
+      input_audio_transcription: { model: INPUT_TRANSCRIPTION_MODEL }, // Lets parents read what the child said
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      tools: toolRegistry.definitions(),
+      tool_choice: 'auto',
+      ...overrides
+    }
+  };
+}
+
+const profileStore = createProfileStore(PROFILES_FILE);
+const parentalControls = createParentalControls(PARENTAL_CONTROLS_FILE, { timeZone: PARENTAL_TIMEZONE });
+const transcriptStore = createTranscriptStore(TRANSCRIPTS_FILE);
+const deviceStore = createDeviceStore(DEVICES_FILE);
+const usageStore = createUsageStore(USAGE_FILE, { timeZone: PARENTAL_TIMEZONE, prices: USAGE_PRICES });
+const deviceRateLimiter = createRateLimiter({ max: RATE_LIMIT_DEVICE_PER_MINUTE });
+const globalRateLimiter = createRateLimiter({ max: RATE_LIMIT_GLOBAL_PER_MINUTE });
+const pairingRateLimiter = createRateLimiter({ max: RATE_LIMIT_PAIRING_PER_MINUTE });
+
+/**
+ * Counts one hit of each [limiter, key] pair against its limit.
+ * Returns null when it may go on, or { code, error, retryAfterSeconds } when a limit
+ * was hit (and then nothing is counted).
+ */
+function takeLimits(limits) {
+  const waitMs = Math.max(...limits.map(([limiter, key]) => limiter.retryAfterMs(key)));
+  if (waitMs > 0) {
+    logger.warn('Rate limited', { key: limits[0][1], waitMs });
+    return { code: 'RATE_LIMITED', error: 'Muitas requisições, tente de novo daqui a pouco', retryAfterSeconds: Math.ceil(waitMs / 1000) };
+  }
+  limits.forEach(([limiter, key]) => limiter.hit(key));
+  return null;
+}
+
+// One request of a paired device (or of the default one): counts against its limit and the global one
+function takeRateLimit(deviceId) {
+  return takeLimits([[deviceRateLimiter, deviceId], [globalRateLimiter, 'all']]);
+}
+
+// Pairing attempts are unauthenticated, so they only count per IP: they can't use up the paired bears' global limit
+function takePairingRateLimit(ip) {
+  return takeLimits([[pairingRateLimiter, ip]]);
+}
+
+// Parental limits first, then the monthly budgets; both answer with { code, error } meant to be voiced
+function checkDeviceAccess(deviceId) {
+  return parentalControls.checkAccess(deviceId) || usageStore.checkBudget(deviceId);
+}
+
+/**
+ * A device may only talk in, reset or interrupt its own sessions: the one whose live
+ * conversation or recorded transcript is another device's looks unknown to it.
+ */
+function isOtherDevicesSession(deviceId, sessionId) {
+  const transcript = transcriptStore.get(sessionId);
+  const owner = sessionManager.getDeviceId(sessionId) || (transcript && transcript.deviceId) || null;
+  if (owner === null || owner === deviceId) return false;
+  logger.warn('Session belongs to another device', { sessionId, deviceId });
+  return true;
+}
+
+// Device of the session routes; like on /process-audio, clients without a token may name it in the body
+function sessionRouteDeviceId(req) {
+  return req.device ? req.device.id : ((req.body && req.body.deviceId) || DEFAULT_DEVICE_ID);
+}
+
+// Token sent as 'Authorization: Bearer <token>', or null (also used on WebSocket upgrade requests)
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Compares hashes so the time taken doesn't tell how much of the token was right
+function tokensMatch(token, expected) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return Boolean(token) && crypto.timingSafeEqual(hash(token), hash(expected));
+}
+
+function isParentToken(token) {
+  return tokensMatch(token, PARENT_TOKEN);
+}
+
+// Rotas dos pais (perfis, controles, conversas, dispositivos): exigem o PARENT_TOKEN
+function requireParent(req, res, next) {
+  if (!isParentToken(bearerToken(req))) {
+    logger.warn('Unauthorized request', { method: req.method, path: req.path });
+    return res.status(401).json({ error: 'Acesso permitido apenas aos pais', code: 'PARENT_AUTH_REQUIRED' });
+  }
+  next();
+}
+
+/**
+ * Rotas do ursinho: exigem o token de um dispositivo pareado.
+ * The device is set as `req.device` (null only with REQUIRE_DEVICE_AUTH=false and no token).
+ */
+function requireDevice(req, res, next) {
+  const token = bearerToken(req);
+  req.device = token ? deviceStore.authenticate(token) : null;
+  if (!req.device && (token || REQUIRE_DEVICE_AUTH)) {
+    logger.warn('Unauthorized request', { method: req.method, path: req.path });
+    return res.status(401).json({ error: 'Dispositivo não pareado', code: 'DEVICE_AUTH_REQUIRED' });
+  }
+  next();
+}
+
+// Languages the client would like, most preferred first: `language` (body or query), then Accept-Language
+function requestedLanguages(req, language) {
+  return [language, ...parseAcceptLanguage(req.headers['accept-language'])];
+}
+
+/**
+ * Rotas do ursinho: os erros com `code` são respondidos no idioma da criança
+ * (see languages.js), `language` in the JSON body (or the query string) or else the Accept-Language header.
+ * That language is set as `req.language`.
+ */
+function localizeErrors(req, res, next) {
+  req.language = resolveLanguage(...requestedLanguages(req, (req.body && req.body.language) || req.query.language));
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 ? localizeError(req.language, body) : body);
+  next();
+}
+
+// Browsers always send Origin; native clients (e.g. the Android app) usually don't
+function isAllowedOrigin(origin) {
+  return !origin || CORS_ORIGINS.length === 0 || CORS_ORIGINS.includes(origin);
+}
+
+// Ferramentas que o ursinho pode usar (hora, contar, cronômetro de dormir, histórias).
+// Novas ferramentas: toolRegistry.register({ name, description, parameters, handler }).
+const BEDTIME_MESSAGE = 'Acabou o tempo! Agora é hora de se preparar para dormir. Boa noite!';
+const streamingDevices = new Map(); // deviceId -> Set of { language, say(text), close() } of its open streams
+const bedtimeTimers = createBedtimeTimers({ onExpire: handleBedtimeTimerEnd });
+const quizScores = createQuizScores();
+const toolRegistry = registerBuiltInTools(createToolRegistry(), { timeZone: PARENTAL_TIMEZONE, bedtimeTimers, quizScores });
+
+// Only streaming clients can be told; POST clients hear nothing until they talk again
+function handleBedtimeTimerEnd(deviceId) {
+  const streams = streamingDevices.get(deviceId);
+  logger.info('Bedtime timer ended', { deviceId, openStreams: streams ? streams.size : 0 });
+  if (streams) streams.forEach(stream => stream.say(translateMessage(stream.language, 'BEDTIME', BEDTIME_MESSAGE)));
+}
+
+// The child's transcript usually arrives after the bear's reply has been recorded
+function handleInputTranscript(itemId, transcript) {
+  transcriptStore.setChildText(itemId, transcript);
+}
+
+// Duration in seconds of mono PCM16 audio
+function pcm16DurationSeconds(byteLength, sampleRate) {
+  return byteLength / 2 / sampleRate;
+}
 
-// Validate essential configuration
-if (!OPENAI_API_KEY) {
-  console.error("FATAL ERROR: OPENAI_API_KEY environment variable is not set.");
-  process.exit(1); // Exit if API key is missing
+// Identifies the settings a conversation is configured with (see buildSessionUpdateEvent)
+function sessionPoolKey({ profile = null, mode = DEFAULT_MODE, language = DEFAULT_LANGUAGE, voice = null, outputAudioFormat = 'pcm16' } = {}) {
+  return `${profile ? profile.id : ''}:${mode}:${language}:${voice || ''}:${outputAudioFormat}`;
 }
 
-console.log(`Using OpenAI Model: ${OPENAI_MODEL}`);
-console.log(`Using OpenAI Voice: ${OPENAI_VOICE}`);
+// Session settings of the warm pool: no child profile, default mode, language and voice, raw PCM16 replies
+const DEFAULT_POOL_KEY = sessionPoolKey();
 
-// Rota principal para processar áudio
-app.post('/process-audio', async (req, res) => {
-  console.log(`[${new Date().toISOString()}] Received request on /process-audio`);
+const conversationPool = WARM_POOL_SIZE > 0 ? createConversationPool({
+  size: WARM_POOL_SIZE,
+  poolKey: DEFAULT_POOL_KEY,
+  maxIdleMs: WARM_POOL_MAX_IDLE_MS,
+  create: () => createConversation({
+    connect: connectToProvider,
+    buildSessionUpdateEvent: () => buildSessionUpdateEvent(),
+    ...UPSTREAM_TIMEOUTS,
+    ...CONVERSATION_METRICS,
+    label: 'warm'
+  })
+}) : null;
+
+const sessionManager = createSessionManager({
+  connect: connectToProvider,
+  buildSessionUpdateEvent: () => buildSessionUpdateEvent(),
+  idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+  maxHistoryItems: SESSION_MAX_HISTORY_ITEMS,
+  onInputTranscript: handleInputTranscript,
+  ...UPSTREAM_TIMEOUTS,
+  ...CONVERSATION_METRICS,
+  pool: conversationPool
+});
+
+/**
+ * Rota principal para processar áudio.
+ * Request body (JSON):
+ *   - audio: base64 audio in `inputFormat`.
+ *   - inputFormat: 'pcm16' (default, mono little-endian at `sampleRate`, default 16000),
+ *     'wav' (PCM 16-bit) or 'opus' (Ogg Opus). Input is resampled to 24kHz for the API.
+ *   - responseFormat: 'pcm16' (default, raw 24kHz PCM16), 'wav' (the same samples
+ *     with a WAV header, playable by <audio>) or 'g711_ulaw' / 'g711_alaw'
+ *     (compressed, 8kHz).
+ *   - sessionId, profileId: optional, see the session and profile routes. Another
+ *     device's session answers 404 (code SESSION_NOT_FOUND).
+ *   - mode: what the bear is doing, one of MODES in modes.js ('conversation' by default,
+ *     'story', 'quiz', 'calm'); sets its instructions and how long its replies may be.
+ *     Changing the mode of a session starts a new conversation.
+ *   - voice: one of SUPPORTED_VOICES (profiles.js), chosen in the client's settings; wins over the
+ *     child profile's voice and OPENAI_VOICE. Changing it also starts a new conversation.
+ *   - language: what the bear speaks, one of LANGUAGES in languages.js ('pt-BR', 'en', 'es';
+ *     tags like 'en-US' match too). Defaults to the child profile's language, then to
+ *     the Accept-Language header, then to 'pt-BR'. Error messages are translated as well.
+ *   - deviceId: only used with REQUIRE_DEVICE_AUTH=false; paired devices are identified by their token.
+ * Requires 'Authorization: Bearer <device token>' (see /devices/pair), 401 otherwise.
+ * Response body: { audio (base64), format, mimeType, sampleRate }.
+ * Unusable input is rejected with a 4xx and { error, code } (e.g. SILENT_AUDIO, AUDIO_TOO_LONG, UNKNOWN_MODE,
+ * UNKNOWN_LANGUAGE, UNKNOWN_VOICE); `error` is in the language given in the body, or else the Accept-Language one.
+ * Too many requests answer 429 (code RATE_LIMITED) with a Retry-After header; a device over
+ * its parental limits or monthly budget answers 403 (QUIET_HOURS, DAILY_LIMIT_REACHED,
+ * MONTHLY_BUDGET_EXCEEDED).
+ * A reply cancelled through /sessions/:sessionId/interrupt answers 409 with code RESPONSE_ABORTED.
+ * When the provider can't be reached or fails (after retries) the answer is 502, or 504
+ * when it took too long, with code UPSTREAM_* (see createUpstreamError in sessions.js).
+ * Every answer carries an X-Request-Id header, the id of the request in the server logs.
+ */
+app.post('/process-audio', localizeErrors, requireDevice, async (req, res) => {
+  const startedAt = Date.now();
   try {
-    const { audio, sampleRate = 16000 } = req.body; // sampleRate is received but not explicitly passed to this OpenAI API version
+    const { audio, sampleRate = 16000, inputFormat = 'pcm16', sessionId, profileId, mode = DEFAULT_MODE, language, voice, responseFormat = DEFAULT_OUTPUT_FORMAT } = req.body;
+    const deviceId = req.device ? req.device.id : (req.body.deviceId || DEFAULT_DEVICE_ID);
+
+    const rateLimitError = takeRateLimit(deviceId);
+    if (rateLimitError) {
+      res.set('Retry-After', String(rateLimitError.retryAfterSeconds));
+      return res.status(429).json(rateLimitError);
+    }
 
     if (!audio) {
-      console.warn(`[${new Date().toISOString()}] Bad Request: Audio data not provided.`);
-      return res.status(400).json({ error: 'Dados de áudio não fornecidos' });
+      logger.warn('Bad request: audio data not provided');
+      return res.status(400).json({ error: 'Dados de áudio não fornecidos', code: 'AUDIO_MISSING' });
+    }
+    if (typeof audio !== 'string') {
+      logger.warn('Bad request: audio is not a base64 string');
+      return res.status(400).json({ error: 'O áudio deve ser um texto em base64', code: 'INVALID_AUDIO' });
     }
 
-    console.log(`[${new Date().toISOString()}] Received audio data (length: ${audio.length}), sampleRate: ${sampleRate}`);
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, responseFormat)) {
+      logger.warn('Bad request: unsupported response format', { responseFormat });
+      return res.status(400).json({ error: 'Formato de áudio não suportado', code: 'UNSUPPORTED_RESPONSE_FORMAT', supportedFormats: Object.keys(OUTPUT_FORMATS) });
+    }
 
-    // Decodificar áudio de Base64
-    const audioBuffer = Buffer.from(audio, 'base64');
-    console.log(`[${new Date().toISOString()}] Decoded audio buffer size: ${audioBuffer.length} bytes`);
+    const modeError = validateMode(mode);
+    if (modeError) {
+      logger.warn('Bad request: unknown mode', { mode });
+      return res.status(400).json({ error: modeError, code: 'UNKNOWN_MODE', modes: Object.keys(MODES) });
+    }
 
-    // Iniciar uma sessão com a OpenAI Realtime API
-    console.log(`[${new Date().toISOString()}] Processing audio with OpenAI Realtime API...`);
-    const responseAudioBase64 = await processAudioWithOpenAI(audioBuffer, sampleRate);
-    console.log(`[${new Date().toISOString()}] Received audio response from OpenAI.`);
+    const languageError = language !== undefined && validateLanguage(language);
+    if (languageError) {
+      logger.warn('Bad request: unknown language', { language });
+      return res.status(400).json({ error: languageError, code: 'UNKNOWN_LANGUAGE', languages: Object.keys(LANGUAGES) });
+    }
 
-    res.json({ audio: responseAudioBase64 });
+    const voiceError = voice !== undefined && validateVoice(voice);
+    if (voiceError) {
+      logger.warn('Bad request: unknown voice', { voice });
+      return res.status(400).json({ error: voiceError, code: 'UNKNOWN_VOICE', voices: SUPPORTED_VOICES });
+    }
+
+    if (sessionId && isOtherDevicesSession(deviceId, sessionId)) {
+      return res.status(404).json({ error: 'Sessão não encontrada', code: 'SESSION_NOT_FOUND' });
+    }
+
+    const accessError = checkDeviceAccess(deviceId);
+    if (accessError) {
+      logger.warn('Device blocked', { deviceId, code: accessError.code });
+      return res.status(403).json(accessError);
+    }
+
+    let profile = null;
+    if (profileId) {
+      profile = profileStore.get(profileId);
+      if (!profile) {
+        logger.warn('Bad request: unknown profile', { profileId });
+        return res.status(404).json({ error: 'Perfil não encontrado', code: 'PROFILE_NOT_FOUND' });
+      }
+    }
+    const replyLanguage = resolveLanguage(language, profile && profile.language, ...requestedLanguages(req));
+
+    // Decodificar áudio de Base64 e normalizar para PCM16 24kHz
+    const uploadedBuffer = Buffer.from(audio, 'base64');
+    logger.info('Received audio', { deviceId, audioBytes: uploadedBuffer.length, sampleRate, inputFormat, sessionId, profileId, mode, language: replyLanguage, voice, responseFormat });
+
+    let input;
+    try {
+      input = normalizeInputAudio(uploadedBuffer, {
+        inputFormat,
+        sampleRate,
+        minDurationSeconds: MIN_INPUT_SECONDS,
+        maxDurationSeconds: MAX_INPUT_SECONDS,
+        silenceThreshold: SILENCE_RMS_THRESHOLD
+      });
+    } catch (error) {
+      if (!(error instanceof AudioInputError)) throw error;
+      logger.warn('Rejected audio input', { code: error.code });
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.debug('Normalized audio', { durationSeconds: input.durationSeconds, originalSampleRate: input.originalSampleRate, audioBytes: input.buffer.length });
+
+    // Iniciar uma sessão com o provedor de IA
+    const reply = await processAudioWithProvider(input.buffer, { sessionId, deviceId, profile, mode, language: replyLanguage, voice, responseFormat });
+    responseSeconds.observe((Date.now() - startedAt) / 1000, { transport: 'http' });
+    logger.info('Reply received from the provider', { provider: provider.name, blockedTopic: reply.blockedTopic });
+
+    const replySeconds = audioDurationSeconds(Buffer.from(reply.audio, 'base64').length, responseFormat);
+    parentalControls.recordUsage(deviceId, input.durationSeconds + replySeconds);
+    usageStore.record(deviceId, { inputAudioSeconds: input.durationSeconds, outputAudioSeconds: replySeconds });
+
+    transcriptStore.recordExchange({
+      // Requests without a session are grouped per device and day
+      sessionId: sessionId || `${deviceId}:${new Date().toISOString().slice(0, 10)}`,
+      deviceId,
+      profileId: profile ? profile.id : null,
+      mode,
+      inputItemId: reply.inputItemId,
+      child: reply.inputTranscript,
+      bear: reply.transcript,
+      blockedTopic: reply.blockedTopic
+    });
+
+    res.json(encodeResponseAudio(reply.audio, responseFormat));
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error processing audio in /process-audio:`, error.message);
-    console.error(error.stack); // Log full stack trace for debugging
-    res.status(500).json({ error: 'Erro interno ao processar áudio', details: error.message });
+    if (error.code === 'RESPONSE_ABORTED') {
+      logger.info('Response cancelled by barge-in');
+      return res.status(409).json({ error: 'Resposta interrompida', code: error.code });
+    }
+    if (/^UPSTREAM_/.test(error.code || '')) {
+      logger.error('Provider failed', { code: error.code, phase: error.phase, error: error.message });
+      return res.status(error.code === 'UPSTREAM_TIMEOUT' ? 504 : 502).json({ error: 'O ursinho não conseguiu responder agora', code: error.code, phase: error.phase });
+    }
+    logger.error('Error processing audio', { error }); // With the stack trace, for debugging
+    res.status(500).json({ error: 'Erro interno ao processar áudio', code: 'INTERNAL_ERROR', details: error.message });
   }
 });
 
 /**
- * Processes audio using the OpenAI Realtime API via WebSocket.
+ * Processes audio through the AI provider, which speaks the OpenAI Realtime
+ * protocol over a WebSocket (see providers.js).
  * This function follows the interaction pattern:
- * 1. Establish WebSocket connection.
- * 2. On 'session.created':
- *    - Send 'session.update' to configure voice and instructions.
- *    - Send 'conversation.item.create' with user's input audio.
- *    - Send 'response.create' to request audio/text modalities.
- * 3. On 'response.audio.delta': Collect audio chunks.
- * 4. On 'response.done': Concatenate audio chunks, close WebSocket, and resolve.
+ * 1. Establish WebSocket connection (or reuse the one kept for `sessionId`).
+ * 2. On 'session.created': send 'session.update' to configure voice, instructions
+ *    (built from the child `profile` when one is selected, the `mode` and the `language`),
+ *    the tools the bear can call and the output format needed for `responseFormat`.
+ *    A `voice` chosen by the client replaces the profile's.
+ * 3. Send 'conversation.item.create' with user's input audio (already normalized
+ *    to 24kHz PCM16) and 'response.create'.
+ * 4. On 'response.audio.delta': Collect audio chunks. Function calls are run
+ *    through the tool registry (with `deviceId` and `sessionId` as context) and
+ *    answered before the final reply.
+ * 5. On 'response.done': Concatenate audio chunks and check the transcript
+ *    against the blocked topics (see runFilteredTurn). The `usage` of every
+ *    response is added to the device's monthly usage.
+ * Resolves with { audio (raw upstream audio, base64), transcript, outputItemIds, inputItemId, inputTranscript, blockedTopic }.
+ * Without a `sessionId` the connection is closed once the child's transcript
+ * arrives (or after TRANSCRIPTION_GRACE_MS).
+ * Each phase has its own timeout (UPSTREAM_TIMEOUTS); failures before the bear said
+ * anything are retried on a new connection up to UPSTREAM_MAX_RETRIES times.
+ * Conversations for the default settings are taken from the warm pool when enabled.
  */
-async function processAudioWithOpenAI(audioBuffer, sampleRate) {
-  // Note: sampleRate is passed but not explicitly used in the messages to this specific OpenAI API endpoint in this version.
-  // The API might infer it or have a default.
-  return new Promise((resolve, reject) => {
-    const url = `wss://api.openai.com/v1/realtime?model=${OPENAI_MODEL}`;
-    console.log(`[${new Date().toISOString()}] Connecting to WebSocket: ${url}`);
-
-    const ws = new WebSocket(url, {
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'OpenAI-Beta': 'realtime=v1' // Specific header for this beta API
-      }
-    });
+async function processAudioWithProvider(audioBuffer, {
+  sessionId = null,
+  deviceId = DEFAULT_DEVICE_ID,
+  profile = null,
+  mode = DEFAULT_MODE,
+  language = DEFAULT_LANGUAGE,
+  voice = null,
+  responseFormat = DEFAULT_OUTPUT_FORMAT
+} = {}) {
+  const outputFormat = OUTPUT_FORMATS[responseFormat];
+  const outputAudioFormat = outputFormat.realtimeFormat;
+  const outputBytesPerMs = outputFormat.bytesPerSample * outputFormat.sampleRate / 1000;
+  const poolKey = sessionPoolKey({ profile, mode, language, voice, outputAudioFormat });
+  const sessionOverrides = { output_audio_format: outputAudioFormat, ...(voice && { voice }) };
+  const buildProfileSessionUpdate = () => buildSessionUpdateEvent(profile, sessionOverrides, mode, language);
+  const executeTool = (name, argumentsJson) => toolRegistry.execute(name, argumentsJson, { deviceId, sessionId });
+  const onUsage = usage => usageStore.record(deviceId, { usage });
 
-    let responseAudioChunks = [];
-    let isSessionConfigured = false; // Tracks if initial session setup messages have been sent
-    let hasReceivedData = false;
+  function runSessionTurn() {
+    return runFilteredTurn(sessionManager.getConversation(sessionId, {
+      configKey: `${deviceId}:${poolKey}`,
+      poolKey,
+      deviceId,
+      buildSessionUpdateEvent: buildProfileSessionUpdate,
+      outputBytesPerMs,
+      executeTool,
+      onUsage
+    }), audioBuffer, language);
+  }
 
-    const connectionTimeout = setTimeout(() => {
-      if (ws.readyState === WebSocket.CONNECTING || (ws.readyState === WebSocket.OPEN && !hasReceivedData)) {
-        console.error(`[${new Date().toISOString()}] WebSocket connection timeout. Closing connection.`);
-        ws.close(1000, 'Connection timeout');
-        reject(new Error('Timeout: OpenAI Realtime API connection or initial data timeout'));
+  async function runOneShotTurn() {
+    let graceTimer = null;
+    const options = {
+      connect: connectToProvider,
+      buildSessionUpdateEvent: buildProfileSessionUpdate,
+      ...UPSTREAM_TIMEOUTS,
+      ...CONVERSATION_METRICS,
+      outputBytesPerMs,
+      executeTool,
+      onUsage,
+      onInputTranscript: (itemId, transcript) => {
+        handleInputTranscript(itemId, transcript);
+        if (graceTimer) {
+          clearTimeout(graceTimer);
+          conversation.close();
+        }
       }
-    }, 30000); // 30 seconds timeout for connection and initial response
+    };
+    const conversation = (conversationPool && conversationPool.take(poolKey, { ...options, label: 'ephemeral' })) || createConversation(options);
+    try {
+      const reply = await runFilteredTurn(conversation, audioBuffer, language);
+      if (reply.inputTranscript === null && reply.inputItemId) {
+        graceTimer = setTimeout(() => conversation.close(), TRANSCRIPTION_GRACE_MS);
+      } else {
+        conversation.close();
+      }
+      return reply;
+    } catch (error) {
+      conversation.close();
+      throw error;
+    }
+  }
+
+  function runTurn() {
+    return Promise.resolve()
+      .then(sessionId ? runSessionTurn : runOneShotTurn)
+      .catch(countUpstreamFailure);
+  }
+
+  return retryTransient(runTurn, {
+    maxRetries: UPSTREAM_MAX_RETRIES,
+    baseDelayMs: UPSTREAM_RETRY_BASE_MS,
+    label: sessionId ? `session ${sessionId}` : 'ephemeral'
+  });
+}
+
+/**
+ * Runs one turn and checks the bear's transcript against the blocked topics
+ * for `language`. When a rule trips, the reply is removed from the conversation
+ * and the bear says the safe reply instead.
+ */
+async function runFilteredTurn(conversation, audioBuffer, language) {
+  const reply = await conversation.runTurn(audioBuffer);
+  const { blockedTopics, safeReply } = parentalControls.getSafetyRules(language);
 
-    ws.on('open', function open() {
-      clearTimeout(connectionTimeout); // Clear connection-specific timeout if open occurs
-      console.log(`[${new Date().toISOString()}] WebSocket connection established with OpenAI.`);
+  const blocked = findBlockedTopic(reply.transcript, blockedTopics);
+  if (!blocked) return reply;
+
+  logger.warn('Response blocked by the safety filter, using the safe reply', { topic: blocked.topic, keyword: blocked.keyword });
+  conversation.forgetItems(reply.outputItemIds);
+  const safeResponse = await conversation.runScriptedReply(safeReply, language);
+  return {
+    ...safeResponse,
+    inputItemId: reply.inputItemId,
+    inputTranscript: reply.inputTranscript,
+    blockedTopic: blocked.topic
+  };
+}
+
+// Records the fallback phrases in one conversation, with the bear's default persona in `language`
+function recordFallbackPhrases({ texts, language, voice, deviceId }) {
+  async function recordAll() {
+    const conversation = createConversation({
+      connect: connectToProvider,
+      buildSessionUpdateEvent: () => buildSessionUpdateEvent(null, { voice }, DEFAULT_MODE, language),
+      ...UPSTREAM_TIMEOUTS,
+      ...CONVERSATION_METRICS,
+      onUsage: usage => usageStore.record(deviceId, { usage }),
+      label: 'fallback-phrases'
     });
+    try {
+      const audios = [];
+      for (const text of texts) {
+        audios.push((await conversation.runScriptedReply(text, language)).audio);
+      }
+      return audios;
+    } finally {
+      conversation.close();
+    }
+  }
 
-    ws.on('message', function incoming(message) {
-      hasReceivedData = true; // Mark that we've received some data
-      try {
-        const event = JSON.parse(message.toString());
-        console.log(`[${new Date().toISOString()}] WebSocket event received: ${event.type}`);
-
-        if (event.type === 'session.created' && !isSessionConfigured) {
-          isSessionConfigured = true;
-          console.log(`[${new Date().toISOString()}] Session created. Configuring session...`);
-
-          const sessionUpdateEvent = {
-            type: 'session.update',
-            session: {
-              voice: OPENAI_VOICE,
-              instructions: "Você é um ursinho de pelúcia mágico que fala com crianças. Use linguagem simples, amigável e apropriada para crianças. Seja gentil, curioso e educativo. Responda de forma concisa, com no máximo 1-2 frases curtas."
-            }
-          };
-          ws.send(JSON.stringify(sessionUpdateEvent));
-          console.log(`[${new Date().toISOString()}] Sent: session.update`);
-
-          const base64InputAudio = audioBuffer.toString('base64');
-          const createItemEvent = {
-            type: 'conversation.item.create',
-            item: {
-              type: 'message',
-              role: 'user',
-              content: [{ type: 'input_audio', audio: base64InputAudio }]
-            }
-          };
-          ws.send(JSON.stringify(createItemEvent));
-          console.log(`[${new Date().toISOString()}] Sent: conversation.item.create (audio length: ${base64InputAudio.length})`);
-
-          const responseCreateEvent = {
-            type: 'response.create',
-            response: {
-              modalities: ['audio', 'text'] // Requesting both audio and text response
+  return retryTransient(() => recordAll().catch(countUpstreamFailure), {
+    maxRetries: UPSTREAM_MAX_RETRIES,
+    baseDelayMs: UPSTREAM_RETRY_BASE_MS,
+    label: 'fallback phrases'
+  });
+}
+
+const fallbackRecordings = createFallbackRecordings({ record: recordFallbackPhrases });
+
+/**
+ * The fallback phrases (see fallback-phrases.js) in the bear's voice, for the client
+ * to keep and play when it can't reach the server or the server can't answer.
+ * Query: ?language=... (defaults like on /process-audio, without a profile) and ?voice=...
+ * (OPENAI_VOICE by default). Requires the device token, like /process-audio.
+ * Response body: { language, voice, format: 'pcm16', sampleRate, phrases: [{ kind, text, audio (base64) }] }.
+ * They are recorded once per language and voice and kept in memory; the usage of
+ * recording them counts for the device that asked first.
+ */
+app.get('/fallback-phrases', localizeErrors, requireDevice, async (req, res) => {
+  const { language: requestedLanguage, voice = OPENAI_VOICE } = req.query;
+  const deviceId = req.device ? req.device.id : (req.query.deviceId || DEFAULT_DEVICE_ID);
+
+  const rateLimitError = takeRateLimit(deviceId);
+  if (rateLimitError) {
+    res.set('Retry-After', String(rateLimitError.retryAfterSeconds));
+    return res.status(429).json(rateLimitError);
+  }
+  const languageError = requestedLanguage !== undefined && validateLanguage(requestedLanguage);
+  if (languageError) {
+    return res.status(400).json({ error: languageError, code: 'UNKNOWN_LANGUAGE', languages: Object.keys(LANGUAGES) });
+  }
+  const voiceError = validateVoice(voice);
+  if (voiceError) {
+    return res.status(400).json({ error: voiceError, code: 'UNKNOWN_VOICE', voices: SUPPORTED_VOICES });
+  }
+
+  const language = resolveLanguage(requestedLanguage, ...requestedLanguages(req));
+  try {
+    const phrases = await fallbackRecordings.get(language, voice, { deviceId });
+    res.json({ language, voice, format: 'pcm16', sampleRate: OUTPUT_FORMATS.pcm16.sampleRate, phrases });
+  } catch (error) {
+    if (/^UPSTREAM_/.test(error.code || '')) {
+      logger.error('Could not record the fallback phrases', { code: error.code, phase: error.phase, error: error.message });
+      return res.status(error.code === 'UPSTREAM_TIMEOUT' ? 504 : 502).json({ error: 'O ursinho não conseguiu responder agora', code: error.code, phase: error.phase });
+    }
+    logger.error('Error recording the fallback phrases', { error });
+    res.status(500).json({ error: 'Erro interno ao gravar as frases', code: 'INTERNAL_ERROR', details: error.message });
+  }
+});
+
+// Apaga a memória de conversa de uma sessão; a de outro dispositivo responde 404, como no interrupt
+app.post('/sessions/:sessionId/reset', localizeErrors, requireDevice, (req, res) => {
+  const { sessionId } = req.params;
+  if (isOtherDevicesSession(sessionRouteDeviceId(req), sessionId)) {
+    return res.status(404).json({ error: 'Sessão não encontrada', code: 'SESSION_NOT_FOUND' });
+  }
+  const existed = sessionManager.resetSession(sessionId);
+  quizScores.reset(sessionId);
+  logger.info('Session reset requested', { sessionId, existed });
+  res.json({ sessionId, reset: existed });
+});
+
+/**
+ * Barge-in: the child started talking over the bear.
+ * Cancels the reply being generated for the session (the pending /process-audio
+ * call answers 409) or, if it already arrived, truncates it upstream to
+ * `playedMs` (JSON body, optional) so the bear knows where it was cut off.
+ * Response: { sessionId, result: 'cancelled' | 'truncated' | 'idle' }; 404 SESSION_NOT_FOUND
+ * for an unknown session or another device's.
+ */
+app.post('/sessions/:sessionId/interrupt', localizeErrors, requireDevice, (req, res) => {
+  const { sessionId } = req.params;
+  const playedMs = req.body && typeof req.body.playedMs === 'number' ? req.body.playedMs : undefined;
+  const result = isOtherDevicesSession(sessionRouteDeviceId(req), sessionId) ? null : sessionManager.interruptSession(sessionId, { playedMs });
+  if (result === null) {
+    return res.status(404).json({ error: 'Sessão não encontrada', code: 'SESSION_NOT_FOUND' });
+  }
+  logger.info('Session interrupt requested', { sessionId, result });
+  res.json({ sessionId, result });
+});
+
+// --- Configuração dos clientes ---
+
+/**
+ * Defaults for the clients' settings (CLIENT_* and OPENAI_VOICE), so tuning them
+ * doesn't need a new app. Open to unpaired clients, as they need it before pairing.
+ * Response body: { speechThreshold (quietest speech, normalized RMS), speechTimeoutMs
+ * (silence that ends an utterance), volume (0.0 to 1.0), voice, voices }.
+ * What a client changed in its own settings panel wins over these.
+ */
+app.get('/config', (req, res) => {
+  res.json({
+    speechThreshold: CLIENT_SPEECH_THRESHOLD,
+    speechTimeoutMs: CLIENT_SPEECH_TIMEOUT_MS,
+    volume: CLIENT_VOLUME,
+    voice: OPENAI_VOICE,
+    voices: SUPPORTED_VOICES
+  });
+});
+
+// --- Pareamento dos ursinhos ---
+// O painel dos pais gera um código curto; o ursinho troca o código pelo seu token.
+app.post('/devices/pairing-codes', requireParent, (req, res) => {
+  const { name } = req.body || {};
+  const validationError = validateDeviceName(name);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const pairingCode = deviceStore.createPairingCode({ name });
+  logger.info('Pairing code created', { expiresAt: pairingCode.expiresAt });
+  res.status(201).json(pairingCode);
+});
+
+/**
+ * Public: the bear sends { code, name (optional) } and receives
+ * { deviceId, name, token }. The token goes in 'Authorization: Bearer <token>'
+ * (or ?token=... on /stream-audio) from then on; it is not shown again.
+ * Each IP may try RATE_LIMIT_PAIRING_PER_MINUTE codes a minute (429 RATE_LIMITED after that);
+ * behind a proxy, set TRUST_PROXY so the IP is the bear's and not the proxy's.
+ */
+app.post('/devices/pair', localizeErrors, async (req, res) => {
+  const rateLimitError = takePairingRateLimit(req.ip);
+  if (rateLimitError) {
+    res.set('Retry-After', String(rateLimitError.retryAfterSeconds));
+    return res.status(429).json(rateLimitError);
+  }
+
+  const { code, name } = req.body || {};
+  const validationError = (typeof code !== 'string' || !code.trim()) ? 'Código de pareamento não fornecido' : validateDeviceName(name);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const paired = await deviceStore.pair(code, { name });
+    if (!paired) {
+      logger.warn('Pairing rejected: unknown or expired code');
+      return res.status(400).json({ error: 'Código de pareamento inválido ou expirado', code: 'INVALID_PAIRING_CODE' });
+    }
+    logger.info('Device paired', { deviceId: paired.device.id, name: paired.device.name });
+    res.status(201).json({ deviceId: paired.device.id, name: paired.device.name, token: paired.token });
+  } catch (error) {
+    logger.error('Error pairing device', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar dispositivo', details: error.message });
+  }
+});
+
+app.get('/devices', requireParent, (req, res) => {
+  res.json({ devices: deviceStore.list() });
+});
+
+// Revoga o token do dispositivo e encerra seus streams abertos
+app.delete('/devices/:deviceId', requireParent, async (req, res) => {
+  const { deviceId } = req.params;
+  try {
+    const removed = await deviceStore.revoke(deviceId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Dispositivo não encontrado' });
+    }
+    const streams = streamingDevices.get(deviceId);
+    if (streams) streams.forEach(stream => stream.close());
+    bedtimeTimers.cancel(deviceId);
+    logger.info('Device revoked', { deviceId });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error revoking device', { error: error.message });
+    res.status(500).json({ error: 'Erro ao revogar dispositivo', details: error.message });
+  }
+});
+
+// Todas as rotas abaixo são do painel dos pais
+app.use(['/profiles', '/parental-controls', '/conversations', '/usage'], requireParent);
+
+// --- Perfis das crianças (CRUD) ---
+app.get('/profiles', (req, res) => {
+  res.json({ profiles: profileStore.list() });
+});
+
+app.get('/profiles/:profileId', (req, res) => {
+  const profile = profileStore.get(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({ error: 'Perfil não encontrado' });
+  }
+  res.json(profile);
+});
+
+// A language the bear doesn't speak gets its own code, like on the audio routes
+function profileValidationError(body, options) {
+  const languageError = body && body.language !== undefined ? validateLanguage(body.language) : null;
+  if (languageError) return { error: languageError, code: 'UNKNOWN_LANGUAGE', languages: Object.keys(LANGUAGES) };
+  const validationError = validateProfile(body, options);
+  return validationError ? { error: validationError } : null;
+}
+
+app.post('/profiles', async (req, res) => {
+  const validationError = profileValidationError(req.body);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+  try {
+    const profile = await profileStore.create(req.body);
+    logger.info('Profile created', { profileId: profile.id });
+    res.status(201).json(profile);
+  } catch (error) {
+    logger.error('Error creating profile', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar perfil', details: error.message });
+  }
+});
+
+app.put('/profiles/:profileId', async (req, res) => {
+  const validationError = profileValidationError(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+  try {
+    const profile = await profileStore.update(req.params.profileId, req.body);
+    if (!profile) {
+      return res.status(404).json({ error: 'Perfil não encontrado' });
+    }
+    logger.info('Profile updated', { profileId: profile.id });
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error updating profile', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar perfil', details: error.message });
+  }
+});
+
+app.delete('/profiles/:profileId', async (req, res) => {
+  try {
+    const removed = await profileStore.remove(req.params.profileId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Perfil não encontrado' });
+    }
+    logger.info('Profile deleted', { profileId: req.params.profileId });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting profile', { error: error.message });
+    res.status(500).json({ error: 'Erro ao apagar perfil', details: error.message });
+  }
+});
+
+// --- Controle dos pais ---
+// blockedTopics and safeReply are null while the defaults of each language apply; PUT null to go back to them
+app.get('/parental-controls', (req, res) => {
+  res.json(parentalControls.getSettings());
+});
+
+app.put('/parental-controls', async (req, res) => {
+  const { blockedTopics, safeReply, defaultLimits } = req.body;
+  const validationError = (blockedTopics !== undefined && blockedTopics !== null && validateBlockedTopics(blockedTopics))
+    || (safeReply !== undefined && safeReply !== null && (typeof safeReply !== 'string' || !safeReply.trim()) && 'safeReply deve ser um texto')
+    || (defaultLimits !== undefined && validateLimits(defaultLimits));
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const settings = await parentalControls.updateSettings({ blockedTopics, safeReply, defaultLimits });
+    logger.info('Parental controls updated');
+    res.json(settings);
+  } catch (error) {
+    logger.error('Error updating parental controls', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar controle dos pais', details: error.message });
+  }
+});
+
+app.put('/parental-controls/devices/:deviceId', async (req, res) => {
+  const validationError = validateLimits(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const { dailyMinutes, quietHours } = req.body;
+    const limits = await parentalControls.setDeviceLimits(req.params.deviceId, { dailyMinutes, quietHours });
+    logger.info('Device limits updated', { deviceId: req.params.deviceId });
+    res.json({ deviceId: req.params.deviceId, limits });
+  } catch (error) {
+    logger.error('Error updating device limits', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar limites', details: error.message });
+  }
+});
+
+app.get('/parental-controls/devices/:deviceId/usage', (req, res) => {
+  res.json(parentalControls.getDeviceUsage(req.params.deviceId));
+});
+
+// --- Consumo e orçamentos mensais ---
+// ?month=YYYY-MM (default: this month). Tokens, audio seconds and estimated cost, overall and per device.
+app.get('/usage', (req, res) => {
+  const { month } = req.query;
+  if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ error: 'month deve estar no formato YYYY-MM' });
+  }
+  res.json(usageStore.report(month));
+});
+
+// Orçamento de todos os ursinhos juntos: { monthlyTokens, monthlyCostUsd } (null = sem limite)
+app.put('/usage/budgets', async (req, res) => {
+  await updateBudget(null, req, res);
+});
+
+app.put('/usage/budgets/devices/:deviceId', async (req, res) => {
+  await updateBudget(req.params.deviceId, req, res);
+});
+
+async function updateBudget(deviceId, req, res) {
+  const validationError = validateBudget(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const { monthlyTokens, monthlyCostUsd } = req.body;
+    const budget = await usageStore.setBudget(deviceId, { monthlyTokens, monthlyCostUsd });
+    logger.info('Monthly budget updated', { deviceId: deviceId || 'all' });
+    res.json(deviceId ? { deviceId, budget } : { budget });
+  } catch (error) {
+    logger.error('Error updating budget', { error: error.message });
+    res.status(500).json({ error: 'Erro ao salvar orçamento', details: error.message });
+  }
+}
+
+// --- Histórico de conversas (painel dos pais) ---
+app.get('/conversations', (req, res) => {
+  const { deviceId, q } = req.query;
+  res.json({ conversations: transcriptStore.list({ deviceId, query: q }) });
+});
+
+app.get('/conversations/:sessionId', (req, res) => {
+  const conversation = transcriptStore.get(req.params.sessionId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversa não encontrada' });
+  }
+  res.json(conversation);
+});
+
+app.delete('/conversations/:sessionId', async (req, res) => {
+  const removed = await transcriptStore.remove(req.params.sessionId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Conversa não encontrada' });
+  }
+  logger.info('Conversation deleted', { sessionId: req.params.sessionId });
+  res.status(204).end();
+});
+
+// --- Saúde e métricas ---
+let isProviderStarted = false;
+let isShuttingDown = false;
+
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the provider started and the server is not shutting down (503 otherwise)
+app.get('/readyz', (req, res) => {
+  const checks = { provider: isProviderStarted, acceptingRequests: !isShuttingDown };
+  const isReady = Object.values(checks).every(Boolean);
+  res.status(isReady ? 200 : 503).json({
+    status: isReady ? 'ready' : 'not_ready',
+    checks,
+    warmConversations: conversationPool ? conversationPool.size() : null
+  });
+});
+
+// Prometheus text format; with METRICS_TOKEN set, scrapers send it as a Bearer token
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !tokensMatch(bearerToken(req), METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'Token de métricas inválido', code: 'METRICS_AUTH_REQUIRED' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Servidor HTTP compartilhado entre o Express e o WebSocket de streaming
+const server = http.createServer(app);
+const wss = new WebSocket.Server({ server, path: '/stream-audio', verifyClient: verifyStreamClient });
+wss.on('headers', (headers, req) => headers.push(`X-Request-Id: ${req.id}`));
+
+// Browsers can't set headers on a WebSocket, so the device token may also come as ?token=...
+function verifyStreamClient({ origin, req }, done) {
+  req.id = parseRequestId(req.headers['x-request-id']) || crypto.randomUUID(); // Names the whole connection in the logs
+  if (!isAllowedOrigin(origin)) {
+    logger.warn('Streaming connection refused: origin not allowed', { requestId: req.id, origin });
+    return done(false, 403, 'Origin not allowed');
+  }
+  const token = bearerToken(req) || new URL(req.url, 'http://localhost').searchParams.get('token');
+  req.device = token ? deviceStore.authenticate(token) : null;
+  if (!req.device && (token || REQUIRE_DEVICE_AUTH)) {
+    logger.warn('Unauthorized streaming connection', { requestId: req.id, remoteAddress: req.socket.remoteAddress });
+    return done(false, 401, 'Device not paired');
+  }
+  done(true);
+}
+
+/**
+ * Full-duplex streaming route.
+ * Client -> server:
+ *   - binary frames: raw PCM16 microphone chunks at ?sampleRate=... (default 16000),
+ *     resampled to 24kHz and relayed as 'input_audio_buffer.append'. An utterance longer
+ *     than MAX_INPUT_SECONDS is dropped (error AUDIO_TOO_LONG): the rest of it is ignored
+ *     and its commit does nothing.
+ *   - text frame {"type":"commit"}: end of utterance, relayed as
+ *     'input_audio_buffer.commit' followed by 'response.create'.
+ *   - text frame {"type":"clear"}: drop the audio sent since the last commit
+ *     (e.g. the client decided it was not speech after all).
+ *   - text frame {"type":"interrupt","playedMs":1234}: barge-in, the child started talking
+ *     over the bear. The reply in progress is cancelled (no more deltas nor 'response.done'
+ *     for it) and truncated upstream to the `playedMs` of it the child heard.
+ * Server -> client (JSON text frames):
+ *   - {"type":"ready","format":"pcm16","sampleRate":24000,"language":"pt-BR","requestId":"..."}:
+ *     upstream session configured, audio can be sent; describes the audio of the deltas that
+ *     follow and the language the bear speaks. `requestId` names the connection in the server
+ *     logs (also in the X-Request-Id handshake header).
+ *   - {"type":"audio.delta","audio":"<base64 PCM16>"}: forwarded as soon as it arrives.
+ *   - {"type":"response.blocked"}: the reply tripped the safety filter; drop what is
+ *     still queued for playback, the safe reply follows as new deltas.
+ *   - {"type":"response.done"}: the bear finished the current reply. Function calls
+ *     are answered on the server first (see tools.js), so a reply may take a little longer.
+ *     The bear may also speak on its own (e.g. when a bedtime timer ends): deltas
+ *     followed by 'response.done' without a commit.
+ *   - {"type":"error","error":"...","code":"UPSTREAM_TIMEOUT"}: the provider session was not
+ *     ready in time (UPSTREAM_TIMEOUTS); the connection is closed, the client may reconnect.
+ *   - {"type":"error","error":"...","code":"UPSTREAM_API_ERROR"} or "UPSTREAM_ERROR": the provider
+ *     answered with an error, or its connection failed.
+ *   - {"type":"error","error":"...","code":"..."}: `code` is set for parental limits and
+ *     budgets (QUIET_HOURS, DAILY_LIMIT_REACHED, MONTHLY_BUDGET_EXCEEDED) so the client can
+ *     voice the message, and for RATE_LIMITED (with `retryAfterSeconds`), in which case
+ *     the utterance was dropped. Connecting and every commit count against the rate limits.
+ * The device is identified by its token (?token=... or an Authorization header;
+ * the handshake fails with 401 without one), the conversation and child profile
+ * are selected with ?sessionId=...&profileId=... (another device's session is refused
+ * like an unknown one, SESSION_NOT_FOUND), the interaction mode with ?mode=...
+ * (see modes.js; 'conversation' by default), the language with ?language=... (see
+ * languages.js; like on /process-audio, it defaults to the profile's, then to the
+ * Accept-Language one, and error messages follow it), the voice with ?voice=... and
+ * ?deviceId=... only counts with REQUIRE_DEVICE_AUTH=false.
+ */
+wss.on('connection', (clientWs, req) => runWithRequestId(req.id, () => handleStreamConnection(clientWs, req)));
+
+function handleStreamConnection(clientWs, req) {
+  const searchParams = new URL(req.url, 'http://localhost').searchParams;
+  const deviceId = req.device ? req.device.id : (searchParams.get('deviceId') || DEFAULT_DEVICE_ID);
+  // The client socket's callbacks run outside of runWithRequestId, so the connection's lines carry it explicitly
+  const log = logger.child({ requestId: req.id, deviceId });
+  log.info('Streaming client connected', { remoteAddress: req.socket.remoteAddress });
+
+  const sessionId = searchParams.get('sessionId') || crypto.randomUUID(); // Groups the transcript of this connection
+  const requestedLanguage = searchParams.get('language');
+  let language = resolveLanguage(...requestedLanguages(req, requestedLanguage)); // Of the error messages until the profile is known
+
+  // Errors that end the connection before the bear said anything
+  function rejectClient(body, reason) {
+    clientWs.send(JSON.stringify({ type: 'error', ...localizeError(language, body) }));
+    clientWs.close(1008, reason);
+  }
+
+  const inputSampleRate = Number(searchParams.get('sampleRate')) || 16000;
+  if (!SUPPORTED_SAMPLE_RATES.includes(inputSampleRate)) {
+    rejectClient({ error: 'Taxa de amostragem não suportada', code: 'UNSUPPORTED_SAMPLE_RATE' }, 'Unsupported sample rate');
+    return;
+  }
+  const profileId = searchParams.get('profileId');
+  const profile = profileId ? profileStore.get(profileId) : null;
+  if (profileId && !profile) {
+    rejectClient({ error: 'Perfil não encontrado', code: 'PROFILE_NOT_FOUND' }, 'Unknown profile');
+    return;
+  }
+  const mode = searchParams.get('mode') || DEFAULT_MODE;
+  const modeError = validateMode(mode);
+  if (modeError) {
+    rejectClient({ error: modeError, code: 'UNKNOWN_MODE' }, 'Unknown mode');
+    return;
+  }
+  const languageError = requestedLanguage !== null && validateLanguage(requestedLanguage);
+  if (languageError) {
+    rejectClient({ error: languageError, code: 'UNKNOWN_LANGUAGE' }, 'Unknown language');
+    return;
+  }
+  language = resolveLanguage(requestedLanguage, profile && profile.language, ...requestedLanguages(req));
+  const voice = searchParams.get('voice');
+  const voiceError = voice !== null && validateVoice(voice);
+  if (voiceError) {
+    rejectClient({ error: voiceError, code: 'UNKNOWN_VOICE' }, 'Unknown voice');
+    return;
+  }
+  if (isOtherDevicesSession(deviceId, sessionId)) {
+    rejectClient({ error: 'Sessão não encontrada', code: 'SESSION_NOT_FOUND' }, 'Unknown session');
+    return;
+  }
+
+  const accessError = takeRateLimit(deviceId) || checkDeviceAccess(deviceId);
+  if (accessError) {
+    log.warn('Device blocked', { code: accessError.code });
+    clientErrors.inc({ code: accessError.code });
+    rejectClient(accessError, accessError.code);
+    return;
+  }
+
+  streamConnections.inc();
+  const upstreamStartedAt = Date.now();
+  const upstream = connectToProvider();
+  const readyTimer = setTimeout(() => {
+    log.error('Streaming session was not ready in time, closing');
+    upstreamFailures.inc({ code: 'UPSTREAM_TIMEOUT', phase: 'ready' });
+    sendToClient({ type: 'error', ...localizeError(language, { error: 'O ursinho não conseguiu responder agora', code: 'UPSTREAM_TIMEOUT' }) });
+    upstream.terminate();
+  }, UPSTREAM_TIMEOUTS.connectTimeoutMs + UPSTREAM_TIMEOUTS.readyTimeoutMs);
+  const stream = { language, say, close: () => clientWs.close(1008, 'Device revoked') };
+  if (!streamingDevices.has(deviceId)) streamingDevices.set(deviceId, new Set());
+  streamingDevices.get(deviceId).add(stream);
+  let isUpstreamReady = false;
+  const pendingEvents = []; // Events from the client received before the session was configured
+  let inputBytes = 0; // Microphone audio received since the last commit
+  let isInputTooLong = false; // The utterance passed MAX_INPUT_SECONDS: dropped until the next commit or clear
+  const inputResampler = createPcm16StreamResampler(inputSampleRate);
+  let outputBytes = 0; // Bear audio forwarded since the last 'response.done'
+  const responseTranscripts = new Map(); // response id -> transcript so far
+  let lastInputItemId = null; // Item holding the last committed utterance of the child
+  let blockedResponseId = null; // Reply being replaced by the safe reply
+  let pendingBlockedTopic = null; // Set while the safe reply for a blocked topic is being requested
+  const scriptedResponses = new Map(); // Safe reply response id -> blocked topic
+  let activeResponseId = null; // Reply being generated right now
+  let isResponseRequested = false; // 'response.create' sent, 'response.created' not received yet
+  let isInterruptPending = false; // Barge-in arrived before the reply was created
+  let interruptedResponseId = null; // Reply cancelled by barge-in
+  let lastReplyItem = null; // { itemId, audioBytes } of the last reply audio sent, for truncation
+  let toolRounds = 0; // Function call rounds answered since the last commit
+  let isNoticeRequested = false; // Set while a notice (e.g. bedtime) is being requested
+  let pendingNotice = null; // Notice waiting for the current reply to finish
+  const noticeResponseIds = new Set();
+  let committedAt = null; // When the child's last utterance was committed, until its reply is done
+  let isFirstAudioPending = false; // No audio of the reply to the last commit sent yet
+
+  function sendToClient(event) {
+    if (event.type === 'error') clientErrors.inc({ code: event.code || 'STREAM_ERROR' });
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(JSON.stringify(event));
+    }
+  }
+
+  function sendUpstream(event) {
+    if (isUpstreamReady && upstream.readyState === WebSocket.OPEN) {
+      upstream.send(JSON.stringify(event));
+    } else {
+      pendingEvents.push(event);
+    }
+  }
+
+  upstream.on('message', (message) => {
+    try {
+      const event = JSON.parse(message.toString());
+
+      if (event.type === 'session.created' && !isUpstreamReady) {
+        clearTimeout(readyTimer);
+        upstreamConnectSeconds.observe((Date.now() - upstreamStartedAt) / 1000);
+        // The client decides when an utterance ends, so server-side VAD is disabled
+        upstream.send(JSON.stringify(buildSessionUpdateEvent(profile, { turn_detection: null, ...(voice && { voice }) }, mode, language)));
+        isUpstreamReady = true;
+        pendingEvents.splice(0).forEach(sendUpstream);
+        log.info('Streaming session configured');
+        sendToClient({ type: 'ready', format: 'pcm16', sampleRate: OUTPUT_FORMATS.pcm16.sampleRate, language, requestId: req.id });
+      } else if (event.type === 'response.created') {
+        activeResponseId = event.response.id;
+        isResponseRequested = false;
+        if (isNoticeRequested) {
+          isNoticeRequested = false;
+          noticeResponseIds.add(activeResponseId);
+        }
+        if (isInterruptPending) {
+          isInterruptPending = false;
+          interruptedResponseId = activeResponseId;
+          upstream.send(JSON.stringify({ type: 'response.cancel' }));
+        }
+        if (pendingBlockedTopic) {
+          scriptedResponses.set(event.response.id, pendingBlockedTopic);
+          pendingBlockedTopic = null;
+        }
+      } else if (event.type === 'input_audio_buffer.committed') {
+        lastInputItemId = event.item_id;
+      } else if (event.type === 'conversation.item.input_audio_transcription.completed') {
+        handleInputTranscript(event.item_id, event.transcript);
+      } else if (event.type === 'response.audio.delta') {
+        if (event.delta && event.response_id !== blockedResponseId && event.response_id !== interruptedResponseId) {
+          const deltaBytes = Buffer.from(event.delta, 'base64').length;
+          outputBytes += deltaBytes;
+          if (!scriptedResponses.has(event.response_id)) { // Out-of-band replies are not in the conversation
+            if (!lastReplyItem || lastReplyItem.itemId !== event.item_id) {
+              lastReplyItem = { itemId: event.item_id, audioBytes: 0 };
             }
-          };
-          ws.send(JSON.stringify(responseCreateEvent));
-          console.log(`[${new Date().toISOString()}] Sent: response.create`);
-
-        } else if (event.type === 'response.audio.delta') {
-          if (event.delta) {
-            responseAudioChunks.push(event.delta);
-            // console.log(`[${new Date().toISOString()}] Received audio chunk (length: ${event.delta.length})`);
+            lastReplyItem.audioBytes += deltaBytes;
           }
-        } else if (event.type === 'response.text.delta') {
-            // If you also want to process text deltas (e.g., for subtitles or quicker feedback)
-            // console.log(`[${new Date().toISOString()}] Received text chunk: ${event.delta}`);
-        } else if (event.type === 'response.done') {
-          console.log(`[${new Date().toISOString()}] Response done. Combining audio chunks...`);
-          const completeAudioBase64 = responseAudioChunks.join('');
-          console.log(`[${new Date().toISOString()}] Total combined audio length: ${completeAudioBase64.length}`);
-
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.close(1000, 'Processing complete'); // 1000 for normal closure
+          if (isFirstAudioPending) {
+            isFirstAudioPending = false;
+            firstAudioSeconds.observe((Date.now() - committedAt) / 1000, { transport: 'stream' });
           }
-          resolve(completeAudioBase64);
-
-        } else if (event.type === 'error' || event.type === 'session.error') {
-          console.error(`[${new Date().toISOString()}] OpenAI API Error Event:`, event.message || event.reason || JSON.stringify(event));
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.close(1011, 'API Error'); // 1011 for internal server error
-          }
-          reject(new Error(`OpenAI API Error: ${event.message || event.reason || 'Unknown API error'}`));
+          sendToClient({ type: 'audio.delta', audio: event.delta });
+        }
+      } else if (event.type === 'response.audio_transcript.delta' || event.type === 'response.text.delta') {
+        if (event.delta) {
+          responseTranscripts.set(event.response_id, (responseTranscripts.get(event.response_id) || '') + event.delta);
+          checkStreamedTranscript(event.response_id);
+        }
+      } else if (event.type === 'response.done') {
+        if (event.response && event.response.usage) usageStore.record(deviceId, { usage: event.response.usage });
+        const responseId = event.response && event.response.id;
+        const bearTranscript = responseTranscripts.get(responseId) || '';
+        const blockedTopic = scriptedResponses.get(responseId) || null;
+        responseTranscripts.delete(responseId);
+        scriptedResponses.delete(responseId);
+        if (responseId === activeResponseId) activeResponseId = null;
+        if (responseId && responseId === blockedResponseId) {
+          // Drop the filtered reply from the conversation; the safe reply is already on its way
+          blockedResponseId = null;
+          (event.response.output || []).forEach(item => upstream.send(JSON.stringify({ type: 'conversation.item.delete', item_id: item.id })));
+          return;
+        }
+        const wasInterrupted = responseId === interruptedResponseId;
+        if (wasInterrupted) interruptedResponseId = null;
+        const functionCalls = (event.response.output || []).filter(item => item.type === 'function_call');
+        if (functionCalls.length > 0 && !wasInterrupted && toolRounds < MAX_TOOL_ROUNDS) {
+          answerFunctionCalls(functionCalls);
+          return;
+        }
+        const isNotice = noticeResponseIds.delete(responseId);
+        log.info('Streaming response done', { interrupted: wasInterrupted });
+        if (committedAt && !isNotice) {
+          if (!wasInterrupted) responseSeconds.observe((Date.now() - committedAt) / 1000, { transport: 'stream' });
+          committedAt = null;
         }
+        const replySeconds = audioDurationSeconds(outputBytes, 'pcm16');
+        parentalControls.recordUsage(deviceId, replySeconds);
+        usageStore.record(deviceId, { outputAudioSeconds: replySeconds });
+        outputBytes = 0;
+        transcriptStore.recordExchange({
+          sessionId,
+          deviceId,
+          profileId: profile ? profile.id : null,
+          mode,
+          inputItemId: isNotice ? null : lastInputItemId,
+          bear: bearTranscript,
+          blockedTopic
+        });
+        if (!wasInterrupted) sendToClient({ type: 'response.done' });
+        if (pendingNotice) say(pendingNotice);
+      } else if (event.type === 'error' || event.type === 'session.error') {
+        const errorMessage = event.message || (event.error && event.error.message) || 'Unknown API error';
+        log.error('Upstream API error', { error: errorMessage });
+        upstreamFailures.inc({ code: 'UPSTREAM_API_ERROR', phase: '' });
+        // A refused 'response.create' is never created: notices and barge-ins must not wait for it
+        isResponseRequested = false;
+        isInterruptPending = false;
+        isNoticeRequested = false;
+        sendToClient({ type: 'error', ...localizeError(language, { error: 'O ursinho não conseguiu responder agora', code: 'UPSTREAM_API_ERROR' }) });
+      }
+    } catch (parseError) {
+      log.error('Could not handle upstream message', { error: parseError });
+    }
+  });
+
+  // Cancels a reply as soon as its transcript trips a blocked topic and asks for the safe reply
+  function checkStreamedTranscript(responseId) {
+    if (responseId === blockedResponseId || scriptedResponses.has(responseId)) return;
+
+    const { blockedTopics, safeReply } = parentalControls.getSafetyRules(language);
+    const blocked = findBlockedTopic(responseTranscripts.get(responseId), blockedTopics);
+    if (!blocked) return;
+
+    log.warn('Streamed response blocked by the safety filter, using the safe reply', { topic: blocked.topic, keyword: blocked.keyword });
+    blockedResponseId = responseId;
+    pendingBlockedTopic = blocked.topic;
+    upstream.send(JSON.stringify({ type: 'response.cancel' }));
+    sendToClient({ type: 'response.blocked' });
+    upstream.send(JSON.stringify(buildScriptedReplyEvent(safeReply, language)));
+  }
+
+  // Runs the functions the model called and asks it to answer with their results
+  async function answerFunctionCalls(functionCalls) {
+    toolRounds++;
+    isResponseRequested = true; // A barge-in while the tools run skips the answer
+    log.info('Model called tools', { tools: functionCalls.map(call => call.name) });
+    const results = await Promise.all(functionCalls.map(call =>
+      toolRegistry.execute(call.name, call.arguments, { deviceId, sessionId })));
+    functionCalls.forEach((call, index) => sendUpstream({
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(results[index] === undefined ? null : results[index]) }
+    }));
+    if (isInterruptPending) {
+      isInterruptPending = false;
+      isResponseRequested = false;
+      return;
+    }
+    sendUpstream({ type: 'response.create', response: { modalities: ['audio', 'text'] } });
+  }
+
+  // Makes the bear say `text` on its own, once it is not already talking
+  function say(text) {
+    if (activeResponseId || isResponseRequested) {
+      pendingNotice = text;
+      return;
+    }
+    pendingNotice = null;
+    isNoticeRequested = true;
+    isResponseRequested = true;
+    sendUpstream(buildScriptedReplyEvent(text, language));
+  }
+
+  // Barge-in: stops the reply in progress and tells the model how much of it was heard
+  function interruptResponse(playedMs) {
+    if (activeResponseId && activeResponseId !== interruptedResponseId) {
+      interruptedResponseId = activeResponseId;
+      sendUpstream({ type: 'response.cancel' });
+    } else if (isResponseRequested) {
+      isInterruptPending = true;
+    }
+    if (lastReplyItem && Number.isFinite(playedMs)) {
+      const audioMs = Math.floor(audioDurationSeconds(lastReplyItem.audioBytes, 'pcm16') * 1000);
+      sendUpstream({
+        type: 'conversation.item.truncate',
+        item_id: lastReplyItem.itemId,
+        content_index: 0,
+        audio_end_ms: Math.max(0, Math.min(Math.round(playedMs), audioMs))
+      });
+      lastReplyItem = null;
+    }
+    log.info('Streaming reply interrupted by the child');
+  }
+
+  upstream.on('error', (err) => {
+    log.error('Upstream WebSocket error', { error: err.message });
+    upstreamFailures.inc({ code: 'UPSTREAM_ERROR', phase: '' });
+    sendToClient({ type: 'error', ...localizeError(language, { error: 'O ursinho não conseguiu responder agora', code: 'UPSTREAM_ERROR' }) });
+  });
+
+  upstream.on('close', (code) => {
+    clearTimeout(readyTimer);
+    log.info('Upstream WebSocket closed', { closeCode: code });
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.close(1011, 'Upstream closed');
+    }
+  });
 
-      } catch (parseError) {
-        console.error(`[${new Date().toISOString()}] Error parsing WebSocket message:`, parseError);
-        // Depending on severity, you might not want to reject immediately for a single unparseable message
-        // but if it's critical, then reject.
-        // For now, logging it. If critical parsing errors occur, the flow might break anyway.
+  clientWs.on('message', (data, isBinary) => {
+    if (isBinary) {
+      if (isInputTooLong) return;
+      if (pcm16DurationSeconds(inputBytes + data.length, inputSampleRate) > MAX_INPUT_SECONDS) {
+        log.warn('Utterance too long, dropped', { maxSeconds: MAX_INPUT_SECONDS });
+        isInputTooLong = true;
+        inputBytes = 0;
+        sendUpstream({ type: 'input_audio_buffer.clear' });
+        sendToClient({ type: 'error', ...localizeError(language, { error: `O áudio é longo demais (máximo de ${MAX_INPUT_SECONDS}s)`, code: 'AUDIO_TOO_LONG' }) });
+        return;
       }
-    });
+      inputBytes += data.length;
+      sendUpstream({ type: 'input_audio_buffer.append', audio: inputResampler.push(Buffer.from(data)).toString('base64') });
+      return;
+    }
 
-    ws.on('error', function error(err) {
-      clearTimeout(connectionTimeout);
-      console.error(`[${new Date().toISOString()}] WebSocket connection error:`, err);
-      reject(err); // Reject the promise on WebSocket error
-    });
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (parseError) {
+      log.warn('Ignoring malformed client message');
+      return;
+    }
 
-    ws.on('close', function close(code, reason) {
-      clearTimeout(connectionTimeout);
-      console.log(`[${new Date().toISOString()}] WebSocket connection closed. Code: ${code}, Reason: ${reason ? reason.toString() : 'N/A'}`);
-      // If the promise hasn't been resolved or rejected yet (e.g., unexpected closure),
-      // and we haven't successfully gathered data, we should reject.
-      // The 'resolve' is handled in 'response.done'.
-      // The 'reject' is handled in 'error' or timeout.
-      // This 'close' handler is mostly for logging and cleanup.
-      // If it closes unexpectedly before 'response.done' without an 'error' event, the promise might hang.
-      // We can add a check here, but it might conflict with normal closure after resolve.
-      // For now, relying on timeout and explicit error/done events for promise settlement.
-    });
+    if (event.type === 'commit') {
+      if (isInputTooLong) { // Its audio was already dropped and the client told
+        isInputTooLong = false;
+        return;
+      }
+      const commitAccessError = takeRateLimit(deviceId) || checkDeviceAccess(deviceId);
+      const committedBytes = inputBytes;
+      inputBytes = 0;
+      if (commitAccessError) {
+        log.warn('Device blocked', { code: commitAccessError.code });
+        sendUpstream({ type: 'input_audio_buffer.clear' });
+        sendToClient({ type: 'error', ...localizeError(language, commitAccessError) });
+        return;
+      }
+      const inputSeconds = pcm16DurationSeconds(committedBytes, inputSampleRate);
+      parentalControls.recordUsage(deviceId, inputSeconds);
+      usageStore.record(deviceId, { inputAudioSeconds: inputSeconds });
+      sendUpstream({ type: 'input_audio_buffer.commit' });
+      sendUpstream({ type: 'response.create', response: { modalities: ['audio', 'text'] } });
+      isResponseRequested = true;
+      toolRounds = 0;
+      committedAt = Date.now();
+      isFirstAudioPending = true;
+    } else if (event.type === 'clear') {
+      inputBytes = 0;
+      isInputTooLong = false;
+      sendUpstream({ type: 'input_audio_buffer.clear' });
+    } else if (event.type === 'interrupt') {
+      interruptResponse(event.playedMs);
+    }
+  });
+
+  clientWs.on('close', () => {
+    log.info('Streaming client disconnected');
+    const deviceStreams = streamingDevices.get(deviceId);
+    deviceStreams.delete(stream);
+    if (deviceStreams.size === 0) streamingDevices.delete(deviceId);
+    if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+      upstream.close(1000, 'Client disconnected');
+    }
   });
 }
 
-// Iniciar o servidor
-app.listen(PORT, () => {
-  console.log(`[${new Date().toISOString()}] Server running on port ${PORT}`);
-  console.log(`[${new Date().toISOString()}] Waiting for requests at http://localhost:${PORT}/process-audio`);
-});
+// Desligamento: /readyz passa a responder 503, novas conexões são recusadas e
+// as requisições em andamento têm SHUTDOWN_GRACE_MS para terminar
+function shutdown(signal) {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+  logger.info('Shutting down', { signal });
+  server.close(() => process.exit(0));
+  wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+  if (conversationPool) conversationPool.stop();
+  setTimeout(() => process.exit(0), SHUTDOWN_GRACE_MS).unref();
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Iniciar o servidor (depois do provedor, que pode precisar subir o servidor de teste)
+provider.start()
+  .then(() => {
+    isProviderStarted = true;
+    if (conversationPool) conversationPool.start();
+    server.listen(PORT, () => {
+      const { port } = server.address(); // PORT=0 picks a free port
+      logger.info(`Server running on port ${port}`, {
+        port,
+        processAudioUrl: `http://localhost:${port}/process-audio`,
+        streamUrl: `ws://localhost:${port}/stream-audio`
+      });
+    });
+  })
+  .catch(error => {
+    logger.error('Could not start the provider', { provider: provider.name, error: error.message });
+    process.exitCode = 1;
+  });
@@ -0,0 +1,62 @@
+// service-worker.js
+// Guarda a casca do app (a página e seus scripts) para o ursinho abrir mesmo sem Wi-Fi.
+// The server's routes are never cached; the fallback phrases recorded by the server are
+// kept by script.js in their own cache. Bump SHELL_CACHE when the list of files changes.
+const SHELL_CACHE = 'ursinho-shell-v2';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'script.js',
+    'translations.js',
+    'wake-word.js',
+    'capture-worklet.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+// The fallback phrases in the bear's voice, recorded before deploying (npm run record-fallback-phrases):
+// they are not in the repository. A shell deployed without them still installs, with a warning;
+// the browser's voice says the phrases then.
+const FALLBACK_AUDIO_FILES = ['fallback-audio/pt-BR.json', 'fallback-audio/en.json', 'fallback-audio/es.json'];
+const SHELL_URLS = new Set([...SHELL_FILES, ...FALLBACK_AUDIO_FILES].map(file => new URL(file, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)
+        .then(() => Promise.all(FALLBACK_AUDIO_FILES.map(file => cache.add(file).catch(error => {
+            console.warn(`Fallback recording ${file} not deployed (npm run record-fallback-phrases):`, error);
+        }))))));
+    self.skipWaiting();
+});
+
+// Drops the shells of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('ursinho-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Stale-while-revalidate: the cached file answers at once and the network refreshes it for the next visit
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const isShell = event.request.mode === 'navigate' || SHELL_URLS.has(url.origin + url.pathname);
+    if (event.request.method !== 'GET' || !isShell) return;
+
+    event.respondWith(caches.open(SHELL_CACHE).then(async (cache) => {
+        const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+        const refreshed = fetch(event.request)
+            .then(response => {
+                if (response.ok) cache.put(event.request, response.clone());
+                return response;
+            })
+            .catch(error => {
+                if (cached) return cached;
+                throw error;
+            });
+        if (cached) {
+            event.waitUntil(refreshed.catch(() => {}));
+            return cached;
+        }
+        return refreshed;
+    }));
+});
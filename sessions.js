@@ -0,0 +1,622 @@
+// sessions.js
+const WebSocket = require('ws');
+const { logger, currentRequestId } = require('./logger');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./languages');
+
+/**
+ * Builds an out-of-band 'response.create' that makes the bear say `text`
+ * verbatim, asked in `language`, without adding it to the conversation history.
+ */
+function buildScriptedReplyEvent(text, language = DEFAULT_LANGUAGE) {
+  return {
+    type: 'response.create',
+    response: {
+      conversation: 'none',
+      modalities: ['audio', 'text'],
+      tool_choice: 'none',
+      instructions: `${LANGUAGES[language].scriptedReply} "${text}"`
+    }
+  };
+}
+
+// How long a cancelled response may take to reach 'response.done' before the upstream socket is closed
+const CANCEL_GRACE_MS = 2000;
+
+// Tool calls answered per turn; a model that keeps calling tools gets its reply as is
+const MAX_TOOL_ROUNDS = 3;
+
+// Rejection of a turn cancelled with interrupt(), e.g. because the child talked over the bear
+function createAbortError() {
+  const error = new Error('Response cancelled by the client');
+  error.code = 'RESPONSE_ABORTED';
+  return error;
+}
+
+/**
+ * Failure of the upstream connection. `code` is UPSTREAM_TIMEOUT (with the
+ * `phase` that took too long: connect, ready, first_delta or total),
+ * UPSTREAM_CLOSED, UPSTREAM_ERROR or UPSTREAM_API_ERROR.
+ * `transient` failures happened before the bear said anything and are worth
+ * retrying on a new connection (see retryTransient).
+ */
+function createUpstreamError(message, { code, phase = null, transient = false }) {
+  const error = new Error(message);
+  error.code = code;
+  error.phase = phase;
+  error.transient = transient;
+  return error;
+}
+
+/**
+ * Runs `attempt()` and runs it again, up to `maxRetries` times, while it fails
+ * with a transient upstream error. Waits `baseDelayMs`, then twice as long and so
+ * on (with some jitter) between attempts.
+ */
+async function retryTransient(attempt, { maxRetries = 2, baseDelayMs = 250, label = 'upstream' } = {}) {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (!error.transient || retry >= maxRetries) throw error;
+      const delayMs = Math.round(baseDelayMs * 2 ** retry * (1 + Math.random() / 2));
+      logger.warn('Upstream failed, retrying', { conversation: label, error: error.message, code: error.code, phase: error.phase, delayMs, retry: retry + 1, maxRetries });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Creates a conversation backed by a single OpenAI Realtime WebSocket.
+ * The upstream session keeps every item it receives, so as long as the socket
+ * stays open the bear remembers what the child said in earlier turns.
+ *
+ * Options:
+ *   - connect(): opens the upstream WebSocket.
+ *   - buildSessionUpdateEvent(): returns the 'session.update' sent on 'session.created'.
+ *   - maxHistoryItems: oldest items beyond this cap are removed with 'conversation.item.delete'.
+ *   - connectTimeoutMs, readyTimeoutMs: time allowed for the WebSocket handshake and
+ *     then for 'session.created'; past them the conversation fails and closes.
+ *   - firstDeltaTimeoutMs: time allowed between asking for a response and its first
+ *     audio (tools run in between don't count).
+ *   - turnTimeoutMs: a turn that does not reach 'response.done' in time is rejected.
+ *   A turn that times out closes the conversation, as the upstream response may still be running.
+ *   - onInputTranscript(itemId, transcript): called when the child's audio has been transcribed,
+ *     which may happen after the turn already resolved.
+ *   - outputBytesPerMs: size of one millisecond of reply audio (PCM16 at 24kHz by default),
+ *     used to bound truncation on interrupt().
+ *   - executeTool(name, argumentsJson): runs a function the model called and resolves with
+ *     its result, which is sent back before the model is asked to answer (see tools.js).
+ *   - onUsage(usage): called with the `usage` block of every 'response.done' (tool rounds,
+ *     cancelled and scripted replies included), for usage accounting.
+ *   - onReady(seconds): called once with the time from opening the WebSocket to 'session.created'.
+ *   - onFirstAudio(seconds): called with the time from sending a turn to its first audio.
+ *   - label: used only in log lines. Lines written during a turn carry the request id
+ *     of the request that started it (see logger.js).
+ */
+function createConversation({
+  connect,
+  buildSessionUpdateEvent,
+  maxHistoryItems = Infinity,
+  connectTimeoutMs = 5000,
+  readyTimeoutMs = 5000,
+  firstDeltaTimeoutMs = 10000,
+  turnTimeoutMs = 30000,
+  onInputTranscript = () => {},
+  outputBytesPerMs = 48,
+  executeTool = null,
+  onUsage = () => {},
+  onReady = () => {},
+  onFirstAudio = () => {},
+  label = 'ephemeral'
+}) {
+  let log = logger.child({ conversation: label });
+  const connectStartedAt = Date.now();
+  const ws = connect();
+  const itemIds = []; // Upstream conversation items, oldest first
+  const inputTranscripts = new Map(); // User item id -> transcript of the child's audio
+  let currentTurn = null; // Handlers of the turn waiting for 'response.done'
+  let turnQueue = Promise.resolve(); // Turns of the same conversation run one at a time
+  let pendingTurns = 0;
+  let isClosed = false;
+  let lastReply = null; // { itemId, audioMs } of the last reply that finished, for truncation
+  let isReady = false;
+
+  let markReady;
+  let markFailed;
+  const ready = new Promise((resolve, reject) => {
+    markReady = resolve;
+    markFailed = reject;
+  });
+  ready.catch(() => {}); // Failures are surfaced by the turn awaiting it
+
+  // Fails the conversation when a phase before 'session.created' takes too long
+  let setupTimer = setTimeout(() => failSetup('connect'), connectTimeoutMs);
+
+  function failSetup(phase) {
+    const error = createUpstreamError(`Timeout: OpenAI Realtime API did not ${phase === 'connect' ? 'connect' : 'create the session'} in time`, { code: 'UPSTREAM_TIMEOUT', phase, transient: true });
+    log.error(error.message, { code: error.code, phase });
+    markFailed(error);
+    ws.terminate();
+  }
+
+  ws.on('open', () => {
+    log.info('Upstream WebSocket connected');
+    clearTimeout(setupTimer);
+    setupTimer = setTimeout(() => failSetup('ready'), readyTimeoutMs);
+  });
+
+  ws.on('message', (message) => {
+    let event;
+    try {
+      event = JSON.parse(message.toString());
+    } catch (parseError) {
+      log.error('Could not parse upstream message', { error: parseError.message });
+      return;
+    }
+    log.debug('Upstream event received', { event: event.type });
+
+    if (event.type === 'session.created') {
+      clearTimeout(setupTimer);
+      ws.send(JSON.stringify(buildSessionUpdateEvent()));
+      log.debug('Sent upstream', { event: 'session.update' });
+      onReady((Date.now() - connectStartedAt) / 1000);
+      isReady = true;
+      markReady();
+    } else if (event.type === 'conversation.item.created' && event.item) {
+      itemIds.push(event.item.id);
+      trimHistory();
+    } else if (event.type === 'conversation.item.deleted') {
+      const index = itemIds.indexOf(event.item_id);
+      if (index !== -1) itemIds.splice(index, 1);
+      inputTranscripts.delete(event.item_id);
+    } else if (event.type === 'conversation.item.input_audio_transcription.completed') {
+      inputTranscripts.set(event.item_id, event.transcript);
+      onInputTranscript(event.item_id, event.transcript);
+    }
+
+    if (currentTurn) {
+      currentTurn.handleEvent(event);
+    }
+  });
+
+  // Errors and closes always settle the turn in flight, so a request never hangs
+  ws.on('error', (err) => {
+    log.error('Upstream WebSocket error', { error: err.message });
+    markFailed(createUpstreamError(`OpenAI Realtime connection failed: ${err.message}`, { code: 'UPSTREAM_ERROR', transient: true }));
+    if (currentTurn) currentTurn.fail(`OpenAI Realtime connection failed: ${err.message}`, 'UPSTREAM_ERROR');
+  });
+
+  ws.on('close', (code, reason) => {
+    isClosed = true;
+    clearTimeout(setupTimer);
+    log.info('Upstream WebSocket closed', { closeCode: code, reason: reason ? reason.toString() : undefined });
+    markFailed(createUpstreamError(`OpenAI Realtime connection closed (code ${code})`, { code: 'UPSTREAM_CLOSED', transient: true }));
+    if (currentTurn) currentTurn.fail(`OpenAI Realtime connection closed (code ${code})`, 'UPSTREAM_CLOSED');
+  });
+
+  function trimHistory() {
+    while (itemIds.length > maxHistoryItems) {
+      const oldestId = itemIds.shift();
+      ws.send(JSON.stringify({ type: 'conversation.item.delete', item_id: oldestId }));
+      log.debug('History cap reached, deleted item', { itemId: oldestId });
+    }
+  }
+
+  /**
+   * Sends `events` upstream and collects the response they trigger until 'response.done'.
+   * Function calls in a response are run with executeTool and their results sent back
+   * with 'conversation.item.create', followed by a new 'response.create'; the turn
+   * ends with the first response that calls no function.
+   * Resolves with { audio, transcript, outputItemIds, inputItemId, inputTranscript };
+   * inputTranscript is null when the transcription has not arrived yet.
+   * A turn cancelled with interrupt() rejects with a RESPONSE_ABORTED error, an
+   * upstream failure with an UPSTREAM_* error (see createUpstreamError).
+   */
+  async function executeResponse(events, { outOfBand = false } = {}) {
+    await ready;
+    if (isClosed) {
+      throw createUpstreamError('OpenAI Realtime connection is closed', { code: 'UPSTREAM_CLOSED', transient: true });
+    }
+
+    const turnLog = log.child({ requestId: currentRequestId() });
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const responseAudioChunks = [];
+      let transcript = '';
+      let inputItemId = null;
+      let cancelTimer = null;
+      let toolRounds = 0;
+      const outputItemIds = []; // Across every response of the turn
+
+      let firstDeltaTimer = null;
+
+      const turnTimeout = setTimeout(() => {
+        settle(createUpstreamError('Timeout: OpenAI Realtime API did not finish the response in time', { code: 'UPSTREAM_TIMEOUT', phase: 'total' }));
+        close();
+      }, turnTimeoutMs);
+
+      // Armed each time a response is asked for, until its first audio arrives
+      function waitForFirstDelta() {
+        clearTimeout(firstDeltaTimer);
+        firstDeltaTimer = setTimeout(() => {
+          settle(createUpstreamError('Timeout: OpenAI Realtime API did not start answering in time', { code: 'UPSTREAM_TIMEOUT', phase: 'first_delta', transient: responseAudioChunks.length === 0 }));
+          close();
+        }, firstDeltaTimeoutMs);
+      }
+
+      function settle(error, result) {
+        clearTimeout(turnTimeout);
+        clearTimeout(firstDeltaTimer);
+        clearTimeout(cancelTimer);
+        currentTurn = null;
+        if (cancelTimer) reject(createAbortError());
+        else if (error) reject(error);
+        else resolve(result);
+      }
+
+      async function answerFunctionCalls(turn, functionCalls) {
+        const results = await Promise.all(functionCalls.map(call =>
+          Promise.resolve()
+            .then(() => executeTool(call.name, call.arguments))
+            .catch(error => ({ error: error.message }))));
+        if (currentTurn !== turn) return; // Settled (failed or timed out) while the tools ran
+        if (cancelTimer) {
+          settle(createAbortError());
+          return;
+        }
+        functionCalls.forEach((call, index) => {
+          ws.send(JSON.stringify({
+            type: 'conversation.item.create',
+            item: { type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(results[index] === undefined ? null : results[index]) }
+          }));
+        });
+        ws.send(JSON.stringify({ type: 'response.create', response: { modalities: ['audio', 'text'] } }));
+        waitForFirstDelta();
+        turnLog.info('Sent tool results', { tools: functionCalls.map(call => call.name) });
+      }
+
+      const turn = currentTurn = {
+        handleEvent(event) {
+          if (event.type === 'conversation.item.created' && event.item && event.item.role === 'user') {
+            inputItemId = event.item.id;
+          } else if (event.type === 'response.audio.delta') {
+            clearTimeout(firstDeltaTimer);
+            if (responseAudioChunks.length === 0) onFirstAudio((Date.now() - startedAt) / 1000);
+            if (event.delta) responseAudioChunks.push(Buffer.from(event.delta, 'base64'));
+          } else if (event.type === 'response.audio_transcript.delta' || event.type === 'response.text.delta') {
+            if (event.delta) transcript += event.delta;
+          } else if (event.type === 'response.done') {
+            clearTimeout(firstDeltaTimer);
+            const output = (event.response && event.response.output) || [];
+            if (event.response && event.response.usage) onUsage(event.response.usage);
+            outputItemIds.push(...output.map(item => item.id).filter(Boolean));
+
+            const functionCalls = output.filter(item => item.type === 'function_call');
+            if (functionCalls.length > 0 && executeTool && !cancelTimer && toolRounds < MAX_TOOL_ROUNDS) {
+              toolRounds++;
+              turnLog.info('Model called tools', { tools: functionCalls.map(call => call.name) });
+              answerFunctionCalls(turn, functionCalls);
+              return;
+            }
+
+            // Deltas are decoded before joining: their base64 may end in padding
+            const completeAudio = Buffer.concat(responseAudioChunks);
+            const completeAudioBase64 = completeAudio.toString('base64');
+            const message = output.find(item => item.type === 'message');
+            turnLog.info('Response done', { audioBytes: completeAudio.length, cancelled: Boolean(cancelTimer) });
+            if (cancelTimer) {
+              forgetItems(outputItemIds); // The child never heard the cancelled reply
+            } else if (outOfBand || !message) {
+              lastReply = null; // Out-of-band replies are not in the conversation
+            } else {
+              const audioMs = Math.floor(completeAudio.length / outputBytesPerMs);
+              lastReply = { itemId: message.id, audioMs };
+            }
+            settle(null, {
+              audio: completeAudioBase64,
+              transcript,
+              outputItemIds,
+              inputItemId,
+              inputTranscript: inputItemId ? (inputTranscripts.get(inputItemId) || null) : null
+            });
+          } else if (event.type === 'error' || event.type === 'session.error') {
+            const errorMessage = event.message || (event.error && event.error.message) || event.reason || 'Unknown API error';
+            turnLog.error('Upstream API error', { error: errorMessage, errorType: event.error && event.error.type });
+            // Server-side failures are retried on a new connection; bad requests would fail again
+            const isServerError = Boolean(event.error && event.error.type === 'server_error');
+            settle(createUpstreamError(`OpenAI API Error: ${errorMessage}`, { code: 'UPSTREAM_API_ERROR', transient: isServerError && responseAudioChunks.length === 0 }));
+            if (isServerError) close();
+          }
+        },
+        // The connection failed: worth retrying only if the child heard nothing yet
+        fail(message, code) {
+          settle(createUpstreamError(message, { code, transient: responseAudioChunks.length === 0 }));
+        },
+        cancel() {
+          if (cancelTimer) return;
+          clearTimeout(firstDeltaTimer);
+          ws.send(JSON.stringify({ type: 'response.cancel' }));
+          turnLog.info('Sent upstream', { event: 'response.cancel' });
+          cancelTimer = setTimeout(() => {
+            turnLog.warn('Cancelled response did not finish, closing upstream socket');
+            close();
+          }, CANCEL_GRACE_MS);
+        }
+      };
+
+      for (const event of events) {
+        ws.send(JSON.stringify(event));
+        turnLog.debug('Sent upstream', { event: event.type });
+      }
+      waitForFirstDelta();
+    });
+  }
+
+  // Responses of the same conversation run one at a time
+  function enqueue(events, options) {
+    pendingTurns++;
+    const response = turnQueue.then(() => executeResponse(events, options));
+    turnQueue = response.catch(() => {});
+    return response.finally(() => {
+      pendingTurns--;
+    });
+  }
+
+  /**
+   * Sends one utterance and resolves with the bear's reply:
+   * { audio (base64), transcript, outputItemIds, inputItemId, inputTranscript }.
+   * Calls made while another turn is in flight are queued.
+   */
+  function runTurn(audioBuffer) {
+    const base64InputAudio = audioBuffer.toString('base64');
+    log.info('Queuing user audio', { audioBytes: audioBuffer.length });
+    return enqueue([
+      {
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_audio', audio: base64InputAudio }]
+        }
+      },
+      {
+        type: 'response.create',
+        response: {
+          modalities: ['audio', 'text'] // Requesting both audio and text response
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Makes the bear say `text` (in `language`) verbatim, outside of the conversation history.
+   * Resolves like runTurn.
+   */
+  function runScriptedReply(text, language) {
+    return enqueue([buildScriptedReplyEvent(text, language)], { outOfBand: true });
+  }
+
+  // Removes items (e.g. a reply that was filtered out) from the upstream conversation
+  function forgetItems(ids) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    for (const id of ids) {
+      ws.send(JSON.stringify({ type: 'conversation.item.delete', item_id: id }));
+    }
+  }
+
+  /**
+   * Barge-in: the child started talking over the bear.
+   * Cancels the response in flight or, when the reply already arrived and was
+   * being played, truncates it upstream to the `playedMs` the child actually heard.
+   * Returns 'cancelled', 'truncated' or 'idle'.
+   */
+  function interrupt({ playedMs } = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return 'idle';
+    if (currentTurn) {
+      currentTurn.cancel();
+      return 'cancelled';
+    }
+    if (lastReply && Number.isFinite(playedMs)) {
+      ws.send(JSON.stringify({
+        type: 'conversation.item.truncate',
+        item_id: lastReply.itemId,
+        content_index: 0,
+        audio_end_ms: Math.max(0, Math.min(Math.round(playedMs), lastReply.audioMs))
+      }));
+      log.info('Sent upstream', { event: 'conversation.item.truncate' });
+      lastReply = null;
+      return 'truncated';
+    }
+    return 'idle';
+  }
+
+  function close() {
+    isClosed = true; // Right away: the closing handshake may take a while
+    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+      ws.close(1000, 'Conversation closed');
+    }
+  }
+
+  /**
+   * Hands a conversation opened ahead of time (see createConversationPool) to its
+   * user: replaces the per-use options. The session settings stay as configured.
+   */
+  function adopt(options) {
+    if (options.maxHistoryItems !== undefined) maxHistoryItems = options.maxHistoryItems;
+    if (options.firstDeltaTimeoutMs !== undefined) firstDeltaTimeoutMs = options.firstDeltaTimeoutMs;
+    if (options.turnTimeoutMs !== undefined) turnTimeoutMs = options.turnTimeoutMs;
+    if (options.onInputTranscript !== undefined) onInputTranscript = options.onInputTranscript;
+    if (options.outputBytesPerMs !== undefined) outputBytesPerMs = options.outputBytesPerMs;
+    if (options.executeTool !== undefined) executeTool = options.executeTool;
+    if (options.onUsage !== undefined) onUsage = options.onUsage;
+    if (options.onFirstAudio !== undefined) onFirstAudio = options.onFirstAudio;
+    if (options.label !== undefined) log = logger.child({ conversation: options.label });
+  }
+
+  return {
+    runTurn,
+    runScriptedReply,
+    forgetItems,
+    interrupt,
+    close,
+    adopt,
+    isReady: () => isReady && !isClosed,
+    isClosed: () => isClosed,
+    isBusy: () => pendingTurns > 0,
+    historySize: () => itemIds.length
+  };
+}
+
+/**
+ * Keeps `size` conversations connected and configured ahead of time, so a turn
+ * doesn't wait for the WebSocket handshake and the 'session.created' round-trip.
+ * `create()` opens one with the session settings known as `poolKey` (e.g. the
+ * default voice and instructions); only requests for those settings can use them.
+ * Warm conversations are replaced when they close and after `maxIdleMs`, as
+ * upstream sessions don't live forever.
+ */
+function createConversationPool({ size, poolKey, create, maxIdleMs = 5 * 60 * 1000 }) {
+  let warm = []; // { conversation, createdAt }, oldest first
+  let isStopped = false;
+
+  function refill() {
+    const now = Date.now();
+    warm = warm.filter(entry => {
+      const isStale = entry.conversation.isClosed() || now - entry.createdAt > maxIdleMs;
+      if (isStale) entry.conversation.close();
+      return !isStale;
+    });
+    while (!isStopped && warm.length < size) {
+      try {
+        warm.push({ conversation: create(), createdAt: now });
+      } catch (error) {
+        logger.error('Could not open a warm conversation', { error: error.message });
+        break;
+      }
+    }
+  }
+
+  // Also retries every so often while the provider can't be reached
+  const refillTimer = setInterval(refill, Math.min(maxIdleMs, 30000));
+  refillTimer.unref(); // Never keep the process alive just for the pool
+
+  return {
+    start: refill,
+
+    /**
+     * Hands out a ready conversation for `key`, with `options` applied (see adopt()),
+     * or returns null when the key doesn't match or none is ready yet.
+     */
+    take(key, options = {}) {
+      if (key !== poolKey) return null;
+      const index = warm.findIndex(entry => entry.conversation.isReady());
+      if (index === -1) return null;
+      const [{ conversation }] = warm.splice(index, 1);
+      conversation.adopt(options);
+      setImmediate(refill);
+      return conversation;
+    },
+
+    stop() {
+      isStopped = true;
+      clearInterval(refillTimer);
+      warm.forEach(entry => entry.conversation.close());
+      warm = [];
+    },
+
+    size: () => warm.length
+  };
+}
+
+/**
+ * Keeps one conversation per client session id, closing the ones that stay
+ * idle for longer than `idleTimeoutMs`.
+ * Accepts the same options as createConversation, plus idleTimeoutMs and
+ * `pool` (a createConversationPool) new conversations are taken from when possible.
+ */
+function createSessionManager({ idleTimeoutMs = 10 * 60 * 1000, pool = null, ...conversationOptions }) {
+  const sessions = new Map(); // sessionId -> { conversation, configKey, deviceId, lastActivity }
+
+  const sweepTimer = setInterval(expireIdleSessions, Math.min(idleTimeoutMs, 60000));
+  sweepTimer.unref(); // Never keep the process alive just for the sweep
+
+  function expireIdleSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions) {
+      if (!session.conversation.isBusy() && now - session.lastActivity > idleTimeoutMs) {
+        logger.info('Session expired after inactivity', { sessionId });
+        session.conversation.close();
+        sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Returns the live conversation for `sessionId`, opening a new one when the
+   * session is unknown, its upstream socket has been closed or its `configKey`
+   * (e.g. the selected child profile) changed.
+   * `overrides` replace conversation options for a newly opened conversation.
+   * `poolKey` names its session settings, to take it from the pool when they match.
+   * `deviceId` is the device the session belongs to (see getDeviceId).
+   */
+  function getConversation(sessionId, { configKey = null, poolKey = null, deviceId = null, ...overrides } = {}) {
+    let session = sessions.get(sessionId);
+    if (session && session.configKey !== configKey) {
+      logger.info('Session configuration changed, starting over', { sessionId });
+      session.conversation.close();
+      session = null;
+    }
+    if (!session || session.conversation.isClosed()) {
+      logger.info('Starting conversation', { sessionId });
+      const options = { ...conversationOptions, ...overrides, label: `session ${sessionId}` };
+      session = {
+        conversation: (pool && pool.take(poolKey, options)) || createConversation(options),
+        configKey,
+        deviceId,
+        lastActivity: Date.now()
+      };
+      sessions.set(sessionId, session);
+    }
+    session.lastActivity = Date.now();
+    return session.conversation;
+  }
+
+  // The device the live `sessionId` belongs to, or null when there is no such session
+  function getDeviceId(sessionId) {
+    const session = sessions.get(sessionId);
+    return session ? session.deviceId : null;
+  }
+
+  /**
+   * Forgets everything said in `sessionId`. Returns false if there was no such session.
+   */
+  function resetSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    session.conversation.close();
+    sessions.delete(sessionId);
+    logger.info('Session reset', { sessionId });
+    return true;
+  }
+
+  /**
+   * Interrupts the bear in `sessionId` (see interrupt() on the conversation).
+   * Returns null if there was no such session.
+   */
+  function interruptSession(sessionId, options) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+    return session.conversation.interrupt(options);
+  }
+
+  return {
+    getConversation,
+    getDeviceId,
+    resetSession,
+    interruptSession,
+    size: () => sessions.size
+  };
+}
+
+module.exports = { MAX_TOOL_ROUNDS, buildScriptedReplyEvent, retryTransient, createConversation, createConversationPool, createSessionManager };
@@ -0,0 +1,139 @@
+// test/audio-input.test.js
+// Decoding and resampling of the child's audio.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const OpusScript = require('opusscript');
+const { AudioInputError, normalizeInputAudio, createPcm16StreamResampler } = require('../audio-input');
+const { buildPcm16 } = require('./helpers');
+
+const LIMITS = { minDurationSeconds: 0.1, maxDurationSeconds: 60, silenceThreshold: 0.01 };
+
+// A WAV file with a `fmtSize`-byte fmt chunk (the first 16 bytes of a PCM16 one) and `data`
+function buildWav(data, { fmtSize = 16, channels = 1, sampleRate = 16000 } = {}) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * 2, 8);
+  fmt.writeUInt16LE(channels * 2, 12);
+  fmt.writeUInt16LE(16, 14);
+  const chunk = (id, body) => Buffer.concat([Buffer.from(id, 'ascii'), Buffer.from(Uint32Array.of(body.length).buffer), body]);
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), chunk('fmt ', fmt.subarray(0, fmtSize)), chunk('data', data)]);
+  return Buffer.concat([Buffer.from('RIFF', 'ascii'), Buffer.from(Uint32Array.of(body.length).buffer), body]);
+}
+
+// Ogg pages holding `packets` (each shorter than 255 bytes), 255 per page; checksums are not verified
+function buildOgg(packets) {
+  const pages = [];
+  for (let start = 0; start < packets.length; start += 255) {
+    const pagePackets = packets.slice(start, start + 255);
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0, 'ascii');
+    header[26] = pagePackets.length;
+    pages.push(header, Buffer.from(pagePackets.map(packet => packet.length)), ...pagePackets);
+  }
+  return Buffer.concat(pages);
+}
+
+function buildOpusHead({ channels = 1, length = 19 } = {}) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1; // Version
+  head[9] = channels;
+  head.writeUInt32LE(48000, 12);
+  return head.subarray(0, length);
+}
+
+function assertRejected(buffer, inputFormat, status) {
+  assert.throws(() => normalizeInputAudio(buffer, { inputFormat, ...LIMITS }), error =>
+    error instanceof AudioInputError && error.status === status);
+}
+
+describe('decoding uploads', () => {
+  test('reads a PCM16 WAV file', () => {
+    const { durationSeconds, originalSampleRate } = normalizeInputAudio(buildWav(buildPcm16()), { inputFormat: 'wav', ...LIMITS });
+    assert.equal(durationSeconds, 1);
+    assert.equal(originalSampleRate, 16000);
+  });
+
+  test('rejects WAV files with a broken fmt chunk', () => {
+    assertRejected(buildWav(buildPcm16(), { fmtSize: 4 }), 'wav', 400);
+    assertRejected(buildWav(buildPcm16(), { channels: 0 }), 'wav', 400);
+    assertRejected(buildWav(buildPcm16()).subarray(0, 30), 'wav', 400); // Cut inside the fmt chunk
+  });
+
+  test('rejects Opus headers the decoder can\'t be set up with', () => {
+    const tags = Buffer.from('OpusTags', 'ascii');
+    const audio = Buffer.from([0xf8, 0xff, 0xfe]);
+    assertRejected(buildOgg([buildOpusHead({ channels: 0 }), tags, audio]), 'opus', 415);
+    assertRejected(buildOgg([buildOpusHead({ channels: 8 }), tags, audio]), 'opus', 415);
+    assertRejected(buildOgg([buildOpusHead({ length: 11 }), tags, audio]), 'opus', 400);
+  });
+
+  test('stops decoding Opus once it is longer than allowed', () => {
+    // Each 1-byte packet decodes to 20ms: 10000 of them would be 200s of audio
+    const packets = Array.from({ length: 10000 }, () => Buffer.from([0xf8]));
+    const ogg = buildOgg([buildOpusHead(), Buffer.from('OpusTags', 'ascii'), ...packets]);
+    const decode = OpusScript.prototype.decode;
+    let decodedPackets = 0;
+    OpusScript.prototype.decode = function (...args) {
+      decodedPackets++;
+      return decode.apply(this, args);
+    };
+    try {
+      assert.throws(() => normalizeInputAudio(ogg, { inputFormat: 'opus', ...LIMITS, maxDurationSeconds: 1 }), error =>
+        error instanceof AudioInputError && error.status === 413 && error.code === 'AUDIO_TOO_LONG');
+    } finally {
+      OpusScript.prototype.decode = decode;
+    }
+    assert.equal(decodedPackets, 51); // One second is 50 packets: the next one is the last decoded
+  });
+
+  test('rejects raw PCM16 that is too long before copying it', () => {
+    const pcm16 = Buffer.alloc(16000 * 2 * 3); // 3s at 16kHz
+    const copy = Int16Array;
+    let copied = false;
+    global.Int16Array = class extends copy {
+      constructor(...args) {
+        super(...args);
+        copied = true;
+      }
+    };
+    try {
+      assert.throws(() => normalizeInputAudio(pcm16, { ...LIMITS, sampleRate: 16000, maxDurationSeconds: 2 }), error =>
+        error instanceof AudioInputError && error.status === 413 && error.code === 'AUDIO_TOO_LONG');
+    } finally {
+      global.Int16Array = copy;
+    }
+    assert.equal(copied, false);
+  });
+});
+
+describe('stream resampler', () => {
+  // Feeds `audio` in chunks of the given sizes (in bytes, repeated) and joins the output
+  function resampleInChunks(audio, fromRate, chunkSizes) {
+    const resampler = createPcm16StreamResampler(fromRate);
+    const output = [];
+    for (let offset = 0, i = 0; offset < audio.length; i++) {
+      const size = chunkSizes[i % chunkSizes.length];
+      output.push(resampler.push(audio.subarray(offset, offset + size)));
+      offset += size;
+    }
+    return Buffer.concat(output);
+  }
+
+  test('resamples a chunked stream like one whole buffer', () => {
+    const audio = buildPcm16(8000, 16000);
+    const whole = resampleInChunks(audio, 16000, [audio.length]);
+    assert.ok(Math.abs(whole.length / 2 - 24000) <= 1); // One second at 24kHz
+
+    // Odd sizes split samples across chunks
+    assert.deepEqual(resampleInChunks(audio, 16000, [321, 1, 640, 77]), whole);
+    assert.deepEqual(resampleInChunks(buildPcm16(8000, 48000), 48000, [960, 333]), resampleInChunks(buildPcm16(8000, 48000), 48000, [96000]));
+  });
+
+  test('passes 24kHz audio through', () => {
+    const audio = buildPcm16(8000, 24000);
+    assert.deepEqual(resampleInChunks(audio, 24000, [480, 5]), audio);
+  });
+});
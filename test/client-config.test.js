@@ -0,0 +1,69 @@
+// test/client-config.test.js
+// Client settings: the defaults served by /config and the voice chosen by the client.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { SUPPORTED_VOICES, validateVoice } = require('../profiles');
+const { buildPcm16, startTestServer } = require('./helpers');
+
+describe('client settings', () => {
+  let server;
+
+  function processAudio(body) {
+    return server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64'), ...body }, server.device.token);
+  }
+
+  before(async () => {
+    server = await startTestServer({
+      CLIENT_SPEECH_THRESHOLD: '0.02',
+      CLIENT_SPEECH_TIMEOUT_MS: '900',
+      CLIENT_VOLUME: '0.5',
+      OPENAI_VOICE: 'coral'
+    });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('accepts only the voices of the Realtime API', () => {
+    assert.equal(validateVoice('alloy'), null);
+    assert.match(validateVoice('robot'), /Voz inválida/);
+  });
+
+  test('/config serves the configured defaults to unpaired clients', async () => {
+    const { status, body } = await server.request('GET', '/config', undefined, null);
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      speechThreshold: 0.02,
+      speechTimeoutMs: 900,
+      volume: 0.5,
+      voice: 'coral',
+      voices: SUPPORTED_VOICES
+    });
+  });
+
+  test('/process-audio answers with the chosen voice and rejects unknown ones', async () => {
+    assert.equal((await processAudio({ voice: 'sage' })).status, 200);
+
+    const { status, body } = await processAudio({ voice: 'robot', language: 'en' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNKNOWN_VOICE');
+    assert.equal(body.error, 'Unknown voice');
+    assert.deepEqual(body.voices, SUPPORTED_VOICES);
+  });
+
+  test('/stream-audio closes connections asking for an unknown voice', async () => {
+    const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?voice=robot&token=${server.device.token}`);
+    const { error, closeCode } = await new Promise((resolve, reject) => {
+      let error = null;
+      ws.on('error', reject);
+      ws.on('message', message => {
+        error = JSON.parse(message.toString());
+      });
+      ws.on('close', closeCode => resolve({ error, closeCode }));
+    });
+    assert.equal(closeCode, 1008);
+    assert.equal(error.code, 'UNKNOWN_VOICE');
+  });
+});
@@ -0,0 +1,244 @@
+// test/devices.test.js
+// Device pairing, device tokens and the parents' token.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createDeviceStore } = require('../devices');
+const { buildPcm16, startTestServer } = require('./helpers');
+
+describe('device store', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-devices-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('exchanges a pairing code once for a token that authenticates the device', async () => {
+    const store = createDeviceStore(path.join(dataDir, 'pair.json'));
+    const { code } = store.createPairingCode({ name: 'Quarto' });
+    assert.match(code, /^[A-Z2-9]{6}$/);
+
+    const paired = await store.pair(code.toLowerCase());
+    assert.equal(paired.device.name, 'Quarto');
+    assert.equal(store.authenticate(paired.token).id, paired.device.id);
+    assert.equal(await store.pair(code), null);
+    assert.equal(store.authenticate('not-a-token'), null);
+  });
+
+  test('stores only a hash of the token and keeps devices across restarts', async () => {
+    const filePath = path.join(dataDir, 'persist.json');
+    const store = createDeviceStore(filePath);
+    const { token, device } = await store.pair(store.createPairingCode().code);
+
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(token));
+    assert.equal(createDeviceStore(filePath).authenticate(token).id, device.id);
+  });
+
+  test('revoked devices no longer authenticate', async () => {
+    const store = createDeviceStore(path.join(dataDir, 'revoke.json'));
+    const { token, device } = await store.pair(store.createPairingCode().code);
+
+    assert.equal(await store.revoke(device.id), true);
+    assert.equal(store.authenticate(token), null);
+    assert.deepEqual(store.list(), []);
+    assert.equal(await store.revoke(device.id), false);
+  });
+});
+
+describe('authenticated routes', () => {
+  let server;
+
+  function openStream(query) {
+    return new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?${query}`);
+  }
+
+  // Resolves with the HTTP status the handshake was refused with, or 101 when it opened
+  function handshakeStatus(ws) {
+    return new Promise(resolve => {
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('open', () => {
+        ws.close();
+        resolve(101);
+      });
+      ws.on('error', () => {});
+    });
+  }
+
+  // Each route answers 401 without a token, with a forged one and with a device's
+  async function assertParentOnly(routes) {
+    for (const [method, route, body] of routes) {
+      for (const token of [null, 'forged-token', server.device.token]) {
+        const { status, body: error } = await server.request(method, route, body, token);
+        assert.equal(status, 401, `${method} ${route} with ${token} answered ${status}`);
+        assert.equal(error.code, 'PARENT_AUTH_REQUIRED');
+      }
+    }
+  }
+
+  before(async () => {
+    server = await startTestServer({ CORS_ORIGINS: 'https://ursinho.example' });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('refuses audio from unpaired clients', async () => {
+    const audio = buildPcm16().toString('base64');
+    assert.equal((await server.request('POST', '/process-audio', { audio }, null)).status, 401);
+    const { status, body } = await server.request('POST', '/process-audio', { audio }, 'forged-token');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'DEVICE_AUTH_REQUIRED');
+    assert.equal(await handshakeStatus(openStream('sampleRate=16000')), 401);
+  });
+
+  test('keeps the parents\' routes for the parent token', async () => {
+    assert.equal((await server.request('GET', '/conversations', undefined, server.device.token)).status, 401);
+    assert.equal((await server.request('GET', '/profiles', undefined, null)).status, 401);
+    assert.equal((await server.request('POST', '/devices/pairing-codes', {}, server.device.token)).status, 401);
+    assert.equal((await server.request('GET', '/conversations')).status, 200);
+  });
+
+  test('keeps the child profiles for the parents', async () => {
+    const { body: profile } = await server.request('POST', '/profiles', { name: 'Ana' });
+    await assertParentOnly([
+      ['GET', '/profiles'],
+      ['POST', '/profiles', { name: 'Intrusa' }],
+      ['GET', `/profiles/${profile.id}`],
+      ['PUT', `/profiles/${profile.id}`, { name: 'Intrusa' }],
+      ['DELETE', `/profiles/${profile.id}`]
+    ]);
+    const { body } = await server.request('GET', '/profiles');
+    assert.deepEqual(body.profiles.map(entry => entry.name), ['Ana']);
+  });
+
+  test('keeps the parental controls for the parents', async () => {
+    const { deviceId } = server.device;
+    await assertParentOnly([
+      ['GET', '/parental-controls'],
+      ['PUT', '/parental-controls', { blockedTopics: [] }],
+      ['PUT', `/parental-controls/devices/${deviceId}`, { dailyMinutes: 600 }],
+      ['GET', `/parental-controls/devices/${deviceId}/usage`]
+    ]);
+    const { body } = await server.request('GET', '/parental-controls');
+    assert.equal(body.blockedTopics, null);
+    assert.equal(body.devices[deviceId], undefined);
+  });
+
+  test('keeps the conversations for the parents', async () => {
+    const sessionId = 'private-talk';
+    const audio = buildPcm16().toString('base64');
+    assert.equal((await server.request('POST', '/process-audio', { audio, sessionId }, server.device.token)).status, 200);
+    await assertParentOnly([
+      ['GET', '/conversations'],
+      ['GET', '/conversations?q=ursinho'],
+      ['GET', `/conversations/${sessionId}`],
+      ['DELETE', `/conversations/${sessionId}`]
+    ]);
+    assert.equal((await server.request('GET', `/conversations/${sessionId}`)).status, 200);
+  });
+
+  test('rejects unknown pairing codes', async () => {
+    const { status, body } = await server.request('POST', '/devices/pair', { code: 'ZZZZZZ' }, null);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_PAIRING_CODE');
+  });
+
+  test('revoking a device cuts off its token and its open stream', async () => {
+    const { deviceId, token } = await server.pairDevice('Ursinho revogado');
+    const { body } = await server.request('GET', '/devices');
+    assert.ok(body.devices.some(device => device.id === deviceId && !('tokenHash' in device)));
+
+    const ws = openStream(`sampleRate=16000&token=${token}`);
+    await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      ws.on('message', message => {
+        if (JSON.parse(message.toString()).type === 'ready') resolve();
+      });
+    });
+    const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+
+    assert.equal((await server.request('DELETE', `/devices/${deviceId}`)).status, 204);
+    assert.equal(await closed, 1008);
+    const audio = buildPcm16().toString('base64');
+    assert.equal((await server.request('POST', '/process-audio', { audio }, token)).status, 401);
+  });
+
+  test('only allows the configured origins', async () => {
+    const allowed = await fetch(`${server.baseUrl}/devices/pair`, { method: 'OPTIONS', headers: { Origin: 'https://ursinho.example' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://ursinho.example');
+    const other = await fetch(`${server.baseUrl}/devices/pair`, { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+    const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?token=${server.device.token}`, { origin: 'https://evil.example' });
+    assert.equal(await handshakeStatus(ws), 403);
+  });
+});
+
+describe('parent token', () => {
+  test('the server refuses to start without one', async () => {
+    await assert.rejects(startTestServer({ PARENT_TOKEN: '' }), error => {
+      assert.match(error.message, /exited with code 1/);
+      assert.match(error.message, /PARENT_TOKEN is not set/);
+      assert.doesNotMatch(error.message, /parentToken/);
+      return true;
+    });
+  });
+});
+
+describe('pairing rate limit', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ RATE_LIMIT_PAIRING_PER_MINUTE: '3', RATE_LIMIT_GLOBAL_PER_MINUTE: '3', TRUST_PROXY: 'loopback' });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('limits the pairing attempts of each IP', async () => {
+    // The device paired at startup took the first attempt
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await server.request('POST', '/devices/pair', { code: 'ZZZZZZ' }, null)).status, 400);
+    }
+    const { status, body } = await server.request('POST', '/devices/pair', { code: 'ZZZZZZ', language: 'en' }, null);
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.equal(body.error, 'Too many requests, please try again in a little while');
+    assert.ok(body.retryAfterSeconds > 0);
+  });
+
+  test("doesn't count pairing attempts against the paired bears' global limit", async () => {
+    const audio = buildPcm16().toString('base64');
+    assert.equal((await server.request('POST', '/process-audio', { audio }, server.device.token)).status, 200);
+  });
+
+  test('tells the IPs apart by X-Forwarded-For behind a trusted proxy', async () => {
+    const response = await fetch(`${server.baseUrl}/devices/pair`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '203.0.113.7' },
+      body: JSON.stringify({ code: 'ZZZZZZ' })
+    });
+    assert.equal(response.status, 400);
+  });
+
+  test('is turned off with 0', async () => {
+    const unlimited = await startTestServer({ RATE_LIMIT_PAIRING_PER_MINUTE: '0' });
+    try {
+      // Past the default of 10 a minute
+      for (let i = 0; i < 11; i++) {
+        assert.equal((await unlimited.request('POST', '/devices/pair', { code: 'ZZZZZZ' }, null)).status, 400);
+      }
+    } finally {
+      unlimited.stop();
+    }
+  });
+});
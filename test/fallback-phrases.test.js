@@ -0,0 +1,100 @@
+// test/fallback-phrases.test.js
+// Fallback phrases: recorded once per language and voice, served to paired clients.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FALLBACK_PHRASES, createFallbackRecordings } = require('../fallback-phrases');
+const { LANGUAGES } = require('../languages');
+const { startTestServer } = require('./helpers');
+
+describe('fallback recordings', () => {
+  test('records every phrase of a language once per voice', async () => {
+    const calls = [];
+    const recordings = createFallbackRecordings({
+      record: async ({ texts, ...context }) => {
+        calls.push(context);
+        return texts.map(text => `audio of ${text}`);
+      }
+    });
+
+    const phrases = await recordings.get('en', 'alloy', { deviceId: 'bedroom' });
+    await recordings.get('en', 'alloy', { deviceId: 'kitchen' });
+    await recordings.get('en', 'coral');
+
+    assert.deepEqual(phrases.map(phrase => phrase.kind), Object.keys(FALLBACK_PHRASES));
+    assert.equal(phrases[0].text, FALLBACK_PHRASES.network.en);
+    assert.equal(phrases[0].audio, `audio of ${FALLBACK_PHRASES.network.en}`);
+    assert.deepEqual(calls, [{ language: 'en', voice: 'alloy', deviceId: 'bedroom' }, { language: 'en', voice: 'coral' }]);
+  });
+
+  test('tries again after a recording failed', async () => {
+    let attempts = 0;
+    const recordings = createFallbackRecordings({
+      record: async ({ texts }) => {
+        attempts++;
+        if (attempts === 1) throw new Error('upstream down');
+        return texts;
+      }
+    });
+
+    await assert.rejects(recordings.get('es', 'alloy'), /upstream down/);
+    assert.equal((await recordings.get('es', 'alloy')).length, Object.keys(FALLBACK_PHRASES).length);
+    assert.equal(attempts, 2);
+  });
+});
+
+describe('/fallback-phrases', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('answers the phrases of the language in the bear voice', async () => {
+    const { status, body } = await server.request('GET', '/fallback-phrases?language=en&voice=sage', undefined, server.device.token);
+    assert.equal(status, 200);
+    assert.equal(body.language, 'en');
+    assert.equal(body.voice, 'sage');
+    assert.equal(body.format, 'pcm16');
+    assert.equal(body.sampleRate, 24000);
+    assert.deepEqual(body.phrases.map(phrase => phrase.text), Object.values(FALLBACK_PHRASES).map(texts => texts.en));
+    body.phrases.forEach(phrase => assert.ok(Buffer.from(phrase.audio, 'base64').length > 0));
+  });
+
+  test('needs a paired device and a known voice', async () => {
+    assert.equal((await server.request('GET', '/fallback-phrases', undefined, null)).status, 401);
+
+    const { status, body } = await server.request('GET', '/fallback-phrases?language=es&voice=robot', undefined, server.device.token);
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNKNOWN_VOICE');
+    assert.equal(body.error, 'Voz desconocida');
+  });
+
+  test('are written next to the web app by npm run record-fallback-phrases', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-fallback-audio-'));
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'record-fallback-phrases.js')], {
+          env: { ...process.env, SERVER_URL: server.baseUrl, DEVICE_TOKEN: server.device.token, VOICE: 'coral', FALLBACK_AUDIO_DIR: outputDir },
+          timeout: 30000
+        }, error => (error ? reject(error) : resolve()));
+      });
+
+      for (const language of Object.keys(LANGUAGES)) {
+        const recordings = JSON.parse(fs.readFileSync(path.join(outputDir, `${language}.json`), 'utf8'));
+        assert.equal(recordings.language, language);
+        assert.equal(recordings.voice, 'coral');
+        assert.deepEqual(recordings.phrases.map(phrase => phrase.text), Object.values(FALLBACK_PHRASES).map(texts => texts[language]));
+      }
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,125 @@
+// test/helpers.js
+// Starts server.js against the mock AI provider, with its data files in a temporary directory.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MOCK_REPLY_TEXT = 'Oi! Eu sou o ursinho de teste.';
+const MOCK_INPUT_TRANSCRIPT = 'Oi, ursinho!';
+const MOCK_REPLY_PCM16_BYTES = 24000; // 0.5s of 24kHz PCM16
+const PARENT_TOKEN = 'test-parent-token';
+
+// One second of a 16kHz tone (silence with amplitude 0) as PCM16
+function buildPcm16(amplitude = 8000, sampleRate = 16000) {
+  const buffer = Buffer.alloc(sampleRate * 2);
+  for (let i = 0; i < sampleRate; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 300 * i / sampleRate)), i * 2);
+  }
+  return buffer;
+}
+
+function waitFor(check, timeoutMs = 2000) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    (function poll() {
+      Promise.resolve(check()).then(result => {
+        if (result) return resolve(result);
+        if (Date.now() - startedAt > timeoutMs) return reject(new Error('Timed out waiting for condition'));
+        setTimeout(poll, 20);
+      }, reject);
+    })();
+  });
+}
+
+/**
+ * Spawns the server with `env` added to the test environment and pairs a device.
+ * Resolves once it listens with:
+ *   - baseUrl, stop()
+ *   - request(method, route, body, token): `token` defaults to PARENT_TOKEN.
+ *   - pairDevice(name): pairs another device, resolves with { deviceId, token }.
+ *   - device: { deviceId, token } of the device paired at startup.
+ */
+async function startTestServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-test-'));
+  const serverProcess = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      AI_PROVIDER: 'mock',
+      OPENAI_API_KEY: '',
+      PORT: '0',
+      PROFILES_FILE: path.join(dataDir, 'profiles.json'),
+      PARENTAL_CONTROLS_FILE: path.join(dataDir, 'parental-controls.json'),
+      TRANSCRIPTS_FILE: path.join(dataDir, 'transcripts.json'),
+      DEVICES_FILE: path.join(dataDir, 'devices.json'),
+      USAGE_FILE: path.join(dataDir, 'usage.json'),
+      PARENT_TOKEN,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // The data goes once the server has exited, so a save still in flight can't write into it again
+  function stop() {
+    const removeData = () => fs.rmSync(dataDir, { recursive: true, force: true });
+    if (serverProcess.exitCode !== null || serverProcess.signalCode !== null) {
+      removeData();
+      return;
+    }
+    serverProcess.once('exit', removeData);
+    serverProcess.kill();
+  }
+
+  let output = '';
+  let port;
+  try {
+    port = await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+      serverProcess.stdout.on('data', chunk => {
+        output += chunk;
+        const match = output.match(/Server running on port (\d+)/);
+        if (match) {
+          clearTimeout(timeout);
+          resolve(Number(match[1]));
+        }
+      });
+      serverProcess.stderr.on('data', chunk => {
+        output += chunk;
+      });
+      serverProcess.on('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+  } catch (error) {
+    stop();
+    throw error;
+  }
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  async function request(method, route, body, token = PARENT_TOKEN) {
+    const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function pairDevice(name = 'Ursinho de teste') {
+    const { body: { code } } = await request('POST', '/devices/pairing-codes', { name });
+    const { status, body } = await request('POST', '/devices/pair', { code }, null);
+    if (status !== 201) throw new Error(`Pairing failed with status ${status}`);
+    return { deviceId: body.deviceId, token: body.token };
+  }
+
+  try {
+    return { baseUrl, request, pairDevice, device: await pairDevice(), stop };
+  } catch (error) {
+    stop();
+    throw error;
+  }
+}
+
+module.exports = { PARENT_TOKEN, MOCK_REPLY_TEXT, MOCK_INPUT_TRANSCRIPT, MOCK_REPLY_PCM16_BYTES, buildPcm16, waitFor, startTestServer };
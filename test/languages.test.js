@@ -0,0 +1,191 @@
+// test/languages.test.js
+// Languages of the bear and translated error messages.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { DEFAULT_BLOCKED_TOPICS, DEFAULT_SAFE_REPLIES, findBlockedTopic } = require('../safety');
+const { createParentalControls } = require('../parental-controls');
+const { buildScriptedReplyEvent } = require('../sessions');
+const { MODES } = require('../modes');
+const { buildInstructions } = require('../profiles');
+const { LANGUAGES, matchLanguage, validateLanguage, parseAcceptLanguage, resolveLanguage, localizeError, buildLanguageInstructions } = require('../languages');
+const { createMockRealtimeServer } = require('../mock-realtime');
+const { buildPcm16, startTestServer } = require('./helpers');
+
+describe('languages', () => {
+  test('matches language tags to the supported languages', () => {
+    assert.equal(matchLanguage('pt-BR'), 'pt-BR');
+    assert.equal(matchLanguage('pt'), 'pt-BR');
+    assert.equal(matchLanguage('EN-us'), 'en');
+    assert.equal(matchLanguage('es-MX'), 'es');
+    assert.equal(matchLanguage('fr'), null);
+    assert.match(validateLanguage('klingon'), /Idioma desconhecido/);
+    assert.equal(validateLanguage('en'), null);
+  });
+
+  test('picks the first supported language, Accept-Language in order of quality', () => {
+    assert.deepEqual(parseAcceptLanguage('fr;q=0.9, es-MX, en;q=0.5, de;q=0'), ['es-MX', 'fr', 'en']);
+    assert.equal(resolveLanguage(undefined, null, ...parseAcceptLanguage('fr, en;q=0.8')), 'en');
+    assert.equal(resolveLanguage('es', 'en'), 'es');
+    assert.equal(resolveLanguage(null, 'fr'), 'pt-BR');
+  });
+
+  test('translates error bodies by code and keeps the others', () => {
+    const body = { error: 'Agora é hora de descansar!', code: 'QUIET_HOURS' };
+    assert.match(localizeError('en', body).error, /time to rest/);
+    assert.deepEqual(localizeError('pt-BR', body), body);
+    assert.deepEqual(localizeError('es', { error: 'Sem código' }), { error: 'Sem código' });
+  });
+
+  test('tells the bear only the language of the session', () => {
+    const instructions = buildInstructions({ name: 'Ana', language: 'pt-BR' }, 'Você é um ursinho.');
+    assert.doesNotMatch(instructions, /idioma/);
+    assert.equal(buildLanguageInstructions('en', MODES.conversation), LANGUAGES.en.instructions);
+    // The bilingual mode speaks two languages, so it is only told the child's
+    assert.equal(buildLanguageInstructions('pt-BR', MODES.english), 'O idioma da criança é Português.');
+  });
+
+  test('has a translation for every error code the bear can be sent', () => {
+    // Answered only to the parents' dashboard and to monitoring, never to the child
+    const parentCodes = ['PARENT_AUTH_REQUIRED', 'METRICS_AUTH_REQUIRED'];
+    const sources = ['server.js', 'sessions.js', 'audio-input.js', 'parental-controls.js', 'usage.js']
+      .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+      .join('\n');
+    const codes = new Set([...sources.matchAll(/code: '([A-Z_]+)'|AudioInputError\(\d+, '([A-Z_]+)'/g)].map(match => match[1] || match[2]));
+    parentCodes.forEach(code => codes.delete(code));
+
+    assert.ok(codes.has('UPSTREAM_API_ERROR'));
+    for (const language of Object.keys(LANGUAGES).filter(key => key !== 'pt-BR')) {
+      const missing = [...codes].filter(code => !LANGUAGES[language].messages[code]);
+      assert.deepEqual(missing, [], `${language} has no message for ${missing.join(', ')}`);
+    }
+  });
+});
+
+describe('safety filter in each language', () => {
+  test('blocks and answers in the language the bear speaks', () => {
+    const parentalControls = createParentalControls(path.join(os.tmpdir(), `parental-controls-${process.pid}.json`));
+    const english = parentalControls.getSafetyRules('en');
+    assert.equal(findBlockedTopic('Do you like ghost stories?', english.blockedTopics).topic, 'medo');
+    assert.equal(english.safeReply, DEFAULT_SAFE_REPLIES.en);
+    assert.equal(findBlockedTopic('¿Dónde está el cuchillo?', parentalControls.getSafetyRules('es').blockedTopics).keyword, 'cuchillo');
+
+    const event = buildScriptedReplyEvent(DEFAULT_SAFE_REPLIES.es, 'es');
+    assert.equal(event.response.instructions, `${LANGUAGES.es.scriptedReply} "${DEFAULT_SAFE_REPLIES.es}"`);
+    assert.match(buildScriptedReplyEvent('Oi!').response.instructions, /^Diga exatamente/);
+  });
+
+  test('uses the parents\' rules in every language', async () => {
+    const filePath = path.join(os.tmpdir(), `parental-controls-${process.pid}-custom.json`);
+    try {
+      const parentalControls = createParentalControls(filePath);
+      assert.deepEqual(parentalControls.getSafetyRules('en'), { blockedTopics: DEFAULT_BLOCKED_TOPICS.en, safeReply: DEFAULT_SAFE_REPLIES.en });
+
+      await parentalControls.updateSettings({ blockedTopics: [{ topic: 'dinossauros', keywords: ['t-rex'] }], safeReply: 'Vamos cantar!' });
+      assert.deepEqual(parentalControls.getSafetyRules('es'), { blockedTopics: [{ topic: 'dinossauros', keywords: ['t-rex'] }], safeReply: 'Vamos cantar!' });
+
+      await parentalControls.updateSettings({ blockedTopics: null, safeReply: null });
+      assert.equal(parentalControls.getSafetyRules('es').safeReply, DEFAULT_SAFE_REPLIES.es);
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+});
+
+describe('languages on the routes', () => {
+  let mockRealtime;
+  let server;
+
+  function processAudio(body, headers = {}) {
+    return fetch(`${server.baseUrl}/process-audio`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${server.device.token}`, ...headers },
+      body: JSON.stringify(body)
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+  }
+
+  // The provider runs in this process, so the tests see how the server configured its sessions
+  before(async () => {
+    mockRealtime = await createMockRealtimeServer();
+    server = await startTestServer({ AI_PROVIDER: 'openai', OPENAI_API_KEY: 'test-key', OPENAI_REALTIME_URL: mockRealtime.url() });
+  });
+
+  after(async () => {
+    if (server) server.stop();
+    if (mockRealtime) await mockRealtime.close();
+  });
+
+  test('/process-audio answers in the chosen language', async () => {
+    const { status } = await processAudio({ audio: buildPcm16().toString('base64'), language: 'en' });
+    assert.equal(status, 200);
+    assert.ok(mockRealtime.sessionUpdates().some(session => session.instructions.endsWith(LANGUAGES.en.instructions)));
+
+    // The bilingual mode is only told the child's language
+    assert.equal((await processAudio({ audio: buildPcm16().toString('base64'), language: 'en', mode: 'english' })).status, 200);
+    assert.ok(mockRealtime.sessionUpdates().some(session => session.instructions.endsWith(`O idioma da criança é ${LANGUAGES.en.name}.`)));
+  });
+
+  test('keeps only languages the bear speaks in the child profiles', async () => {
+    const created = await server.request('POST', '/profiles', { name: 'Ana', language: 'fr' });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.code, 'UNKNOWN_LANGUAGE');
+    assert.deepEqual(created.body.languages, Object.keys(LANGUAGES));
+
+    const { body: profile } = await server.request('POST', '/profiles', { name: 'Ana', language: 'en' });
+    const updated = await server.request('PUT', `/profiles/${profile.id}`, { language: 'klingon' });
+    assert.equal(updated.status, 400);
+    assert.equal(updated.body.code, 'UNKNOWN_LANGUAGE');
+    assert.equal((await server.request('GET', `/profiles/${profile.id}`)).body.language, 'en');
+  });
+
+  test('/process-audio translates errors, following the body then Accept-Language', async () => {
+    const silent = await processAudio({ audio: buildPcm16(0).toString('base64'), language: 'en' });
+    assert.equal(silent.status, 422);
+    assert.equal(silent.body.error, 'The audio is silent');
+
+    const missing = await processAudio({}, { 'Accept-Language': 'es-ES,es;q=0.9' });
+    assert.equal(missing.body.code, 'AUDIO_MISSING');
+    assert.equal(missing.body.error, 'No se envió audio');
+
+    const unknown = await processAudio({ audio: buildPcm16().toString('base64'), language: 'klingon' });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'UNKNOWN_LANGUAGE');
+  });
+
+  test('/stream-audio announces its language and translates its errors', async () => {
+    const wsUrl = `${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?token=${server.device.token}`;
+    function firstEvent(query) {
+      const ws = new WebSocket(`${wsUrl}&${query}`);
+      return new Promise((resolve, reject) => {
+        ws.on('error', reject);
+        ws.on('message', message => {
+          resolve(JSON.parse(message.toString()));
+          ws.close();
+        });
+      });
+    }
+
+    assert.equal((await firstEvent('language=es')).language, 'es');
+    assert.ok(mockRealtime.sessionUpdates().some(session => session.instructions.endsWith(LANGUAGES.es.instructions)));
+    const error = await firstEvent('language=en&mode=karaoke');
+    assert.equal(error.code, 'UNKNOWN_MODE');
+    assert.equal(error.error, 'Unknown mode');
+
+    // An empty commit is refused by the provider: its raw error text is not passed on
+    const ws = new WebSocket(`${wsUrl}&language=en`);
+    const upstreamError = await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      ws.on('message', message => {
+        const event = JSON.parse(message.toString());
+        if (event.type === 'ready') ws.send(JSON.stringify({ type: 'commit' }));
+        if (event.type === 'error') resolve(event);
+      });
+    });
+    ws.close();
+    assert.equal(upstreamError.code, 'UPSTREAM_API_ERROR');
+    assert.equal(upstreamError.error, "The bear couldn't answer right now");
+  });
+});
@@ -0,0 +1,65 @@
+// test/modes.test.js
+// Interaction modes: per-mode instructions and reply length, on both routes.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { MODES, DEFAULT_MODE, validateMode, buildModeSession } = require('../modes');
+const { buildPcm16, startTestServer } = require('./helpers');
+
+describe('modes', () => {
+  test('accepts only the known modes', () => {
+    assert.equal(validateMode(DEFAULT_MODE), null);
+    assert.equal(validateMode('story'), null);
+    assert.match(validateMode('karaoke'), /Modo desconhecido/);
+    assert.match(validateMode('toString'), /Modo desconhecido/);
+  });
+
+  test('adds the mode instructions after the persona and caps the reply length', () => {
+    const session = buildModeSession('quiz', 'Você é um ursinho.');
+    assert.equal(session.instructions, `Você é um ursinho. ${MODES.quiz.instructions}`);
+    assert.equal(session.max_response_output_tokens, MODES.quiz.maxResponseOutputTokens);
+    assert.equal(buildModeSession('story', '').max_response_output_tokens, 'inf');
+  });
+});
+
+describe('modes on the routes', () => {
+  let server;
+
+  function processAudio(body) {
+    return server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64'), ...body }, server.device.token);
+  }
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('/process-audio answers in the chosen mode and records it', async () => {
+    assert.equal((await processAudio({ sessionId: 'quiz-session', mode: 'quiz' })).status, 200);
+    const { body } = await server.request('GET', '/conversations/quiz-session');
+    assert.equal(body.exchanges[0].mode, 'quiz');
+  });
+
+  test('/process-audio rejects unknown modes', async () => {
+    const { status, body } = await processAudio({ mode: 'karaoke' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNKNOWN_MODE');
+  });
+
+  test('/stream-audio closes connections asking for an unknown mode', async () => {
+    const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?mode=karaoke&token=${server.device.token}`);
+    const { error, closeCode } = await new Promise((resolve, reject) => {
+      let error = null;
+      ws.on('error', reject);
+      ws.on('message', message => {
+        error = JSON.parse(message.toString());
+      });
+      ws.on('close', closeCode => resolve({ error, closeCode }));
+    });
+    assert.equal(closeCode, 1008);
+    assert.equal(error.code, 'UNKNOWN_MODE');
+  });
+});
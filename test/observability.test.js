@@ -0,0 +1,136 @@
+// test/observability.test.js
+// Structured logs with request ids, health checks and Prometheus metrics.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createLogger, runWithRequestId } = require('../logger');
+const { createMetricsRegistry } = require('../metrics');
+const { buildPcm16, startTestServer } = require('./helpers');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('logger', () => {
+  function captureLogger(options) {
+    const lines = [];
+    const logger = createLogger({ ...options, write: (level, line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+  }
+
+  test('writes JSON lines with the request id and the fields of child loggers', async () => {
+    const { logger, lines } = captureLogger();
+    logger.info('outside');
+    await runWithRequestId('req-1', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      logger.child({ deviceId: 'bedroom' }).warn('inside', { code: 'RATE_LIMITED' });
+    });
+
+    assert.equal(lines[0].msg, 'outside');
+    assert.equal('requestId' in lines[0], false);
+    assert.equal(lines[1].level, 'warn');
+    assert.equal(lines[1].requestId, 'req-1');
+    assert.equal(lines[1].deviceId, 'bedroom');
+    assert.equal(lines[1].code, 'RATE_LIMITED');
+    assert.ok(!Number.isNaN(Date.parse(lines[1].time)));
+  });
+
+  test('drops lines below its level and serializes errors', () => {
+    const { logger, lines } = captureLogger({ level: 'warn' });
+    logger.info('hidden');
+    logger.error('failed', { error: Object.assign(new Error('boom'), { code: 'UPSTREAM_CLOSED' }) });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].error.message, 'boom');
+    assert.equal(lines[0].error.code, 'UPSTREAM_CLOSED');
+    assert.match(lines[0].error.stack, /boom/);
+  });
+});
+
+describe('metrics registry', () => {
+  test('renders counters, gauges and cumulative histogram buckets', () => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route'] });
+    const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+    metrics.gauge({ name: 'open_streams', help: 'Streams', collect: () => 3 });
+    requests.inc({ route: '/a"b' });
+    requests.inc({ route: '/a"b' });
+    latency.observe(0.05);
+    latency.observe(0.5);
+    latency.observe(5);
+
+    const text = metrics.render();
+    assert.match(text, /# TYPE requests_total counter\nrequests_total\{route="\/a\\"b"\} 2\n/);
+    assert.match(text, /latency_seconds_bucket\{le="0.1"\} 1\n/);
+    assert.match(text, /latency_seconds_bucket\{le="1"\} 2\n/);
+    assert.match(text, /latency_seconds_bucket\{le="\+Inf"\} 3\n/);
+    assert.match(text, /latency_seconds_sum 5.55\n/);
+    assert.match(text, /latency_seconds_count 3\n/);
+    assert.match(text, /open_streams 3\n/);
+  });
+});
+
+describe('observability routes', () => {
+  let server;
+
+  function processAudio(headers = {}) {
+    return fetch(`${server.baseUrl}/process-audio`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${server.device.token}`, ...headers },
+      body: JSON.stringify({ audio: buildPcm16().toString('base64') })
+    });
+  }
+
+  before(async () => {
+    server = await startTestServer({ METRICS_TOKEN });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('answers the liveness and readiness probes', async () => {
+    const health = await server.request('GET', '/healthz', undefined, null);
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+
+    const readiness = await server.request('GET', '/readyz', undefined, null);
+    assert.equal(readiness.status, 200);
+    assert.deepEqual(readiness.body.checks, { provider: true, acceptingRequests: true });
+  });
+
+  test('gives every request an id, keeping the one the client sent', async () => {
+    const sent = await processAudio({ 'X-Request-Id': 'bear-42' });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.headers.get('x-request-id'), 'bear-42');
+
+    const generated = await processAudio({ 'X-Request-Id': 'not a valid id!' });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?token=${server.device.token}`);
+    const ready = await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      ws.on('message', message => {
+        const event = JSON.parse(message.toString());
+        if (event.type === 'ready') resolve(event);
+      });
+    });
+    ws.close();
+    assert.match(ready.requestId, /^[0-9a-f-]{36}$/);
+  });
+
+  test('exposes request counts, error classes and latency histograms', async () => {
+    assert.equal((await processAudio()).status, 200);
+    assert.equal((await server.request('POST', '/process-audio', { audio: 'AAAA' }, 'forged-token')).status, 401);
+
+    assert.equal((await server.request('GET', '/metrics', undefined, null)).status, 401);
+    const response = await fetch(`${server.baseUrl}/metrics`, { headers: { 'Authorization': `Bearer ${METRICS_TOKEN}` } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+
+    const text = await response.text();
+    assert.match(text, /ursinho_http_requests_total\{method="POST",route="\/process-audio",status="200"\} [1-9]/);
+    assert.match(text, /ursinho_errors_total\{code="DEVICE_AUTH_REQUIRED"\} 1/);
+    assert.match(text, /ursinho_upstream_connect_seconds_count [1-9]/);
+    assert.match(text, /ursinho_first_audio_delta_seconds_count\{transport="http"\} [1-9]/);
+    assert.match(text, /ursinho_response_seconds_bucket\{transport="http",le="\+Inf"\} [1-9]/);
+  });
+});
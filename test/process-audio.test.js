@@ -0,0 +1,311 @@
+// test/process-audio.test.js
+// End-to-end tests of /process-audio (and /stream-audio) against the mock AI provider.
+// Run with `npm test`; no OpenAI key or network needed.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { MOCK_REPLY_TEXT, MOCK_INPUT_TRANSCRIPT, MOCK_REPLY_PCM16_BYTES, buildPcm16, waitFor, startTestServer } = require('./helpers');
+
+let server;
+
+function putJson(route, body) {
+  return server.request('PUT', route, body);
+}
+
+function getJson(route) {
+  return server.request('GET', route);
+}
+
+function processAudio(fields = {}, token = server.device.token) {
+  return server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64'), ...fields }, token);
+}
+
+before(async () => {
+  server = await startTestServer({ MOCK_DELTA_INTERVAL_MS: '50' });
+});
+
+after(() => {
+  if (server) server.stop();
+});
+
+test('answers an utterance with the provider audio as raw PCM16', async () => {
+  const { status, body } = await processAudio();
+  assert.equal(status, 200);
+  assert.equal(body.format, 'pcm16');
+  assert.equal(body.sampleRate, 24000);
+  assert.equal(body.mimeType, 'audio/L16;rate=24000;channels=1');
+  assert.equal(Buffer.from(body.audio, 'base64').length, MOCK_REPLY_PCM16_BYTES);
+});
+
+test('wraps the reply in a WAV header when asked for wav', async () => {
+  const { status, body } = await processAudio({ responseFormat: 'wav' });
+  assert.equal(status, 200);
+  const audio = Buffer.from(body.audio, 'base64');
+  assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(audio.length, 44 + MOCK_REPLY_PCM16_BYTES);
+});
+
+test('asks the provider for G.711 audio when asked for g711_ulaw', async () => {
+  const { status, body } = await processAudio({ responseFormat: 'g711_ulaw' });
+  assert.equal(status, 200);
+  assert.equal(body.sampleRate, 8000);
+  assert.equal(Buffer.from(body.audio, 'base64').length, 4000);
+});
+
+test('rejects requests without audio or with an unknown response format', async () => {
+  const missing = await server.request('POST', '/process-audio', {}, server.device.token);
+  assert.equal(missing.status, 400);
+
+  for (const audio of [123, {}, ['AAAA']]) {
+    const { status, body } = await processAudio({ audio });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_AUDIO');
+    assert.equal(body.details, undefined);
+  }
+
+  const badFormat = await processAudio({ responseFormat: 'mp3' });
+  assert.equal(badFormat.status, 400);
+  assert.ok(badFormat.body.supportedFormats.includes('pcm16'));
+});
+
+test('rejects silent audio before calling the provider', async () => {
+  const { status, body } = await processAudio({ audio: buildPcm16(0).toString('base64') });
+  assert.equal(status, 422);
+  assert.equal(body.code, 'SILENT_AUDIO');
+});
+
+test('answers 404 for an unknown profile', async () => {
+  const { status } = await processAudio({ profileId: 'does-not-exist' });
+  assert.equal(status, 404);
+});
+
+test('records both sides of the exchange for the parents', async () => {
+  const sessionId = 'e2e-transcript';
+  const { status } = await processAudio({ sessionId, deviceId: 'ignored-when-paired' });
+  assert.equal(status, 200);
+
+  const conversation = await waitFor(async () => {
+    const { status, body } = await getJson(`/conversations/${sessionId}`);
+    return status === 200 && body.exchanges[0].child ? body : null;
+  });
+  assert.equal(conversation.deviceId, server.device.deviceId);
+  assert.equal(conversation.exchanges[0].child, MOCK_INPUT_TRANSCRIPT);
+  assert.equal(conversation.exchanges[0].bear, MOCK_REPLY_TEXT);
+});
+
+test('replaces a reply that trips a blocked topic with the safe reply', async () => {
+  const safeReply = 'Vamos falar de bichinhos!';
+  const update = await putJson('/parental-controls', {
+    blockedTopics: [{ topic: 'teste', keywords: ['ursinho de teste'] }],
+    safeReply
+  });
+  assert.equal(update.status, 200);
+
+  try {
+    const sessionId = 'e2e-safety';
+    const { status } = await processAudio({ sessionId });
+    assert.equal(status, 200);
+
+    const [exchange] = (await getJson(`/conversations/${sessionId}`)).body.exchanges;
+    assert.equal(exchange.bear, safeReply);
+    assert.equal(exchange.blockedTopic, 'teste');
+  } finally {
+    await putJson('/parental-controls', { blockedTopics: [] });
+  }
+});
+
+test('blocks a device that used up its daily minutes', async () => {
+  const { deviceId, token } = await server.pairDevice('Ursinho limitado');
+  const update = await putJson(`/parental-controls/devices/${deviceId}`, { dailyMinutes: 0 });
+  assert.equal(update.status, 200);
+
+  const { status, body } = await processAudio({}, token);
+  assert.equal(status, 403);
+  assert.equal(body.code, 'DAILY_LIMIT_REACHED');
+});
+
+test('keeps answering in the same session', async () => {
+  const sessionId = 'e2e-memory';
+  assert.equal((await processAudio({ sessionId })).status, 200);
+  assert.equal((await processAudio({ sessionId })).status, 200);
+
+  assert.equal((await getJson(`/conversations/${sessionId}`)).body.exchanges.length, 2);
+});
+
+test('keeps a session to the device that started it', async () => {
+  const sessionId = 'e2e-private';
+  assert.equal((await processAudio({ sessionId })).status, 200);
+  const other = await server.pairDevice('Ursinho vizinho');
+
+  const { status, body } = await processAudio({ sessionId, language: 'en' }, other.token);
+  assert.equal(status, 404);
+  assert.equal(body.code, 'SESSION_NOT_FOUND');
+  assert.equal(body.error, 'Session not found');
+
+  const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sessionId=${sessionId}&token=${other.token}`);
+  const { error, closeCode } = await new Promise((resolve, reject) => {
+    let error = null;
+    ws.on('error', reject);
+    ws.on('message', message => {
+      error = JSON.parse(message.toString());
+    });
+    ws.on('close', closeCode => resolve({ error, closeCode }));
+  });
+  assert.equal(closeCode, 1008);
+  assert.equal(error.code, 'SESSION_NOT_FOUND');
+
+  // The owner's conversation and transcript are untouched
+  assert.equal((await processAudio({ sessionId })).status, 200);
+  const conversation = (await getJson(`/conversations/${sessionId}`)).body;
+  assert.equal(conversation.deviceId, server.device.deviceId);
+  assert.equal(conversation.exchanges.length, 2);
+});
+
+test('lets only the device of a session reset or interrupt it', async () => {
+  const sessionId = 'e2e-owned';
+  assert.equal((await processAudio({ sessionId })).status, 200);
+  const other = await server.pairDevice('Outro ursinho');
+
+  for (const action of ['interrupt', 'reset']) {
+    const { status, body } = await server.request('POST', `/sessions/${sessionId}/${action}`, { language: 'en' }, other.token);
+    assert.equal(status, 404);
+    assert.equal(body.code, 'SESSION_NOT_FOUND');
+    assert.equal(body.error, 'Session not found');
+  }
+  assert.equal((await server.request('POST', `/sessions/${sessionId}/interrupt`, {}, server.device.token)).body.result, 'idle');
+  assert.equal((await server.request('POST', `/sessions/${sessionId}/reset`, {}, server.device.token)).body.reset, true);
+});
+
+test('cancels the reply in flight when the child interrupts the bear', async () => {
+  const sessionId = 'e2e-interrupt';
+  const pending = processAudio({ sessionId });
+
+  const interrupt = await waitFor(async () => {
+    const { status, body } = await server.request('POST', `/sessions/${sessionId}/interrupt`, {}, server.device.token);
+    return status === 200 && body.result === 'cancelled' ? body : null;
+  });
+  assert.equal(interrupt.result, 'cancelled');
+
+  const { status, body } = await pending;
+  assert.equal(status, 409);
+  assert.equal(body.code, 'RESPONSE_ABORTED');
+});
+
+test('streams the reply over /stream-audio', async () => {
+  const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sampleRate=16000&token=${server.device.token}`);
+  const events = [];
+
+  await new Promise((resolve, reject) => {
+    ws.on('error', reject);
+    ws.on('message', message => {
+      const event = JSON.parse(message.toString());
+      events.push(event);
+      if (event.type === 'ready') {
+        ws.send(buildPcm16());
+        ws.send(JSON.stringify({ type: 'commit' }));
+      } else if (event.type === 'response.done') {
+        resolve();
+      } else if (event.type === 'error') {
+        reject(new Error(event.error));
+      }
+    });
+  });
+  ws.close();
+
+  const audioBytes = events
+    .filter(event => event.type === 'audio.delta')
+    .reduce((total, event) => total + Buffer.from(event.audio, 'base64').length, 0);
+  assert.equal(events[0].type, 'ready');
+  assert.equal(audioBytes, MOCK_REPLY_PCM16_BYTES);
+});
+
+test('keeps answering after the provider refused a reply on /stream-audio', async () => {
+  const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sampleRate=16000&token=${server.device.token}`);
+  const utterance = () => {
+    ws.send(buildPcm16());
+    ws.send(JSON.stringify({ type: 'commit' }));
+  };
+  const events = [];
+
+  await new Promise((resolve, reject) => {
+    ws.on('error', reject);
+    ws.on('message', message => {
+      const event = JSON.parse(message.toString());
+      events.push(event);
+      if (event.type === 'ready') {
+        utterance();
+      } else if (event.type === 'audio.delta' && events.filter(e => e.type === 'audio.delta').length === 1) {
+        utterance(); // Refused: the first reply is still being said
+      } else if (event.type === 'response.done' && events.filter(e => e.type === 'response.done').length === 1) {
+        // Nothing is being said: this barge-in must not cancel the next reply
+        ws.send(JSON.stringify({ type: 'interrupt' }));
+        utterance();
+      } else if (event.type === 'response.done') {
+        resolve();
+      }
+    });
+  });
+  ws.close();
+
+  assert.equal(events.filter(event => event.type === 'error')[0].code, 'UPSTREAM_API_ERROR');
+});
+
+test('drops a streamed utterance longer than MAX_INPUT_SECONDS', async () => {
+  const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sampleRate=16000&language=en&token=${server.device.token}`);
+  const events = [];
+
+  await new Promise((resolve, reject) => {
+    ws.on('error', reject);
+    ws.on('message', message => {
+      const event = JSON.parse(message.toString());
+      events.push(event);
+      if (event.type === 'ready') {
+        const second = buildPcm16();
+        for (let i = 0; i <= 60; i++) ws.send(second); // One second past the default limit
+        ws.send(JSON.stringify({ type: 'commit' }));
+        // The next utterance is answered as usual
+        ws.send(second);
+        ws.send(JSON.stringify({ type: 'commit' }));
+      } else if (event.type === 'response.done') {
+        resolve();
+      }
+    });
+  });
+  ws.close();
+
+  const errors = events.filter(event => event.type === 'error');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, 'AUDIO_TOO_LONG');
+  assert.equal(errors[0].error, 'The audio is too long');
+  assert.equal(events.filter(event => event.type === 'response.done').length, 1);
+});
+
+test('sends 16kHz microphone audio to the 24kHz session resampled', async () => {
+  const { deviceId, token } = await server.pairDevice('Ursinho de 16kHz');
+  const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sampleRate=16000&token=${token}`);
+
+  await new Promise((resolve, reject) => {
+    ws.on('error', reject);
+    ws.on('message', message => {
+      const event = JSON.parse(message.toString());
+      if (event.type === 'ready') {
+        const audio = buildPcm16(8000, 16000);
+        for (let offset = 0; offset < audio.length; offset += 3201) { // Odd chunks, like a microphone could send
+          ws.send(audio.subarray(offset, offset + 3201));
+        }
+        ws.send(JSON.stringify({ type: 'commit' }));
+      } else if (event.type === 'response.done') {
+        resolve();
+      }
+    });
+  });
+  ws.close();
+
+  // The mock provider counts a token per 50ms of 24kHz audio: one second of input is 20 of them
+  const device = await waitFor(async () => {
+    const { body } = await getJson('/usage');
+    return body.devices.find(entry => entry.deviceId === deviceId && entry.inputAudioTokens > 0);
+  });
+  assert.equal(device.inputAudioTokens, 20);
+  assert.equal(device.inputAudioSeconds, 1);
+});
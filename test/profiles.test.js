@@ -0,0 +1,170 @@
+// test/profiles.test.js
+// Child profiles: their validation, the store on disk, the CRUD routes and the instructions built from them.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateProfile, buildInstructions, createProfileStore } = require('../profiles');
+const { startTestServer } = require('./helpers');
+
+describe('validateProfile', () => {
+  test('accepts a complete profile and a partial update', () => {
+    assert.equal(validateProfile({ name: 'Ana', age: 5, language: 'pt-BR', interests: ['dinossauros'], voice: 'coral', persona: 'Um ursinho calmo.' }), null);
+    assert.equal(validateProfile({ age: 6 }, { partial: true }), null);
+  });
+
+  test('requires a name unless the update leaves it out', () => {
+    assert.match(validateProfile({ age: 5 }), /nome/);
+    assert.match(validateProfile({ name: '   ' }), /nome/);
+    assert.match(validateProfile({ name: '' }, { partial: true }), /nome/);
+  });
+
+  test('rejects an age that is not an integer between 1 and 17', () => {
+    for (const age of [0, 18, 4.5, '5', null]) {
+      assert.match(validateProfile({ name: 'Ana', age }), /idade/, `age ${age}`);
+      assert.match(validateProfile({ age }, { partial: true }), /idade/, `age ${age}`);
+    }
+    assert.equal(validateProfile({ name: 'Ana', age: 1 }), null);
+    assert.equal(validateProfile({ name: 'Ana', age: 17 }), null);
+  });
+
+  test('rejects a voice the Realtime API does not have', () => {
+    for (const voice of ['nova', 'Coral', '', 3]) {
+      assert.match(validateProfile({ name: 'Ana', voice }), /Voz inválida/, `voice ${voice}`);
+    }
+  });
+
+  test('rejects interests that are not a list of texts and a persona that is not a text', () => {
+    assert.match(validateProfile({ name: 'Ana', interests: 'dinossauros' }), /interesses/);
+    assert.match(validateProfile({ name: 'Ana', interests: ['dinossauros', 3] }), /interesses/);
+    assert.match(validateProfile({ name: 'Ana', persona: { tone: 'calmo' } }), /persona/);
+  });
+});
+
+describe('buildInstructions', () => {
+  const baseInstructions = 'Você é um ursinho de pelúcia amigável.';
+
+  test('adds the name, age and interests of the child to the base instructions', () => {
+    const instructions = buildInstructions({ name: 'Ana', age: 5, interests: ['dinossauros', 'espaço'] }, baseInstructions);
+    assert.ok(instructions.startsWith(baseInstructions));
+    assert.match(instructions, /conversando com Ana\./);
+    assert.match(instructions, /Ana tem 5 anos/);
+    assert.match(instructions, /Assuntos de que Ana gosta: dinossauros, espaço\./);
+  });
+
+  test('leaves out the age and interests it does not know', () => {
+    const instructions = buildInstructions({ name: 'Léo', interests: [] }, baseInstructions);
+    assert.match(instructions, /conversando com Léo\./);
+    assert.doesNotMatch(instructions, /anos/);
+    assert.doesNotMatch(instructions, /Assuntos/);
+  });
+
+  test('uses the persona of the profile in place of the base instructions', () => {
+    const instructions = buildInstructions({ name: 'Ana', persona: '  Você é um ursinho explorador.  ' }, baseInstructions);
+    assert.ok(instructions.startsWith('Você é um ursinho explorador. '));
+    assert.ok(!instructions.includes(baseInstructions));
+    assert.equal(buildInstructions({ name: 'Ana', persona: '   ' }, baseInstructions).startsWith(baseInstructions), true);
+  });
+
+  test('keeps the base instructions without a profile', () => {
+    assert.equal(buildInstructions(null, baseInstructions), baseInstructions);
+  });
+});
+
+describe('profile store', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-profiles-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('creates, updates and removes profiles, keeping them on disk', async () => {
+    const filePath = path.join(dataDir, 'crud.json');
+    const store = createProfileStore(filePath);
+
+    const profile = await store.create({ name: 'Ana', age: 5 });
+    assert.equal(profile.language, 'pt-BR');
+    assert.deepEqual(profile.interests, []);
+    assert.equal(store.get(profile.id), profile);
+    assert.deepEqual(store.list(), [profile]);
+
+    const updated = await store.update(profile.id, { age: 6, interests: ['dinossauros'] });
+    assert.equal(updated.name, 'Ana');
+    assert.equal(updated.age, 6);
+    assert.deepEqual(updated.interests, ['dinossauros']);
+    assert.equal(updated.createdAt, profile.createdAt);
+    assert.deepEqual(createProfileStore(filePath).get(profile.id), updated);
+
+    assert.equal(await store.update('missing', { age: 7 }), null);
+    assert.equal(await store.remove('missing'), false);
+    assert.equal(await store.remove(profile.id), true);
+    assert.equal(store.get(profile.id), null);
+    assert.deepEqual(createProfileStore(filePath).list(), []);
+  });
+
+  test('keeps only the profile fields of what it is given', async () => {
+    const store = createProfileStore(path.join(dataDir, 'fields.json'));
+    const profile = await store.create({ name: 'Ana', id: 'chosen-id', createdAt: 'yesterday', isAdmin: true });
+    assert.notEqual(profile.id, 'chosen-id');
+    assert.notEqual(profile.createdAt, 'yesterday');
+    assert.equal(profile.isAdmin, undefined);
+
+    const updated = await store.update(profile.id, { id: 'other-id', voice: 'sage', isAdmin: true });
+    assert.equal(updated.id, profile.id);
+    assert.equal(updated.voice, 'sage');
+    assert.equal(updated.isAdmin, undefined);
+    assert.equal(store.get('other-id'), null);
+  });
+});
+
+describe('/profiles', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => {
+    server.stop();
+  });
+
+  test('creates, reads, updates and deletes a profile', async () => {
+    const created = await server.request('POST', '/profiles', { name: 'Ana', age: 5, voice: 'coral' });
+    assert.equal(created.status, 201);
+    const { id } = created.body;
+
+    assert.deepEqual((await server.request('GET', `/profiles/${id}`)).body, created.body);
+
+    const updated = await server.request('PUT', `/profiles/${id}`, { interests: ['espaço'] });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Ana');
+    assert.deepEqual(updated.body.interests, ['espaço']);
+
+    assert.equal((await server.request('DELETE', `/profiles/${id}`)).status, 204);
+    assert.equal((await server.request('GET', `/profiles/${id}`)).status, 404);
+    assert.equal((await server.request('PUT', `/profiles/${id}`, { age: 6 })).status, 404);
+    assert.equal((await server.request('DELETE', `/profiles/${id}`)).status, 404);
+  });
+
+  test('answers 400 to a bad age or voice and keeps the profile as it was', async () => {
+    assert.equal((await server.request('POST', '/profiles', { name: 'Ana', age: 30 })).status, 400);
+    assert.equal((await server.request('POST', '/profiles', { name: 'Ana', voice: 'nova' })).status, 400);
+
+    const { body: profile } = await server.request('POST', '/profiles', { name: 'Léo', age: 7 });
+    const badAge = await server.request('PUT', `/profiles/${profile.id}`, { age: 0 });
+    assert.equal(badAge.status, 400);
+    assert.match(badAge.body.error, /idade/);
+    const badVoice = await server.request('PUT', `/profiles/${profile.id}`, { voice: 'nova' });
+    assert.equal(badVoice.status, 400);
+    assert.match(badVoice.body.error, /Voz inválida/);
+
+    const { body: kept } = await server.request('GET', `/profiles/${profile.id}`);
+    assert.equal(kept.age, 7);
+    assert.equal(kept.voice, undefined);
+  });
+});
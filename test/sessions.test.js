@@ -0,0 +1,119 @@
+// test/sessions.test.js
+// Conversation memory: the history cap of a conversation and the sessions that expire when idle.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { createConversation, createSessionManager } = require('../sessions');
+const { waitFor } = require('./helpers');
+
+// Stands in for the upstream WebSocket: keeps what was sent, receive() plays an upstream event
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  receive(event) {
+    this.emit('message', Buffer.from(JSON.stringify(event)));
+  }
+
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.emit('close', 1000);
+  }
+
+  terminate() {
+    this.close();
+  }
+}
+
+// Connects a new FakeSocket, already past 'session.created', and keeps it in `sockets`
+function fakeConnect(sockets) {
+  return () => {
+    const socket = new FakeSocket();
+    sockets.push(socket);
+    setImmediate(() => socket.receive({ type: 'session.created', session: {} }));
+    return socket;
+  };
+}
+
+const buildSessionUpdateEvent = () => ({ type: 'session.update', session: {} });
+
+describe('conversation history', () => {
+  test('deletes the oldest items upstream once past maxHistoryItems', async () => {
+    const sockets = [];
+    const conversation = createConversation({ connect: fakeConnect(sockets), buildSessionUpdateEvent, maxHistoryItems: 2 });
+    await waitFor(() => conversation.isReady());
+    const [socket] = sockets;
+
+    ['item_1', 'item_2'].forEach(id => socket.receive({ type: 'conversation.item.created', item: { id } }));
+    assert.equal(socket.sent.filter(event => event.type === 'conversation.item.delete').length, 0);
+
+    socket.receive({ type: 'conversation.item.created', item: { id: 'item_3' } });
+    assert.deepEqual(socket.sent.filter(event => event.type === 'conversation.item.delete'), [{ type: 'conversation.item.delete', item_id: 'item_1' }]);
+    assert.equal(conversation.historySize(), 2);
+
+    // The confirmation of a deletion it already counted changes nothing
+    socket.receive({ type: 'conversation.item.deleted', item_id: 'item_1' });
+    assert.equal(conversation.historySize(), 2);
+    conversation.close();
+  });
+
+  test('keeps the whole conversation without a cap', async () => {
+    const sockets = [];
+    const conversation = createConversation({ connect: fakeConnect(sockets), buildSessionUpdateEvent });
+    await waitFor(() => conversation.isReady());
+    for (let i = 0; i < 50; i++) sockets[0].receive({ type: 'conversation.item.created', item: { id: `item_${i}` } });
+    assert.equal(conversation.historySize(), 50);
+    assert.equal(sockets[0].sent.some(event => event.type === 'conversation.item.delete'), false);
+    conversation.close();
+  });
+});
+
+describe('session manager', () => {
+  test('keeps one conversation per session while it is used', () => {
+    const sockets = [];
+    const sessions = createSessionManager({ connect: fakeConnect(sockets), buildSessionUpdateEvent, idleTimeoutMs: 60000 });
+    const conversation = sessions.getConversation('a', { deviceId: 'bear-1' });
+    assert.equal(sessions.getConversation('a', { deviceId: 'bear-1' }), conversation);
+    assert.notEqual(sessions.getConversation('b'), conversation);
+    assert.equal(sessions.getDeviceId('a'), 'bear-1');
+    assert.equal(sessions.size(), 2);
+    ['a', 'b'].forEach(sessionId => sessions.resetSession(sessionId));
+  });
+
+  test('closes sessions that stay idle for longer than idleTimeoutMs', async () => {
+    const sockets = [];
+    const sessions = createSessionManager({ connect: fakeConnect(sockets), buildSessionUpdateEvent, idleTimeoutMs: 50 });
+    const conversation = sessions.getConversation('idle', { deviceId: 'bear-1' });
+
+    await waitFor(() => sessions.size() === 0);
+    assert.equal(conversation.isClosed(), true);
+    assert.equal(sockets[0].readyState, WebSocket.CLOSED);
+    assert.equal(sessions.getDeviceId('idle'), null);
+
+    // The same session id starts a new conversation, which remembers nothing
+    assert.notEqual(sessions.getConversation('idle'), conversation);
+    assert.equal(sockets.length, 2);
+    sessions.resetSession('idle');
+  });
+
+  test('keeps a session that is used again before it expires', async () => {
+    const sockets = [];
+    const sessions = createSessionManager({ connect: fakeConnect(sockets), buildSessionUpdateEvent, idleTimeoutMs: 150 });
+    const conversation = sessions.getConversation('active');
+    for (let i = 0; i < 4; i++) {
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.equal(sessions.getConversation('active'), conversation);
+    }
+    assert.equal(conversation.isClosed(), false);
+    sessions.resetSession('active');
+  });
+});
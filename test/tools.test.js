@@ -0,0 +1,165 @@
+// test/tools.test.js
+// The tool registry, the built-in tools and function calling end to end (mock provider).
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createToolRegistry, createBedtimeTimers, registerBuiltInTools } = require('../tools');
+const { MOCK_REPLY_TEXT, buildPcm16, startTestServer } = require('./helpers');
+
+function createBuiltIns() {
+  const bedtimeTimers = createBedtimeTimers();
+  return { registry: registerBuiltInTools(createToolRegistry(), { timeZone: 'UTC', bedtimeTimers }), bedtimeTimers };
+}
+
+describe('tool registry', () => {
+  test('advertises registered tools as Realtime function definitions', () => {
+    const registry = createToolRegistry().register({
+      name: 'say_hi',
+      description: 'Says hi',
+      parameters: { type: 'object', properties: { name: { type: 'string' } } },
+      handler: ({ name }) => ({ greeting: `Oi, ${name}!` })
+    });
+    assert.deepEqual(registry.definitions(), [{
+      type: 'function',
+      name: 'say_hi',
+      description: 'Says hi',
+      parameters: { type: 'object', properties: { name: { type: 'string' } } }
+    }]);
+  });
+
+  test('passes arguments and context to the handler', async () => {
+    const registry = createToolRegistry().register({
+      name: 'echo',
+      handler: (args, context) => ({ args, context })
+    });
+    const result = await registry.execute('echo', '{"n":1}', { deviceId: 'd1' });
+    assert.deepEqual(result, { args: { n: 1 }, context: { deviceId: 'd1' } });
+  });
+
+  test('turns failures into { error } instead of throwing', async () => {
+    const registry = createToolRegistry().register({
+      name: 'broken',
+      handler: () => { throw new Error('boom'); }
+    });
+    assert.deepEqual(await registry.execute('broken', '{}'), { error: 'boom' });
+    assert.deepEqual(await registry.execute('broken', '{not json'), { error: 'Arguments are not valid JSON' });
+    assert.match((await registry.execute('missing', '{}')).error, /Unknown tool/);
+  });
+
+  test('rejects invalid and duplicate tools', () => {
+    const registry = createToolRegistry().register({ name: 'once', handler: () => null });
+    assert.throws(() => registry.register({ name: 'once', handler: () => null }), /already registered/);
+    assert.throws(() => registry.register({ name: 'has spaces', handler: () => null }), /Invalid tool name/);
+    assert.throws(() => registry.register({ name: 'no_handler' }), /no handler/);
+  });
+});
+
+describe('built-in tools', () => {
+  test('counting_game counts up, down and in steps', async () => {
+    const { registry } = createBuiltIns();
+    assert.deepEqual(await registry.execute('counting_game', '{"start":1,"end":5}'), { numbers: [1, 2, 3, 4, 5], complete: true });
+    assert.deepEqual(await registry.execute('counting_game', '{"start":10,"end":0,"step":-5}'), { numbers: [10, 5, 0], complete: true });
+    assert.deepEqual(await registry.execute('counting_game', '{"start":1,"end":10,"step":4}'), { numbers: [1, 5, 9], complete: true });
+    assert.ok((await registry.execute('counting_game', '{"start":1,"end":5,"step":-1}')).error);
+  });
+
+  test('counting_game cuts long counts', async () => {
+    const { registry } = createBuiltIns();
+    const result = await registry.execute('counting_game', '{"start":1,"end":1000}');
+    assert.equal(result.numbers.length, 30);
+    assert.equal(result.complete, false);
+  });
+
+  test('set_bedtime_timer sets, reports and cancels a timer per device', async () => {
+    const { registry, bedtimeTimers } = createBuiltIns();
+    const context = { deviceId: 'bedroom' };
+    assert.deepEqual(await registry.execute('set_bedtime_timer', '{}', context), { active: false });
+    assert.deepEqual(await registry.execute('set_bedtime_timer', '{"minutes":15}', context), { active: true, minutesLeft: 15 });
+    assert.deepEqual(await registry.execute('set_bedtime_timer', '{}', context), { active: true, minutesLeft: 15 });
+    assert.deepEqual(await registry.execute('set_bedtime_timer', '{}', { deviceId: 'kitchen' }), { active: false });
+    assert.deepEqual(await registry.execute('set_bedtime_timer', '{"minutes":0}', context), { active: false, cancelled: true });
+    assert.equal(bedtimeTimers.remaining('bedroom'), null);
+    assert.ok((await registry.execute('set_bedtime_timer', '{"minutes":500}', context)).error);
+  });
+
+  test('bedtime timers call onExpire when they end', async () => {
+    const expired = [];
+    const timers = createBedtimeTimers({ onExpire: deviceId => expired.push(deviceId) });
+    timers.set('bedroom', 0.001); // 60ms
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepEqual(expired, ['bedroom']);
+  });
+
+  test('find_story finds a story by topic and falls back to any story', async () => {
+    const { registry } = createBuiltIns();
+    const story = await registry.execute('find_story', '{"topic":"dinossauros"}');
+    assert.equal(story.title, 'O dinossauro que gostava de flores');
+    assert.equal(story.matchesTopic, true);
+
+    const anyStory = await registry.execute('find_story', '{"topic":"submarinos"}');
+    assert.ok(anyStory.text);
+    assert.equal(anyStory.matchesTopic, false);
+  });
+
+  test('record_quiz_answer keeps the score of each session', async () => {
+    const { registry } = createBuiltIns();
+    const context = { deviceId: 'bedroom', sessionId: 'quiz-1' };
+    assert.deepEqual(await registry.execute('record_quiz_answer', '{"correct":true}', context), { correct: 1, answered: 1 });
+    assert.deepEqual(await registry.execute('record_quiz_answer', '{"correct":false}', context), { correct: 1, answered: 2 });
+    assert.deepEqual(await registry.execute('record_quiz_answer', '{"correct":true}', { deviceId: 'bedroom', sessionId: 'quiz-2' }), { correct: 1, answered: 1 });
+    assert.ok((await registry.execute('record_quiz_answer', '{"correct":"yes"}', context)).error);
+  });
+
+  test('get_current_time answers with the time of day', async () => {
+    const { registry } = createBuiltIns();
+    const result = await registry.execute('get_current_time', '{}');
+    assert.match(result.time, /^\d{2}:\d{2}$/);
+    assert.ok(['manhã', 'tarde', 'noite'].includes(result.period));
+  });
+});
+
+describe('function calling through the mock provider', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ MOCK_TOOL_CALL: 'counting_game', MOCK_TOOL_ARGUMENTS: '{"start":1,"end":3}' });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('/process-audio runs the tool and answers with its result', async () => {
+    const sessionId = 'e2e-tools';
+    const { status } = await server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64'), sessionId }, server.device.token);
+    assert.equal(status, 200);
+
+    const { body } = await server.request('GET', `/conversations/${sessionId}`);
+    assert.equal(body.exchanges[0].bear, `${MOCK_REPLY_TEXT} {"numbers":[1,2,3],"complete":true}`);
+  });
+
+  test('/stream-audio runs the tool before sending the reply', async () => {
+    const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/stream-audio?sampleRate=16000&sessionId=e2e-stream-tools&token=${server.device.token}`);
+    const doneEvents = [];
+
+    await new Promise((resolve, reject) => {
+      ws.on('error', reject);
+      ws.on('message', message => {
+        const event = JSON.parse(message.toString());
+        if (event.type === 'ready') {
+          ws.send(buildPcm16());
+          ws.send(JSON.stringify({ type: 'commit' }));
+        } else if (event.type === 'response.done') {
+          doneEvents.push(event);
+          setTimeout(resolve, 100); // A second 'response.done' would arrive meanwhile
+        }
+      });
+    });
+    ws.close();
+
+    assert.equal(doneEvents.length, 1);
+    const { body } = await server.request('GET', '/conversations/e2e-stream-tools');
+    assert.equal(body.exchanges.length, 1);
+    assert.match(body.exchanges[0].bear, /"numbers":\[1,2,3\]/);
+  });
+});
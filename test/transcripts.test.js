@@ -0,0 +1,37 @@
+// test/transcripts.test.js
+// Conversation transcripts saved on disk.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTranscriptStore } = require('../transcripts');
+
+describe('transcript store', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-transcripts-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('saves overlapping exchanges and transcriptions one after the other', async () => {
+    const filePath = path.join(dataDir, 'transcripts.json');
+    const store = createTranscriptStore(filePath);
+    for (let i = 0; i < 20; i++) {
+      store.recordExchange({ sessionId: 'bedtime', deviceId: 'bedroom', inputItemId: `item-${i}`, bear: `Resposta ${i}` });
+      store.setChildText(`item-${i}`, `Pergunta ${i}`);
+    }
+    store.recordExchange({ sessionId: 'other', deviceId: 'kitchen', bear: 'Oi!' });
+    await store.remove('other'); // Saved after every earlier change
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(saved.bedtime.exchanges.length, 20);
+    assert.equal(saved.bedtime.exchanges[19].child, 'Pergunta 19');
+    assert.equal(saved.other, undefined);
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+  });
+});
@@ -0,0 +1,160 @@
+// test/upstream.test.js
+// Upstream timeouts, retries of transient failures, the warm conversation pool and the choice of provider.
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { retryTransient, createConversationPool } = require('../sessions');
+const { MOCK_INPUT_TRANSCRIPT, buildPcm16, waitFor, startTestServer } = require('./helpers');
+
+function transientError(message) {
+  const error = new Error(message);
+  error.transient = true;
+  return error;
+}
+
+// Stands in for createConversation(): ready right away, records what it adopted
+function fakeConversation() {
+  let isClosed = false;
+  return {
+    adopted: null,
+    isReady: () => !isClosed,
+    isClosed: () => isClosed,
+    adopt(options) {
+      this.adopted = options;
+    },
+    close() {
+      isClosed = true;
+    }
+  };
+}
+
+describe('retryTransient', () => {
+  test('retries transient failures until an attempt succeeds', async () => {
+    let attempts = 0;
+    const result = await retryTransient(async () => {
+      attempts++;
+      if (attempts < 3) throw transientError('dropped');
+      return 'ok';
+    }, { maxRetries: 2, baseDelayMs: 1 });
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 3);
+  });
+
+  test('gives up after maxRetries and never retries other failures', async () => {
+    let attempts = 0;
+    await assert.rejects(retryTransient(async () => {
+      attempts++;
+      throw transientError('dropped');
+    }, { maxRetries: 1, baseDelayMs: 1 }), /dropped/);
+    assert.equal(attempts, 2);
+
+    attempts = 0;
+    await assert.rejects(retryTransient(async () => {
+      attempts++;
+      throw new Error('bad request');
+    }, { maxRetries: 2, baseDelayMs: 1 }), /bad request/);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('conversation pool', () => {
+  test('hands out ready conversations for its key and refills itself', async () => {
+    const created = [];
+    const pool = createConversationPool({
+      size: 1,
+      poolKey: ':pcm16',
+      create: () => {
+        const conversation = fakeConversation();
+        created.push(conversation);
+        return conversation;
+      }
+    });
+    pool.start();
+    assert.equal(pool.size(), 1);
+
+    assert.equal(pool.take(':g711_ulaw'), null);
+    const conversation = pool.take(':pcm16', { label: 'session-1' });
+    assert.equal(conversation, created[0]);
+    assert.deepEqual(conversation.adopted, { label: 'session-1' });
+
+    await waitFor(() => pool.size() === 1);
+    pool.stop();
+    assert.equal(created[1].isClosed(), true);
+    assert.equal(pool.size(), 0);
+  });
+
+  test('replaces conversations that closed or sat idle for too long', () => {
+    const created = [];
+    const pool = createConversationPool({
+      size: 1,
+      poolKey: ':pcm16',
+      maxIdleMs: 60000,
+      create: () => {
+        const conversation = fakeConversation();
+        created.push(conversation);
+        return conversation;
+      }
+    });
+    pool.start();
+    created[0].close();
+    pool.start();
+    assert.equal(created.length, 2);
+    assert.equal(pool.take(':pcm16'), created[1]);
+    pool.stop();
+  });
+});
+
+describe('flaky upstream on /process-audio', () => {
+  const servers = [];
+
+  async function start(env) {
+    const server = await startTestServer({ UPSTREAM_RETRY_BASE_MS: '10', ...env });
+    servers.push(server);
+    return server;
+  }
+
+  function processAudio(server, body = {}) {
+    return server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64'), ...body }, server.device.token);
+  }
+
+  after(() => {
+    servers.forEach(server => server.stop());
+  });
+
+  test('retries a dropped connection and a stalled reply on new connections', async () => {
+    const server = await start({ MOCK_DROP_RESPONSES: '1', MOCK_STALL_RESPONSES: '1', UPSTREAM_FIRST_DELTA_TIMEOUT_MS: '300' });
+    const { status, body } = await processAudio(server);
+    assert.equal(status, 200);
+    assert.ok(body.audio.length > 0);
+  });
+
+  test('answers 502 with the upstream error code once retries are used up', async () => {
+    const server = await start({ MOCK_DROP_RESPONSES: '1', UPSTREAM_MAX_RETRIES: '0' });
+    const { status, body } = await processAudio(server);
+    assert.equal(status, 502);
+    assert.equal(body.code, 'UPSTREAM_CLOSED');
+    assert.equal((await processAudio(server)).status, 200);
+  });
+
+  test('answers from a warm conversation and keeps it for the session', async () => {
+    const server = await start({ WARM_POOL_SIZE: '1' });
+    assert.equal((await processAudio(server, { sessionId: 'warm-session' })).status, 200);
+    assert.equal((await processAudio(server, { sessionId: 'warm-session' })).status, 200);
+
+    const conversation = await waitFor(async () => {
+      const { status, body } = await server.request('GET', '/conversations/warm-session');
+      return status === 200 && body.exchanges.length === 2 && body.exchanges[0].child ? body : null;
+    });
+    assert.equal(conversation.deviceId, server.device.deviceId);
+    assert.equal(conversation.exchanges[0].child, MOCK_INPUT_TRANSCRIPT);
+  });
+});
+
+describe('AI provider', () => {
+  test('the server refuses to start without OPENAI_API_KEY unless the mock is chosen', async () => {
+    await assert.rejects(startTestServer({ AI_PROVIDER: '' }), error => {
+      assert.match(error.message, /exited with code 1/);
+      assert.match(error.message, /OPENAI_API_KEY environment variable is not set/);
+      return true;
+    });
+  });
+});
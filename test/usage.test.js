@@ -0,0 +1,219 @@
+// test/usage.test.js
+// Rate limits, usage accounting, monthly budgets and quiet hours.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRateLimiter } = require('../rate-limit');
+const { createUsageStore } = require('../usage');
+const { createParentalControls } = require('../parental-controls');
+const { buildPcm16, waitFor, startTestServer } = require('./helpers');
+
+// A 'response.done' usage block as sent by the Realtime API
+function realtimeUsage({ inputText = 0, inputAudio = 0, outputText = 0, outputAudio = 0 }) {
+  return {
+    input_token_details: { text_tokens: inputText, audio_tokens: inputAudio, cached_tokens: 0 },
+    output_token_details: { text_tokens: outputText, audio_tokens: outputAudio }
+  };
+}
+
+describe('rate limiter', () => {
+  test('allows `max` hits per window and says how long to wait', () => {
+    const limiter = createRateLimiter({ max: 2, windowMs: 1000 });
+    limiter.hit('bear', 0);
+    assert.equal(limiter.retryAfterMs('bear', 100), 0);
+    limiter.hit('bear', 100);
+    assert.equal(limiter.retryAfterMs('bear', 200), 800);
+    assert.equal(limiter.retryAfterMs('other', 200), 0);
+    assert.equal(limiter.retryAfterMs('bear', 1000), 0);
+  });
+});
+
+describe('usage store', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-usage-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('totals tokens, seconds and cost per month and device', () => {
+    const store = createUsageStore(path.join(dataDir, 'totals.json'), {
+      timeZone: 'UTC',
+      prices: { textInput: 1, audioInput: 10, textOutput: 2, audioOutput: 20 }
+    });
+    const may = new Date('2026-05-10T12:00:00Z');
+    store.record('bedroom', { usage: realtimeUsage({ inputText: 100, inputAudio: 1000, outputText: 50, outputAudio: 2000 }) }, may);
+    store.record('bedroom', { inputAudioSeconds: 1.5, outputAudioSeconds: 2 }, may);
+    store.record('kitchen', { usage: realtimeUsage({ outputAudio: 500 }) }, may);
+    store.record('bedroom', { usage: realtimeUsage({ outputAudio: 500 }) }, new Date('2026-06-01T00:00:00Z'));
+
+    const report = store.report('2026-05');
+    const bedroom = report.devices.find(device => device.deviceId === 'bedroom');
+    assert.equal(bedroom.responses, 1);
+    assert.equal(bedroom.totalTokens, 3150);
+    assert.equal(bedroom.inputAudioSeconds, 1.5);
+    assert.equal(bedroom.costUsd, 0.0502); // (100*1 + 1000*10 + 50*2 + 2000*20) / 1e6
+    assert.equal(report.totals.responses, 2);
+    assert.equal(report.totals.outputAudioTokens, 2500);
+    assert.equal(store.report('2026-06').totals.responses, 1);
+  });
+
+  test('blocks a device once its budget or the global one is used up', async () => {
+    const store = createUsageStore(path.join(dataDir, 'budgets.json'), { timeZone: 'UTC' });
+    await store.setBudget('bedroom', { monthlyTokens: 1000 });
+    store.record('bedroom', { usage: realtimeUsage({ outputAudio: 999 }) });
+    assert.equal(store.checkBudget('bedroom'), null);
+
+    store.record('bedroom', { usage: realtimeUsage({ outputAudio: 1 }) });
+    assert.equal(store.checkBudget('bedroom').code, 'MONTHLY_BUDGET_EXCEEDED');
+    assert.equal(store.checkBudget('kitchen'), null);
+
+    await store.setBudget(null, { monthlyCostUsd: 0.05 });
+    assert.equal(store.checkBudget('kitchen').code, 'MONTHLY_BUDGET_EXCEEDED'); // 1000 audio output tokens cost $0.08
+    await store.setBudget(null, { monthlyCostUsd: null });
+    assert.equal(store.checkBudget('kitchen'), null);
+  });
+
+  test('saves overlapping records one after the other, the last one last', async () => {
+    const filePath = path.join(dataDir, 'overlapping.json');
+    const store = createUsageStore(filePath, { timeZone: 'UTC' });
+    const may = new Date('2026-05-10T12:00:00Z');
+    for (let i = 0; i < 50; i++) {
+      store.record('bedroom', { usage: realtimeUsage({ outputAudio: 10 }) }, may);
+    }
+    await store.setBudget('bedroom', { monthlyTokens: 1000 }); // Saved after every record
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(saved.months['2026-05'].bedroom.responses, 50);
+    assert.equal(saved.budgets.devices.bedroom.monthlyTokens, 1000);
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+    assert.equal(createUsageStore(filePath, { timeZone: 'UTC' }).report('2026-05').totals.outputAudioTokens, 500);
+  });
+
+  test('saves the overlapping daily talk time of the parental controls one after the other', async () => {
+    const filePath = path.join(dataDir, 'parental-controls.json');
+    const parentalControls = createParentalControls(filePath, { timeZone: 'UTC' });
+    const may = new Date('2026-05-10T12:00:00Z');
+    for (let i = 0; i < 50; i++) {
+      parentalControls.recordUsage('bedroom', 2, may);
+    }
+    await parentalControls.setDeviceLimits('bedroom', { dailyMinutes: 30 }); // Saved after every recordUsage
+
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).usage.bedroom.seconds, 100);
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+  });
+});
+
+describe('quiet hours', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ursinho-quiet-hours-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // The code that blocks the bear at `time` (UTC) on 2026-05-10, or null when it may talk
+  function blockedAt(parentalControls, time, deviceId = 'bedroom') {
+    const blocked = parentalControls.checkAccess(deviceId, new Date(`2026-05-10T${time}:00Z`));
+    return blocked ? blocked.code : null;
+  }
+
+  test('blocks a window that wraps past midnight from its start until its end', async () => {
+    const parentalControls = createParentalControls(path.join(dataDir, 'wrapping.json'), { timeZone: 'UTC' });
+    await parentalControls.setDeviceLimits('bedroom', { quietHours: { start: '20:00', end: '07:00' } });
+
+    for (const time of ['20:00', '23:30', '00:00', '03:15', '06:59']) {
+      assert.equal(blockedAt(parentalControls, time), 'QUIET_HOURS', time);
+    }
+    for (const time of ['07:00', '12:00', '19:59']) {
+      assert.equal(blockedAt(parentalControls, time), null, time);
+    }
+    assert.equal(blockedAt(parentalControls, '23:30', 'kitchen'), null);
+  });
+
+  test('blocks a window within the day from its start until its end', async () => {
+    const parentalControls = createParentalControls(path.join(dataDir, 'nap.json'), { timeZone: 'UTC' });
+    await parentalControls.updateSettings({ defaultLimits: { quietHours: { start: '13:00', end: '15:00' } } });
+
+    assert.equal(blockedAt(parentalControls, '13:00'), 'QUIET_HOURS');
+    assert.equal(blockedAt(parentalControls, '14:59'), 'QUIET_HOURS');
+    assert.equal(blockedAt(parentalControls, '12:59'), null);
+    assert.equal(blockedAt(parentalControls, '15:00'), null);
+    assert.equal(blockedAt(parentalControls, '23:00'), null);
+  });
+
+  test('reads the time of day in the configured time zone', async () => {
+    const parentalControls = createParentalControls(path.join(dataDir, 'sao-paulo.json'), { timeZone: 'America/Sao_Paulo' });
+    await parentalControls.setDeviceLimits('bedroom', { quietHours: { start: '20:00', end: '07:00' } });
+
+    assert.equal(blockedAt(parentalControls, '22:30'), null); // 19:30 in São Paulo
+    assert.equal(blockedAt(parentalControls, '23:00'), 'QUIET_HOURS');
+    assert.equal(blockedAt(parentalControls, '09:59'), 'QUIET_HOURS');
+    assert.equal(blockedAt(parentalControls, '10:00'), null);
+  });
+});
+
+describe('limits on /process-audio', () => {
+  let server;
+
+  function processAudio(token) {
+    return server.request('POST', '/process-audio', { audio: buildPcm16().toString('base64') }, token);
+  }
+
+  before(async () => {
+    server = await startTestServer({ RATE_LIMIT_DEVICE_PER_MINUTE: '2' });
+  });
+
+  after(() => {
+    if (server) server.stop();
+  });
+
+  test('records the usage of every reply for the report', async () => {
+    const { deviceId, token } = await server.pairDevice('Ursinho medido');
+    assert.equal((await processAudio(token)).status, 200);
+
+    const device = await waitFor(async () => {
+      const { body } = await server.request('GET', '/usage');
+      return body.devices.find(entry => entry.deviceId === deviceId && entry.outputAudioSeconds > 0);
+    });
+    assert.equal(device.responses, 1);
+    assert.equal(device.outputAudioTokens, 10); // 0.5s of mock reply audio
+    assert.equal(device.inputAudioTokens, 20); // 1s of child audio
+    assert.ok(device.costUsd > 0);
+    assert.equal(device.outputAudioSeconds, 0.5);
+  });
+
+  test('answers 429 with Retry-After once a device sends too many requests', async () => {
+    const { token } = await server.pairDevice('Ursinho apressado');
+    assert.equal((await processAudio(token)).status, 200);
+    assert.equal((await processAudio(token)).status, 200);
+
+    const response = await fetch(`${server.baseUrl}/process-audio`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ audio: buildPcm16().toString('base64') })
+    });
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.equal((await response.json()).code, 'RATE_LIMITED');
+  });
+
+  test('blocks a device over its monthly budget', async () => {
+    const { deviceId, token } = await server.pairDevice('Ursinho econômico');
+    const update = await server.request('PUT', `/usage/budgets/devices/${deviceId}`, { monthlyTokens: 0 });
+    assert.equal(update.status, 200);
+
+    const { status, body } = await processAudio(token);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'MONTHLY_BUDGET_EXCEEDED');
+    assert.equal((await server.request('PUT', '/usage/budgets', { monthlyCostUsd: -1 })).status, 400);
+  });
+});
@@ -0,0 +1,285 @@
+// tools.js
+const { logger } = require('./logger');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Named functions the bear can call during a conversation (Realtime API
+ * function calling). A tool is { name, description, parameters (JSON schema), handler }
+ * where handler(args, context) returns (or resolves with) a JSON-serializable result.
+ * `context` is { deviceId, sessionId } of the conversation that called the tool.
+ */
+function createToolRegistry() {
+  const tools = new Map(); // name -> tool
+
+  return {
+    register(tool) {
+      if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+        throw new Error(`Invalid tool name: ${tool && tool.name}`);
+      }
+      if (typeof tool.handler !== 'function') {
+        throw new Error(`Tool ${tool.name} has no handler`);
+      }
+      if (tools.has(tool.name)) {
+        throw new Error(`Tool ${tool.name} is already registered`);
+      }
+      tools.set(tool.name, tool);
+      return this;
+    },
+
+    // Tool definitions for 'session.update'
+    definitions() {
+      return [...tools.values()].map(({ name, description, parameters }) => ({
+        type: 'function',
+        name,
+        description,
+        parameters: parameters || { type: 'object', properties: {} }
+      }));
+    },
+
+    /**
+     * Runs the tool called `name` with the JSON `argumentsJson` sent by the model.
+     * Never throws: failures resolve with { error } so the model can tell the child
+     * it didn't work instead of the turn failing.
+     */
+    async execute(name, argumentsJson, context = {}) {
+      const tool = tools.get(name);
+      if (!tool) {
+        return { error: `Unknown tool: ${name}` };
+      }
+      let args;
+      try {
+        args = argumentsJson ? JSON.parse(argumentsJson) : {};
+      } catch (parseError) {
+        return { error: 'Arguments are not valid JSON' };
+      }
+      try {
+        const result = await tool.handler(args, context);
+        logger.info('Tool called', { tool: name, arguments: argumentsJson || '{}' });
+        return result;
+      } catch (error) {
+        logger.warn('Tool failed', { tool: name, error: error.message });
+        return { error: error.message };
+      }
+    }
+  };
+}
+
+// Histórias curtas que o ursinho pode contar
+const STORIES = [
+  {
+    title: 'O ursinho que perdeu o sono',
+    topics: ['ursos', 'dormir', 'noite', 'estrelas'],
+    text: 'Era uma vez um ursinho que não conseguia dormir. Ele olhou pela janela e contou as estrelas: uma, duas, três... ' +
+      'A lua sorriu e cantou uma canção bem baixinho. Quando chegou na estrela número dez, o ursinho já estava sonhando.'
+  },
+  {
+    title: 'A tartaruga apressada',
+    topics: ['animais', 'tartaruga', 'amizade', 'paciência'],
+    text: 'A tartaruga Tita queria chegar primeiro na festa da floresta. Ela correu, correu, mas seus amigos a esperaram no caminho. ' +
+      'No fim, todos chegaram juntos e descobriram que a festa era mais divertida assim.'
+  },
+  {
+    title: 'O foguete de papelão',
+    topics: ['espaço', 'foguete', 'planetas', 'imaginação'],
+    text: 'Lia construiu um foguete com uma caixa de papelão. Fechou os olhos, contou até dez e voou até a Lua, ' +
+      'onde brincou de pular bem alto. Na volta, trouxe uma pedrinha imaginária para mostrar para a mamãe.'
+  },
+  {
+    title: 'O dinossauro que gostava de flores',
+    topics: ['dinossauros', 'flores', 'jardim', 'natureza'],
+    text: 'Dino era um dinossauro enorme, mas muito delicado. Todo dia ele regava as flores do vale com um regador gigante. ' +
+      'Os outros dinossauros riam, até que o vale ficou o lugar mais bonito de todos.'
+  }
+];
+
+const MAX_COUNT_NUMBERS = 30;
+const MAX_TIMER_MINUTES = 120;
+
+/**
+ * Bedtime timers, one per device, kept in memory.
+ * `onExpire(deviceId)` is called when a timer ends.
+ */
+function createBedtimeTimers({ onExpire = () => {} } = {}) {
+  const timers = new Map(); // deviceId -> { endsAt, timeout }
+
+  return {
+    set(deviceId, minutes) {
+      this.cancel(deviceId);
+      const endsAt = Date.now() + minutes * 60 * 1000;
+      const timeout = setTimeout(() => {
+        timers.delete(deviceId);
+        onExpire(deviceId);
+      }, minutes * 60 * 1000);
+      timeout.unref(); // Never keep the process alive just for a timer
+      timers.set(deviceId, { endsAt, timeout });
+      return endsAt;
+    },
+
+    // Milliseconds left on the device's timer, or null when there is none
+    remaining(deviceId) {
+      const timer = timers.get(deviceId);
+      return timer ? Math.max(0, timer.endsAt - Date.now()) : null;
+    },
+
+    cancel(deviceId) {
+      const timer = timers.get(deviceId);
+      if (!timer) return false;
+      clearTimeout(timer.timeout);
+      timers.delete(deviceId);
+      return true;
+    }
+  };
+}
+
+const QUIZ_SCORE_TTL_MS = 24 * 60 * 60 * 1000; // Scores of games nobody played for a day are dropped
+
+/**
+ * Quiz scores, one per conversation (session id), kept in memory so the score
+ * survives the oldest turns being dropped from the upstream history.
+ */
+function createQuizScores() {
+  const scores = new Map(); // key -> { correct, answered, updatedAt }
+
+  function dropStale(now) {
+    for (const [key, score] of scores) {
+      if (now - score.updatedAt > QUIZ_SCORE_TTL_MS) scores.delete(key);
+    }
+  }
+
+  return {
+    // Counts one answer and returns the score so far: { correct, answered }
+    record(key, isCorrect, now = Date.now()) {
+      dropStale(now);
+      const score = scores.get(key) || { correct: 0, answered: 0 };
+      const updated = { correct: score.correct + (isCorrect ? 1 : 0), answered: score.answered + 1, updatedAt: now };
+      scores.set(key, updated);
+      return { correct: updated.correct, answered: updated.answered };
+    },
+
+    get(key) {
+      const score = scores.get(key);
+      return score ? { correct: score.correct, answered: score.answered } : { correct: 0, answered: 0 };
+    },
+
+    reset(key) {
+      return scores.delete(key);
+    }
+  };
+}
+
+/**
+ * Registers the kid-safe tools the bear ships with: the time, a counting game,
+ * a bedtime timer, a story lookup and the quiz score.
+ * Times are given in `timeZone` (defaults to the server's).
+ */
+function registerBuiltInTools(registry, { timeZone, bedtimeTimers, quizScores = createQuizScores() }) {
+  const timeFormat = new Intl.DateTimeFormat('pt-BR', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  const weekdayFormat = new Intl.DateTimeFormat('pt-BR', { timeZone, weekday: 'long' });
+
+  registry.register({
+    name: 'get_current_time',
+    description: 'Diz que horas são agora e que dia da semana é hoje.',
+    parameters: { type: 'object', properties: {} },
+    handler() {
+      const now = new Date();
+      const time = timeFormat.format(now);
+      const hour = Number(time.slice(0, 2));
+      const period = hour < 12 ? 'manhã' : (hour < 18 ? 'tarde' : 'noite');
+      return { time, weekday: weekdayFormat.format(now), period };
+    }
+  });
+
+  registry.register({
+    name: 'counting_game',
+    description: 'Gera os números de uma brincadeira de contar, por exemplo de 1 a 10 ou de 2 em 2. ' +
+      'Use quando a criança quiser contar junto com o ursinho.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start: { type: 'integer', description: 'Número inicial (padrão 1)' },
+        end: { type: 'integer', description: 'Número final (padrão 10)' },
+        step: { type: 'integer', description: 'De quanto em quanto contar; negativo para contar de trás para frente (padrão 1)' }
+      }
+    },
+    handler({ start = 1, end = 10, step = start <= end ? 1 : -1 }) {
+      if (![start, end, step].every(Number.isInteger) || step === 0 || Math.sign(end - start) * Math.sign(step) < 0) {
+        throw new Error('start, end and step must be integers, with step going from start towards end');
+      }
+      const numbers = [];
+      for (let n = start; step > 0 ? n <= end : n >= end; n += step) {
+        numbers.push(n);
+        if (numbers.length === MAX_COUNT_NUMBERS) break;
+      }
+      const next = numbers[numbers.length - 1] + step;
+      return { numbers, complete: step > 0 ? next > end : next < end }; // Long counts are cut at MAX_COUNT_NUMBERS
+    }
+  });
+
+  registry.register({
+    name: 'set_bedtime_timer',
+    description: 'Liga um cronômetro para a hora de dormir. Quando acabar, o ursinho avisa que é hora de dormir. ' +
+      'Também serve para dizer quanto tempo falta (minutes omitido) ou cancelar (minutes = 0).',
+    parameters: {
+      type: 'object',
+      properties: {
+        minutes: { type: 'integer', description: `Minutos até a hora de dormir, de 1 a ${MAX_TIMER_MINUTES}` }
+      }
+    },
+    handler({ minutes }, { deviceId }) {
+      if (minutes === undefined) {
+        const remainingMs = bedtimeTimers.remaining(deviceId);
+        return remainingMs === null ? { active: false } : { active: true, minutesLeft: Math.ceil(remainingMs / 60000) };
+      }
+      if (minutes === 0) {
+        return { active: false, cancelled: bedtimeTimers.cancel(deviceId) };
+      }
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_TIMER_MINUTES) {
+        throw new Error(`minutes must be an integer from 0 to ${MAX_TIMER_MINUTES}`);
+      }
+      bedtimeTimers.set(deviceId, minutes);
+      return { active: true, minutesLeft: minutes };
+    }
+  });
+
+  registry.register({
+    name: 'find_story',
+    description: 'Procura uma historinha curta sobre um assunto (por exemplo dinossauros, espaço ou dormir) para o ursinho contar.',
+    parameters: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', description: 'Assunto da história' }
+      }
+    },
+    handler({ topic = '' }) {
+      const normalizedTopic = String(topic).trim().toLowerCase();
+      const match = normalizedTopic
+        ? STORIES.find(story => story.topics.some(t => normalizedTopic.includes(t) || t.includes(normalizedTopic)))
+        : null;
+      const story = match || STORIES[Math.floor(Math.random() * STORIES.length)]; // Any story beats no story
+      return { title: story.title, text: story.text, matchesTopic: Boolean(match) };
+    }
+  });
+
+  registry.register({
+    name: 'record_quiz_answer',
+    description: 'Só no quiz: anota se a criança acertou a última pergunta e devolve o placar da brincadeira até agora.',
+    parameters: {
+      type: 'object',
+      properties: {
+        correct: { type: 'boolean', description: 'true se a criança acertou, false se errou' }
+      },
+      required: ['correct']
+    },
+    handler({ correct }, { deviceId, sessionId }) {
+      if (typeof correct !== 'boolean') {
+        throw new Error('correct must be true or false');
+      }
+      return quizScores.record(sessionId || deviceId, correct); // Without a session the device keeps one game
+    }
+  });
+
+  return registry;
+}
+
+module.exports = { createToolRegistry, createBedtimeTimers, createQuizScores, registerBuiltInTools };
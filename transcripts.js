@@ -0,0 +1,132 @@
+// transcripts.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { createJsonFileWriter } = require('./json-file');
+
+/**
+ * Conversation transcripts (what the child said and what the bear answered),
+ * grouped by session and persisted as a JSON file on disk.
+ * Only the most recent `maxConversations` conversations are kept.
+ */
+function createTranscriptStore(filePath, { maxConversations = 1000 } = {}) {
+  let conversations = {}; // sessionId -> { sessionId, deviceId, profileId, startedAt, updatedAt, exchanges }
+  const pendingChildTexts = new Map(); // inputItemId -> transcript that arrived before its exchange was recorded
+
+  try {
+    if (fs.existsSync(filePath)) {
+      conversations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    logger.error('Could not read transcripts', { filePath, error: error.message });
+  }
+
+  const file = createJsonFileWriter(filePath);
+
+  function persist() {
+    return file.save(conversations).catch(error => {
+      logger.error('Could not save transcripts', { error: error.message });
+    });
+  }
+
+  function pruneOldest() {
+    const sessionIds = Object.keys(conversations);
+    if (sessionIds.length <= maxConversations) return;
+    sessionIds
+      .sort((a, b) => conversations[a].updatedAt.localeCompare(conversations[b].updatedAt))
+      .slice(0, sessionIds.length - maxConversations)
+      .forEach(sessionId => delete conversations[sessionId]);
+  }
+
+  function summarize(conversation) {
+    const lastExchange = conversation.exchanges[conversation.exchanges.length - 1];
+    return {
+      sessionId: conversation.sessionId,
+      deviceId: conversation.deviceId,
+      profileId: conversation.profileId,
+      startedAt: conversation.startedAt,
+      updatedAt: conversation.updatedAt,
+      exchangeCount: conversation.exchanges.length,
+      preview: lastExchange ? (lastExchange.child || lastExchange.bear) : null
+    };
+  }
+
+  return {
+    /**
+     * Appends one exchange to the session's conversation.
+     * `inputItemId` links it to a child transcript that may arrive later (see setChildText).
+     * `mode` is the interaction mode the exchange happened in (see modes.js).
+     */
+    recordExchange({ sessionId, deviceId, profileId = null, mode = null, inputItemId = null, child = null, bear, blockedTopic = null }) {
+      const now = new Date().toISOString();
+      if (!conversations[sessionId]) {
+        conversations[sessionId] = { sessionId, deviceId, profileId, startedAt: now, updatedAt: now, exchanges: [] };
+      }
+      const conversation = conversations[sessionId];
+
+      const pendingChild = inputItemId ? pendingChildTexts.get(inputItemId) : undefined;
+      pendingChildTexts.delete(inputItemId);
+
+      conversation.exchanges.push({
+        id: crypto.randomUUID(),
+        at: now,
+        mode,
+        inputItemId,
+        child: child || pendingChild || null,
+        bear,
+        blockedTopic
+      });
+      conversation.updatedAt = now;
+      pruneOldest();
+      persist();
+    },
+
+    // Fills in the child's side of an exchange once the transcription arrives
+    setChildText(inputItemId, text) {
+      for (const conversation of Object.values(conversations)) {
+        const exchange = conversation.exchanges.find(e => e.inputItemId === inputItemId);
+        if (exchange) {
+          exchange.child = text;
+          persist();
+          return;
+        }
+      }
+      pendingChildTexts.set(inputItemId, text);
+      if (pendingChildTexts.size > 1000) { // Exchanges that failed are never recorded
+        pendingChildTexts.delete(pendingChildTexts.keys().next().value);
+      }
+    },
+
+    /**
+     * Lists conversations, most recent first.
+     * `deviceId` filters by device; `query` keeps only conversations with a matching
+     * exchange (case-insensitive) and returns those exchanges as `matches`.
+     */
+    list({ deviceId, query } = {}) {
+      const normalizedQuery = query ? query.toLowerCase() : null;
+      return Object.values(conversations)
+        .filter(conversation => !deviceId || conversation.deviceId === deviceId)
+        .map(conversation => {
+          if (!normalizedQuery) return summarize(conversation);
+          const matches = conversation.exchanges.filter(exchange =>
+            [exchange.child, exchange.bear].some(text => text && text.toLowerCase().includes(normalizedQuery)));
+          return matches.length > 0 ? { ...summarize(conversation), matches } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get(sessionId) {
+      return conversations[sessionId] || null;
+    },
+
+    async remove(sessionId) {
+      if (!conversations[sessionId]) return false;
+      delete conversations[sessionId];
+      await persist();
+      return true;
+    }
+  };
+}
+
+module.exports = { createTranscriptStore };
@@ -0,0 +1,214 @@
+// translations.js
+// Textos da interface do ursinho em cada idioma (see LANGUAGES in languages.js on the server).
+// Keys are used by t() in script.js and by the data-i18n attributes of index.html;
+// {name} placeholders are filled in by t(). Missing keys fall back to 'pt-BR'.
+// The fallback* texts are the same as FALLBACK_PHRASES in fallback-phrases.js on the server.
+const TRANSLATIONS = {
+    'pt-BR': {
+        title: "Ursinho Falante",
+        languageLabel: "Idioma:",
+        modeLabel: "Modo:",
+        modeConversation: "Conversa",
+        modeStory: "Historinha para dormir",
+        modeQuiz: "Quiz",
+        modeCalm: "Hora de acalmar",
+        modeEnglish: "Aprender palavras em inglês",
+        activationLabel: "Como chamar o ursinho:",
+        activationAlways: "Sempre ouvindo",
+        activationPush: "Apertar para falar",
+        activationWake: "Palavra mágica",
+        talkButton: "Segure para falar",
+        enrollWakeButton: "Gravar palavra mágica",
+        holdToTalk: "Segure o botão (ou a barra de espaço) para falar.",
+        sayWakePhrase: "Diga a palavra mágica para chamar o ursinho.",
+        recordWakePhraseFirst: "Primeiro grave a palavra mágica no botão \"Gravar palavra mágica\".",
+        enrollingWakePhrase: "Diga a palavra mágica ({count} de {total})...",
+        wakePhraseRetry: "Não entendi direito. Diga a palavra mágica de novo, do mesmo jeito ({count} de {total})...",
+        wakePhraseRecorded: "Palavra mágica gravada! Diga-a para chamar o ursinho.",
+        pairingHint: "Peça aos pais um código de pareamento no Painel dos Pais.",
+        pairingCodePlaceholder: "CÓDIGO",
+        pairButton: "Parear ursinho",
+        startButton: "Iniciar",
+        stopButton: "Parar",
+        interruptButton: "Interromper",
+        resetButton: "Nova conversa",
+        settingsTitle: "Configurações",
+        serverUrlLabel: "Endereço do servidor:",
+        sensitivityLabel: "Sensibilidade do microfone:",
+        micLevelHint: "Com o microfone ligado, fale normalmente: a barra deve passar da marca vermelha.",
+        speechTimeoutLabel: "Silêncio que encerra a fala (ms):",
+        voiceLabel: "Voz do ursinho:",
+        voiceServerDefault: "Padrão do servidor",
+        voiceServerDefaultNamed: "Padrão do servidor ({voice})",
+        volumeLabel: "Volume:",
+        saveSettingsButton: "Salvar",
+        restoreSettingsButton: "Restaurar padrões",
+        settingsSaved: "Configurações salvas.",
+        invalidServerUrl: "Endereço do servidor inválido: use um endereço http:// ou https://.",
+        clickStart: "Clique em \"Iniciar\" para começar.",
+        pairingIntro: "Para começar, pareie este ursinho com o código do Painel dos Pais.",
+        pairing: "Pareando...",
+        paired: "Ursinho pareado! Clique em \"Iniciar\" para começar.",
+        pairingFailed: "Não foi possível parear: {message}",
+        pairingRequired: "Este ursinho precisa ser pareado. Digite o código do Painel dos Pais.",
+        unknownServerError: "Erro desconhecido do servidor",
+        newConversationListening: "Nova conversa! Ouvindo...",
+        newConversation: "Nova conversa! Clique em Iniciar.",
+        wakeLockReleased: "Bloqueio de tela liberado. A tela pode desligar.",
+        wakeLockFailed: "Não foi possível ativar o bloqueio de tela.",
+        wakeLockUnsupported: "API de bloqueio de tela não suportada.",
+        startingMicrophone: "Iniciando microfone...",
+        microphoneError: "Erro ao iniciar microfone: {message}",
+        listening: "Ouvindo...",
+        capturing: "Capturando fala...",
+        processing: "Processando...",
+        speaking: "Falando...",
+        stopped: "Parado. Clique em Iniciar.",
+        fallbackNetwork: "Estou com um pouquinho de sono. Vamos conversar de novo daqui a pouco!",
+        fallbackServer: "Hmm, minha cabecinha ficou confusa. Pode falar de novo daqui a pouquinho?",
+        fallbackQuota: "Ufa, já conversamos bastante! Vamos descansar um pouquinho e depois conversamos mais.",
+        backOnline: "Voltei! Pode falar comigo.",
+        communicationError: "Erro de comunicação: {message}",
+        noAudioInReply: "Resposta do servidor não contém áudio.",
+        playbackFailed: "Erro ao tocar resposta.",
+        playbackError: "Erro na reprodução: {message}"
+    },
+    en: {
+        title: "Talking Teddy Bear",
+        languageLabel: "Language:",
+        modeLabel: "Mode:",
+        modeConversation: "Chat",
+        modeStory: "Bedtime story",
+        modeQuiz: "Quiz",
+        modeCalm: "Calm-down time",
+        modeEnglish: "Learn words in English",
+        activationLabel: "How to call the bear:",
+        activationAlways: "Always listening",
+        activationPush: "Push to talk",
+        activationWake: "Magic word",
+        talkButton: "Hold to talk",
+        enrollWakeButton: "Record magic word",
+        holdToTalk: "Hold the button (or the spacebar) to talk.",
+        sayWakePhrase: "Say the magic word to call the bear.",
+        recordWakePhraseFirst: "First record the magic word with the \"Record magic word\" button.",
+        enrollingWakePhrase: "Say the magic word ({count} of {total})...",
+        wakePhraseRetry: "I didn't quite catch that. Say the magic word again, the same way ({count} of {total})...",
+        wakePhraseRecorded: "Magic word recorded! Say it to call the bear.",
+        pairingHint: "Ask your parents for a pairing code from the Parents' Dashboard.",
+        pairingCodePlaceholder: "CODE",
+        pairButton: "Pair bear",
+        startButton: "Start",
+        stopButton: "Stop",
+        interruptButton: "Interrupt",
+        resetButton: "New conversation",
+        settingsTitle: "Settings",
+        serverUrlLabel: "Server address:",
+        sensitivityLabel: "Microphone sensitivity:",
+        micLevelHint: "With the microphone on, talk normally: the bar should go past the red mark.",
+        speechTimeoutLabel: "Silence that ends speech (ms):",
+        voiceLabel: "Bear's voice:",
+        voiceServerDefault: "Server default",
+        voiceServerDefaultNamed: "Server default ({voice})",
+        volumeLabel: "Volume:",
+        saveSettingsButton: "Save",
+        restoreSettingsButton: "Restore defaults",
+        settingsSaved: "Settings saved.",
+        invalidServerUrl: "Invalid server address: use an http:// or https:// address.",
+        clickStart: "Click \"Start\" to begin.",
+        pairingIntro: "To begin, pair this bear with the code from the Parents' Dashboard.",
+        pairing: "Pairing...",
+        paired: "Bear paired! Click \"Start\" to begin.",
+        pairingFailed: "Could not pair: {message}",
+        pairingRequired: "This bear needs to be paired. Enter the code from the Parents' Dashboard.",
+        unknownServerError: "Unknown server error",
+        newConversationListening: "New conversation! Listening...",
+        newConversation: "New conversation! Click Start.",
+        wakeLockReleased: "Screen lock released. The screen may turn off.",
+        wakeLockFailed: "Could not keep the screen on.",
+        wakeLockUnsupported: "Screen Wake Lock API not supported.",
+        startingMicrophone: "Starting microphone...",
+        microphoneError: "Error starting microphone: {message}",
+        listening: "Listening...",
+        capturing: "Hearing you...",
+        processing: "Thinking...",
+        speaking: "Speaking...",
+        stopped: "Stopped. Click Start.",
+        fallbackNetwork: "I'm a bit sleepy, let's talk again soon!",
+        fallbackServer: "Hmm, my head got a little fuzzy. Can you say that again in a little while?",
+        fallbackQuota: "Phew, we've talked a lot! Let's rest a little and talk more later.",
+        backOnline: "I'm back! You can talk to me.",
+        communicationError: "Communication error: {message}",
+        noAudioInReply: "The server reply has no audio.",
+        playbackFailed: "Error playing the reply.",
+        playbackError: "Playback error: {message}"
+    },
+    es: {
+        title: "Osito Parlante",
+        languageLabel: "Idioma:",
+        modeLabel: "Modo:",
+        modeConversation: "Charla",
+        modeStory: "Cuento para dormir",
+        modeQuiz: "Quiz",
+        modeCalm: "Hora de calmarse",
+        modeEnglish: "Aprender palabras en inglés",
+        activationLabel: "Cómo llamar al osito:",
+        activationAlways: "Siempre escuchando",
+        activationPush: "Pulsar para hablar",
+        activationWake: "Palabra mágica",
+        talkButton: "Mantén pulsado para hablar",
+        enrollWakeButton: "Grabar palabra mágica",
+        holdToTalk: "Mantén pulsado el botón (o la barra espaciadora) para hablar.",
+        sayWakePhrase: "Di la palabra mágica para llamar al osito.",
+        recordWakePhraseFirst: "Primero graba la palabra mágica con el botón \"Grabar palabra mágica\".",
+        enrollingWakePhrase: "Di la palabra mágica ({count} de {total})...",
+        wakePhraseRetry: "No te entendí bien. Di la palabra mágica otra vez, igual que antes ({count} de {total})...",
+        wakePhraseRecorded: "¡Palabra mágica grabada! Dila para llamar al osito.",
+        pairingHint: "Pide a tus padres un código de emparejamiento del Panel de los Padres.",
+        pairingCodePlaceholder: "CÓDIGO",
+        pairButton: "Emparejar osito",
+        startButton: "Empezar",
+        stopButton: "Parar",
+        interruptButton: "Interrumpir",
+        resetButton: "Nueva conversación",
+        settingsTitle: "Ajustes",
+        serverUrlLabel: "Dirección del servidor:",
+        sensitivityLabel: "Sensibilidad del micrófono:",
+        micLevelHint: "Con el micrófono encendido, habla normalmente: la barra debe pasar la marca roja.",
+        speechTimeoutLabel: "Silencio que termina el habla (ms):",
+        voiceLabel: "Voz del osito:",
+        voiceServerDefault: "Predeterminada del servidor",
+        voiceServerDefaultNamed: "Predeterminada del servidor ({voice})",
+        volumeLabel: "Volumen:",
+        saveSettingsButton: "Guardar",
+        restoreSettingsButton: "Restaurar valores predeterminados",
+        settingsSaved: "Ajustes guardados.",
+        invalidServerUrl: "Dirección del servidor no válida: usa una dirección http:// o https://.",
+        clickStart: "Haz clic en \"Empezar\" para comenzar.",
+        pairingIntro: "Para comenzar, empareja este osito con el código del Panel de los Padres.",
+        pairing: "Emparejando...",
+        paired: "¡Osito emparejado! Haz clic en \"Empezar\" para comenzar.",
+        pairingFailed: "No se pudo emparejar: {message}",
+        pairingRequired: "Este osito necesita ser emparejado. Escribe el código del Panel de los Padres.",
+        unknownServerError: "Error desconocido del servidor",
+        newConversationListening: "¡Nueva conversación! Escuchando...",
+        newConversation: "¡Nueva conversación! Haz clic en Empezar.",
+        wakeLockReleased: "Bloqueo de pantalla liberado. La pantalla puede apagarse.",
+        wakeLockFailed: "No se pudo mantener la pantalla encendida.",
+        wakeLockUnsupported: "API de bloqueo de pantalla no compatible.",
+        startingMicrophone: "Iniciando micrófono...",
+        microphoneError: "Error al iniciar el micrófono: {message}",
+        listening: "Escuchando...",
+        capturing: "Te estoy oyendo...",
+        processing: "Pensando...",
+        speaking: "Hablando...",
+        stopped: "Parado. Haz clic en Empezar.",
+        fallbackNetwork: "Tengo un poquito de sueño. ¡Hablamos de nuevo en un ratito!",
+        fallbackServer: "Mmm, mi cabecita se confundió. ¿Me lo dices otra vez en un ratito?",
+        fallbackQuota: "¡Uf, ya hablamos mucho! Vamos a descansar un poquito y luego hablamos más.",
+        backOnline: "¡Ya volví! Puedes hablar conmigo.",
+        communicationError: "Error de comunicación: {message}",
+        noAudioInReply: "La respuesta del servidor no tiene audio.",
+        playbackFailed: "Error al reproducir la respuesta.",
+        playbackError: "Error de reproducción: {message}"
+    }
+};
@@ -0,0 +1,185 @@
+// usage.js
+const fs = require('fs');
+const { logger } = require('./logger');
+const { createJsonFileWriter } = require('./json-file');
+
+// Erro falado para a criança quando o orçamento do mês acaba
+const BUDGET_ERROR = 'O ursinho precisa descansar por uns dias. Peça para um adulto dar uma olhada!';
+
+// Preços em dólares por milhão de tokens (gpt-4o-realtime-preview)
+const DEFAULT_PRICES = { textInput: 5, audioInput: 40, textOutput: 20, audioOutput: 80 };
+
+const EMPTY_TOTALS = {
+  responses: 0,
+  inputTextTokens: 0,
+  inputAudioTokens: 0,
+  cachedInputTokens: 0,
+  outputTextTokens: 0,
+  outputAudioTokens: 0,
+  inputAudioSeconds: 0,
+  outputAudioSeconds: 0,
+  costUsd: 0
+};
+
+/**
+ * Validates a monthly budget: { monthlyTokens: number|null, monthlyCostUsd: number|null }.
+ * Returns an error message, or null when the budget is valid.
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object') {
+    return 'Orçamento inválido';
+  }
+  for (const field of ['monthlyTokens', 'monthlyCostUsd']) {
+    const value = budget[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${field} deve ser um número maior ou igual a zero`;
+    }
+  }
+  return null;
+}
+
+// Token counts of the `usage` block of a Realtime 'response.done'
+function tokensFromUsage(usage = {}) {
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  return {
+    inputTextTokens: input.text_tokens || 0,
+    inputAudioTokens: input.audio_tokens || 0,
+    cachedInputTokens: input.cached_tokens || 0,
+    outputTextTokens: output.text_tokens || 0,
+    outputAudioTokens: output.audio_tokens || 0
+  };
+}
+
+function totalTokens(totals) {
+  return totals.inputTextTokens + totals.inputAudioTokens + totals.outputTextTokens + totals.outputAudioTokens;
+}
+
+/**
+ * What the bears consumed upstream (tokens of each 'response.done', audio seconds),
+ * totalled per month and device, and the monthly budgets that block a device
+ * (or every device) once used up. Persisted as a JSON file on disk.
+ * Costs are estimated with `prices` (USD per million tokens); cached input
+ * tokens are reported but priced as regular input, so estimates err on the high side.
+ * Months are counted in `timeZone` (defaults to the server's).
+ */
+function createUsageStore(filePath, { timeZone, prices = DEFAULT_PRICES } = {}) {
+  let state = {
+    budgets: { global: { monthlyTokens: null, monthlyCostUsd: null }, devices: {} }, // devices: deviceId -> budget
+    months: {} // 'YYYY-MM' -> deviceId -> totals
+  };
+
+  try {
+    if (fs.existsSync(filePath)) {
+      state = { ...state, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  } catch (error) {
+    logger.error('Could not read usage', { filePath, error: error.message });
+  }
+
+  const dateFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  function monthOf(now) {
+    return dateFormat.format(now).slice(0, 7);
+  }
+
+  const file = createJsonFileWriter(filePath);
+
+  // Usage is recorded after every response, so saves often overlap: the writer queues them
+  function persist() {
+    return file.save(state);
+  }
+
+  function costOf(tokens) {
+    return (tokens.inputTextTokens * prices.textInput
+      + tokens.inputAudioTokens * prices.audioInput
+      + tokens.outputTextTokens * prices.textOutput
+      + tokens.outputAudioTokens * prices.audioOutput) / 1e6;
+  }
+
+  function addTotals(a, b) {
+    const sum = {};
+    for (const field of Object.keys(EMPTY_TOTALS)) sum[field] = (a[field] || 0) + (b[field] || 0);
+    return sum;
+  }
+
+  function sumDevices(month) {
+    return Object.values(state.months[month] || {}).reduce(addTotals, { ...EMPTY_TOTALS });
+  }
+
+  // Rounds for display; the store keeps full precision
+  function present(totals) {
+    return {
+      ...totals,
+      totalTokens: totalTokens(totals),
+      inputAudioSeconds: Math.round(totals.inputAudioSeconds * 10) / 10,
+      outputAudioSeconds: Math.round(totals.outputAudioSeconds * 10) / 10,
+      costUsd: Math.round(totals.costUsd * 10000) / 10000
+    };
+  }
+
+  function isExceeded(budget, totals) {
+    if (!budget) return false;
+    return (typeof budget.monthlyTokens === 'number' && totalTokens(totals) >= budget.monthlyTokens)
+      || (typeof budget.monthlyCostUsd === 'number' && totals.costUsd >= budget.monthlyCostUsd);
+  }
+
+  return {
+    /**
+     * Adds to the device's totals for this month: the `usage` block of one
+     * 'response.done' (counted as one response) and/or audio durations in seconds.
+     */
+    record(deviceId, { usage = null, inputAudioSeconds = 0, outputAudioSeconds = 0 }, now = new Date()) {
+      const month = monthOf(now);
+      const tokens = usage ? tokensFromUsage(usage) : {};
+      if (!state.months[month]) state.months[month] = {};
+      state.months[month][deviceId] = addTotals(state.months[month][deviceId] || EMPTY_TOTALS, {
+        ...tokens,
+        responses: usage ? 1 : 0,
+        inputAudioSeconds,
+        outputAudioSeconds,
+        costUsd: usage ? costOf(tokens) : 0
+      });
+      persist().catch(error => {
+        logger.error('Could not save usage', { error: error.message });
+      });
+    },
+
+    // Totals of `month` ('YYYY-MM', defaults to the current one), overall and per device
+    report(month = monthOf(new Date())) {
+      return {
+        month,
+        totals: present(sumDevices(month)),
+        devices: Object.entries(state.months[month] || {}).map(([deviceId, totals]) => ({ deviceId, ...present(totals) })),
+        budgets: state.budgets
+      };
+    },
+
+    /**
+     * Returns null when the device may keep talking this month, or
+     * { code, error } when its budget or the global one is used up.
+     */
+    checkBudget(deviceId, now = new Date()) {
+      const month = monthOf(now);
+      const deviceTotals = (state.months[month] || {})[deviceId] || EMPTY_TOTALS;
+      if (isExceeded(state.budgets.devices[deviceId], deviceTotals) || isExceeded(state.budgets.global, sumDevices(month))) {
+        return { code: 'MONTHLY_BUDGET_EXCEEDED', error: BUDGET_ERROR };
+      }
+      return null;
+    },
+
+    // Sets the budget of `deviceId`, or the global one when `deviceId` is null. Undefined fields are kept.
+    async setBudget(deviceId, budget) {
+      const definedFields = Object.fromEntries(Object.entries(budget).filter(([, value]) => value !== undefined));
+      if (deviceId === null) {
+        state.budgets.global = { ...state.budgets.global, ...definedFields };
+      } else {
+        state.budgets.devices[deviceId] = { ...(state.budgets.devices[deviceId] || {}), ...definedFields };
+      }
+      await persist();
+      return deviceId === null ? state.budgets.global : state.budgets.devices[deviceId];
+    }
+  };
+}
+
+module.exports = { DEFAULT_PRICES, validateBudget, createUsageStore };
@@ -0,0 +1,202 @@
+// wake-word.js
+// Detector local da palavra mágica: nada é enviado ao servidor antes dela.
+
+/**
+ * Wake-phrase detector that runs entirely in the browser. The phrase is enrolled
+ * by saying it WAKE_TEMPLATE_COUNT times; each recording is turned into a sequence
+ * of MFCC frames (the usual speech features) and later utterances are compared to
+ * those templates with dynamic time warping, which tolerates saying it faster or
+ * slower. The match threshold comes from how much the enrolled recordings differ
+ * from each other, so a consistent speaker gets a stricter detector.
+ * `templates` are the ones returned by templates() earlier (e.g. kept in localStorage).
+ */
+function createWakeWordDetector({ sampleRate, templates = [] }) {
+    const WAKE_TEMPLATE_COUNT = 3;
+    const MATCH_MARGIN = 1.2; // Utterances may differ from the templates this much more than they differ among themselves
+    const MAX_LENGTH_RATIO = 2; // Utterances much longer or shorter than a template are not the phrase
+    const FRAME_SECONDS = 0.025;
+    const HOP_SECONDS = 0.01;
+    const FFT_SIZE = 512;
+    const MEL_FILTERS = 26;
+    const CEPSTRAL_COEFFICIENTS = 12; // Leaves out c0, the loudness
+    const SILENCE_RATIO = 0.1; // Edges quieter than this fraction of the peak level are trimmed
+
+    const frameSize = Math.round(FRAME_SECONDS * sampleRate);
+    const hopSize = Math.round(HOP_SECONDS * sampleRate);
+    const hammingWindow = Float32Array.from({ length: frameSize }, (_, i) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frameSize - 1)));
+    const melFilters = createMelFilters();
+    let enrolled = templates.slice(0, WAKE_TEMPLATE_COUNT);
+    let threshold = computeThreshold();
+    if (threshold === null) enrolled = []; // Kept templates that can't make a threshold are enrolled again
+
+    function hzToMel(hz) {
+        return 2595 * Math.log10(1 + hz / 700);
+    }
+
+    function melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+
+    // Triangular filters evenly spaced on the mel scale, as ranges of FFT bins with weights
+    function createMelFilters() {
+        const lowMel = hzToMel(60);
+        const highMel = hzToMel(sampleRate / 2);
+        const bins = Array.from({ length: MEL_FILTERS + 2 }, (_, i) =>
+            Math.floor((FFT_SIZE + 1) * melToHz(lowMel + (highMel - lowMel) * i / (MEL_FILTERS + 1)) / sampleRate));
+        return Array.from({ length: MEL_FILTERS }, (_, m) => {
+            const [start, peak, end] = [bins[m], bins[m + 1], bins[m + 2]];
+            const weights = [];
+            for (let bin = start; bin < end; bin++) {
+                weights.push(bin < peak ? (bin - start) / Math.max(1, peak - start) : (end - bin) / Math.max(1, end - peak));
+            }
+            return { start, weights };
+        });
+    }
+
+    // In-place iterative radix-2 FFT
+    function fft(real, imag) {
+        const n = real.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            for (let i = 0; i < n; i += length) {
+                for (let k = 0; k < length / 2; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const a = i + k;
+                    const b = a + length / 2;
+                    const tReal = real[b] * cos - imag[b] * sin;
+                    const tImag = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tReal;
+                    imag[b] = imag[a] - tImag;
+                    real[a] += tReal;
+                    imag[a] += tImag;
+                }
+            }
+        }
+    }
+
+    // Drops the quiet lead-in and tail (the VAD pre-roll and hangover) around the phrase
+    function trimSilence(samples) {
+        const levels = [];
+        for (let offset = 0; offset + hopSize <= samples.length; offset += hopSize) {
+            let sum = 0;
+            for (let i = offset; i < offset + hopSize; i++) sum += samples[i] * samples[i];
+            levels.push(Math.sqrt(sum / hopSize));
+        }
+        const peak = Math.max(0, ...levels);
+        const first = levels.findIndex(level => level >= peak * SILENCE_RATIO);
+        const last = levels.length - 1 - [...levels].reverse().findIndex(level => level >= peak * SILENCE_RATIO);
+        if (first === -1) return samples.subarray(0, 0);
+        return samples.subarray(first * hopSize, Math.min(samples.length, (last + 1) * hopSize + frameSize));
+    }
+
+    // MFCC frames of `samples`, with the mean of each coefficient removed (cancels the microphone's coloring)
+    function extractFeatures(samples) {
+        const trimmed = trimSilence(samples);
+        const frames = [];
+        for (let offset = 0; offset + frameSize <= trimmed.length; offset += hopSize) {
+            const real = new Float32Array(FFT_SIZE);
+            const imag = new Float32Array(FFT_SIZE);
+            for (let i = 0; i < frameSize; i++) real[i] = trimmed[offset + i] * hammingWindow[i];
+            fft(real, imag);
+
+            const energies = melFilters.map(({ start, weights }) => {
+                let energy = 0;
+                weights.forEach((weight, i) => {
+                    energy += weight * (real[start + i] * real[start + i] + imag[start + i] * imag[start + i]);
+                });
+                return Math.log(energy + 1e-10);
+            });
+            const coefficients = [];
+            for (let k = 1; k <= CEPSTRAL_COEFFICIENTS; k++) {
+                let sum = 0;
+                energies.forEach((energy, m) => {
+                    sum += energy * Math.cos(Math.PI * k * (m + 0.5) / MEL_FILTERS);
+                });
+                coefficients.push(sum);
+            }
+            frames.push(coefficients);
+        }
+
+        const means = Array.from({ length: CEPSTRAL_COEFFICIENTS }, (_, k) =>
+            frames.reduce((sum, frame) => sum + frame[k], 0) / Math.max(1, frames.length));
+        return frames.map(frame => frame.map((value, k) => value - means[k]));
+    }
+
+    // Dynamic time warping distance, averaged over the path so longer phrases don't score worse
+    function distance(a, b) {
+        if (a.length === 0 || b.length === 0) return Infinity;
+        if (Math.max(a.length, b.length) / Math.min(a.length, b.length) > MAX_LENGTH_RATIO) return Infinity;
+        let previous = new Float64Array(b.length + 1).fill(Infinity);
+        previous[0] = 0;
+        for (let i = 1; i <= a.length; i++) {
+            const current = new Float64Array(b.length + 1).fill(Infinity);
+            for (let j = 1; j <= b.length; j++) {
+                let cost = 0;
+                for (let k = 0; k < CEPSTRAL_COEFFICIENTS; k++) {
+                    const difference = a[i - 1][k] - b[j - 1][k];
+                    cost += difference * difference;
+                }
+                current[j] = Math.sqrt(cost) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+            previous = current;
+        }
+        return previous[b.length] / (a.length + b.length);
+    }
+
+    // Largest distance between two enrolled recordings, plus the margin; null until there are
+    // enough of them, or if two can't be compared (an infinite threshold would match anything)
+    function computeThreshold() {
+        if (enrolled.length < WAKE_TEMPLATE_COUNT) return null;
+        let largest = 0;
+        for (let i = 0; i < enrolled.length; i++) {
+            for (let j = i + 1; j < enrolled.length; j++) {
+                largest = Math.max(largest, distance(enrolled[i], enrolled[j]));
+            }
+        }
+        return Number.isFinite(largest) ? largest * MATCH_MARGIN : null;
+    }
+
+    return {
+        templateCount: WAKE_TEMPLATE_COUNT,
+
+        // Whether the phrase has been enrolled enough times to be detected
+        isReady: () => threshold !== null,
+
+        enrolledCount: () => enrolled.length,
+
+        // Adds a recording of the phrase; returns false if it held no sound to learn from or is
+        // too much longer or shorter than the ones before to be the same phrase (say it again)
+        enroll(samples) {
+            const features = extractFeatures(samples);
+            if (features.length === 0) return false;
+            if (enrolled.some(template => !Number.isFinite(distance(features, template)))) return false;
+            enrolled = [...enrolled, features].slice(-WAKE_TEMPLATE_COUNT);
+            threshold = computeThreshold();
+            return true;
+        },
+
+        // Whether `samples` (an utterance caught by the VAD) is the wake phrase
+        matches(samples) {
+            if (threshold === null) return false;
+            const features = extractFeatures(samples);
+            return Math.min(...enrolled.map(template => distance(features, template))) <= threshold;
+        },
+
+        templates: () => enrolled,
+
+        clear() {
+            enrolled = [];
+            threshold = null;
+        }
+    };
+}